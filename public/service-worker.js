@@ -1,66 +0,0 @@
-// Service Worker for Macros Calculator
-const CACHE_NAME = "macro-budget-v1";
-const urlsToCache = [
-  "/",
-  "/static/js/bundle.js",
-  "/static/css/main.css",
-  "/manifest.json",
-  "/icon-block.svg",
-];
-
-// Install event - cache resources
-self.addEventListener("install", (event) => {
-  event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => {
-      console.log("Opened cache");
-      return cache.addAll(urlsToCache);
-    })
-  );
-});
-
-// Fetch event - serve from cache, fallback to network
-self.addEventListener("fetch", (event) => {
-  event.respondWith(
-    caches.match(event.request).then((response) => {
-      // Return cached version or fetch from network
-      return response || fetch(event.request);
-    })
-  );
-});
-
-// Activate event - clean up old caches
-self.addEventListener("activate", (event) => {
-  event.waitUntil(
-    caches.keys().then((cacheNames) => {
-      return Promise.all(
-        cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
-            console.log("Deleting old cache:", cacheName);
-            return caches.delete(cacheName);
-          }
-        })
-      );
-    })
-  );
-});
-
-// Handle push notifications (for future use)
-self.addEventListener("push", (event) => {
-  const options = {
-    body: event.data ? event.data.text() : "New notification",
-    icon: "/icon-block.svg",
-    badge: "/icon-block.svg",
-    vibrate: [200, 100, 200],
-    tag: "macro-reminder",
-  };
-
-  event.waitUntil(
-    self.registration.showNotification("Macros Reminder", options)
-  );
-});
-
-// Handle notification clicks
-self.addEventListener("notificationclick", (event) => {
-  event.notification.close();
-  event.waitUntil(clients.openWindow("/"));
-});
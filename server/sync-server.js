@@ -0,0 +1,287 @@
+// Reference sync server for Macros Calculator. It stores each profile's
+// data in a JSON file and has no dependencies beyond Node itself:
+//
+//   node server/sync-server.js
+//
+// Then set the app's sync endpoint to http://localhost:8787/profiles/<name>.
+// Settings come from the environment:
+//   PORT          port to listen on (8787)
+//   DATA_DIR      where the files go (./sync-data)
+//   SYNC_TOKEN    when set, requests need "Authorization: Bearer <token>"
+//   ALLOW_ORIGIN  origin allowed to call the server from a browser (*)
+//
+// GET /profiles/<name> answers { days, settings }. PUT /profiles/<name>
+// takes records in the same shape and keeps, per day and for the settings,
+// whichever record has the later updatedAt; it answers like GET. Day keys,
+// entries and settings are checked the way the app checks them, and a
+// request with a bad one is refused as a whole.
+
+const fs = require("fs/promises");
+const http = require("http");
+const path = require("path");
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const DATA_DIR = path.resolve(process.env.DATA_DIR || "sync-data");
+const SYNC_TOKEN = process.env.SYNC_TOKEN || "";
+const ALLOW_ORIGIN = process.env.ALLOW_ORIGIN || "*";
+const MAX_BODY = 5 * 1024 * 1024; // bytes
+
+const EMPTY_PROFILE = { days: {}, settings: null };
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isRecord = (value) =>
+  isObject(value) &&
+  typeof value.updatedAt === "number" &&
+  isFinite(value.updatedAt);
+
+// Day records are keyed "2026-W43/Monday", as the app checks them
+const DAYS = [
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+  "Sunday",
+];
+const DAY_KEY = new RegExp(`^\\d{4}-W\\d{2}/(${DAYS.join("|")})$`);
+
+const ENTRY_FIELDS = [
+  "calories",
+  "carbs",
+  "protein",
+  "fat",
+  "alcohol",
+  "fiber",
+  "weight",
+];
+
+// Amounts are non-negative numbers, or strings of them; empty when unset
+const isAmount = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  ((typeof value === "number" || typeof value === "string") &&
+    String(value).trim() !== "" &&
+    isFinite(Number(value)) &&
+    Number(value) >= 0);
+
+const isListOf = (value, check) =>
+  value === undefined || (Array.isArray(value) && value.every(check));
+
+const isEntry = (entry) =>
+  isObject(entry) &&
+  ENTRY_FIELDS.every((field) => isAmount(entry[field])) &&
+  isListOf(
+    entry.items,
+    (item) =>
+      isObject(item) &&
+      ["calories", "carbs", "protein", "fat"].every((field) =>
+        isAmount(item[field])
+      )
+  ) &&
+  isListOf(
+    entry.workings,
+    (working) =>
+      isObject(working) &&
+      ENTRY_FIELDS.includes(working.field) &&
+      typeof working.expression === "string" &&
+      isAmount(working.result)
+  );
+
+const isDayRecord = (key, record) =>
+  DAY_KEY.test(key) && isRecord(record) && isEntry(record.entry);
+
+const isBudget = (budget) =>
+  isObject(budget) &&
+  ["carbs", "protein", "fat"].every((field) => isAmount(budget[field]));
+
+// Synced settings, checked the way the app checks them; each may be missing
+const SETTINGS = {
+  dailyBudget: isBudget,
+  dayTargets: (targets) =>
+    isObject(targets) &&
+    (targets.trainingBudget === undefined ||
+      targets.trainingBudget === null ||
+      isBudget(targets.trainingBudget)) &&
+    (!targets.trainingDays ||
+      isListOf(targets.trainingDays, (day) => DAYS.includes(day))),
+  bodyProfile: isObject,
+  budgetInputMode: (mode) => mode === "grams" || mode === "percent",
+  calorieCheck: (check) =>
+    isObject(check) &&
+    isAmount(check.tolerance) &&
+    [undefined, "included", "separate"].includes(check.fiberCalories),
+  rollover: (rollover) =>
+    isObject(rollover) &&
+    [undefined, "off", "all", "capped", "deficits"].includes(rollover.mode) &&
+    isAmount(rollover.cap),
+  dayLimits: (limits) =>
+    isObject(limits) &&
+    ["calories", "carbs", "protein", "fat"].every(
+      (field) =>
+        !limits[field] ||
+        (isObject(limits[field]) &&
+          isAmount(limits[field].min) &&
+          isAmount(limits[field].max))
+    ),
+};
+
+const isSettingsRecord = (record) =>
+  isRecord(record) &&
+  isObject(record.value) &&
+  Object.entries(SETTINGS).every(
+    ([name, check]) =>
+      record.value[name] === undefined || check(record.value[name])
+  );
+
+const getFile = (name) => path.join(DATA_DIR, `${name}.json`);
+
+// Days stored before they were checked are dropped when read
+const readProfile = async (name) => {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(getFile(name), "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT") return EMPTY_PROFILE;
+    throw e;
+  }
+  const days = Object.entries(data.days || {}).filter(([key, record]) =>
+    isDayRecord(key, record)
+  );
+  return { ...data, days: Object.fromEntries(days) };
+};
+
+// Write to a temporary file first so a crash never leaves half a file
+const writeProfile = async (name, data) => {
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  const temporary = `${getFile(name)}.${process.pid}.tmp`;
+  await fs.writeFile(temporary, JSON.stringify(data));
+  await fs.rename(temporary, getFile(name));
+};
+
+const isNewer = (record, current) =>
+  !current ||
+  record.updatedAt > current.updatedAt ||
+  (record.updatedAt === current.updatedAt &&
+    String(record.device) > String(current.device));
+
+// Last write wins, record by record
+const mergeProfile = (stored, update) => {
+  if (!isObject(update) || !isObject(update.days || {})) {
+    throw new HttpError(400, "Expected { days, settings }");
+  }
+  const days = { ...stored.days };
+  Object.entries(update.days || {}).forEach(([key, record]) => {
+    if (!DAY_KEY.test(key)) {
+      throw new HttpError(400, `"${key}" is not a day`);
+    }
+    if (!isDayRecord(key, record)) {
+      throw new HttpError(400, `Day ${key} is not a valid record`);
+    }
+    if (isNewer(record, days[key])) days[key] = record;
+  });
+  let settings = stored.settings;
+  if (update.settings !== undefined) {
+    if (!isSettingsRecord(update.settings)) {
+      throw new HttpError(400, "Settings are not a valid record");
+    }
+    if (isNewer(update.settings, settings)) settings = update.settings;
+  }
+  return { days, settings };
+};
+
+const readBody = (request) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    request.setEncoding("utf8");
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY) {
+        reject(new HttpError(413, "Request too large"));
+        request.destroy();
+      }
+    });
+    request.on("end", () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (e) {
+        reject(new HttpError(400, "Body is not valid JSON"));
+      }
+    });
+    request.on("error", reject);
+  });
+
+// Requests for the same profile run one after the other, so a read and the
+// write after it can't interleave with another request's
+const queues = new Map();
+const withProfile = (name, run) => {
+  const previous = queues.get(name) || Promise.resolve();
+  const next = previous.catch(() => {}).then(run);
+  queues.set(name, next);
+  next
+    .catch(() => {})
+    .then(() => queues.get(name) === next && queues.delete(name));
+  return next;
+};
+
+const send = (response, status, data) => {
+  response.writeHead(status, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": ALLOW_ORIGIN,
+    "Access-Control-Allow-Methods": "GET, PUT, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  });
+  response.end(data === undefined ? "" : JSON.stringify(data));
+};
+
+const handle = async (request) => {
+  const { pathname } = new URL(request.url, "http://localhost");
+  const match = pathname.match(/^\/profiles\/([\w-]{1,64})\/?$/);
+  if (!match) throw new HttpError(404, "Not found");
+  if (SYNC_TOKEN && request.headers.authorization !== `Bearer ${SYNC_TOKEN}`) {
+    throw new HttpError(401, "Missing or wrong token");
+  }
+  const name = match[1];
+  if (request.method === "GET") {
+    return withProfile(name, () => readProfile(name));
+  }
+  if (request.method === "PUT") {
+    const update = await readBody(request);
+    return withProfile(name, async () => {
+      const merged = mergeProfile(await readProfile(name), update);
+      await writeProfile(name, merged);
+      return merged;
+    });
+  }
+  throw new HttpError(405, "Method not allowed");
+};
+
+const server = http.createServer((request, response) => {
+  if (request.method === "OPTIONS") {
+    send(response, 204);
+    return;
+  }
+  handle(request)
+    .then((data) => send(response, 200, data))
+    .catch((error) => {
+      if (!(error instanceof HttpError)) console.error(error);
+      send(response, error.status || 500, {
+        error: error instanceof HttpError ? error.message : "Server error",
+      });
+    });
+});
+
+server.listen(PORT, () => {
+  console.log(`Sync server listening on http://localhost:${PORT}`);
+  console.log(`Storing data in ${DATA_DIR}`);
+});
@@ -1,42 +1,125 @@
-import { useState, useEffect } from "react";
+import {
+  Fragment,
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
 import "./App.css";
-
-const DAYS = [
-  "Monday",
-  "Tuesday",
-  "Wednesday",
-  "Thursday",
-  "Friday",
-  "Saturday",
-  "Sunday",
-];
-
-// localStorage helper functions
-function setLocalStorage(name, value) {
-  try {
-    localStorage.setItem(name, JSON.stringify(value));
-  } catch (e) {
-    console.error("Error saving to localStorage:", e);
-  }
-}
-
-function getLocalStorage(name) {
-  try {
-    const item = localStorage.getItem(name);
-    return item ? JSON.parse(item) : null;
-  } catch (e) {
-    console.error("Error reading from localStorage:", e);
-    return null;
-  }
-}
-
-function removeLocalStorage(name) {
-  try {
-    localStorage.removeItem(name);
-  } catch (e) {
-    console.error("Error removing from localStorage:", e);
-  }
-}
+import {
+  DAYS,
+  clearPlanWeek,
+  createEmptyWeek,
+  formatWeekRange,
+  getDayName,
+  getEntryWeekKey,
+  getPlanDays,
+  getPlanEntries,
+  getPlanWeekKey,
+  parseDateString,
+  shiftWeek,
+  toDateString,
+} from "./weeks";
+import { getStartingItems, hasFoodItems, setDayFoodItems } from "./foodLog";
+import {
+  clearQuarantine,
+  getQuarantine,
+  loadStoredState,
+  loadStoredValue,
+  removeProfileData,
+  saveStoredValue,
+} from "./storage";
+import {
+  DEFAULT_PROFILES,
+  DEFAULT_PROFILE_ID,
+  getProfile,
+  getProfileName,
+  selectProfile,
+} from "./profiles";
+import ProfileSwitcher from "./components/ProfileSwitcher";
+import { readSharedWeek } from "./share";
+import ShareWeek from "./components/ShareWeek";
+import {
+  DEFAULT_EDIT_STAMPS,
+  DEFAULT_SYNC,
+  SYNCED_SETTINGS,
+  SYNC_DELAY,
+  applyIncomingDays,
+  createDeviceId,
+  getChangedDays,
+  stampDays,
+  syncWithServer,
+} from "./sync";
+import SyncSettings from "./components/SyncSettings";
+import SharedWeek from "./components/SharedWeek";
+import { useUndoHistory, useUndoShortcuts } from "./useUndoHistory";
+import {
+  addClearSnapshot,
+  createClearSnapshot,
+  describeClearSnapshot,
+  pruneClearSnapshots,
+  restoreClearSnapshot,
+} from "./clearSnapshots";
+import ClearDialog from "./components/ClearDialog";
+import { SEED_FOODS } from "./foodDatabase";
+import FoodLog from "./components/FoodLog";
+import FoodLibrary from "./components/FoodLibrary";
+import DayTargets from "./components/DayTargets";
+import { DEFAULT_BODY_PROFILE, getGoalRate } from "./budgetWizard";
+import BudgetWizard from "./components/BudgetWizard";
+import BudgetSplitInputs from "./components/BudgetSplitInputs";
+import {
+  DEFAULT_CALORIE_CHECK,
+  applyEntryChange,
+  getCalorieMismatch,
+} from "./calorieCheck";
+import CalorieCheckSettings from "./components/CalorieCheckSettings";
+import DataTransfer from "./components/DataTransfer";
+import TrackerImport from "./components/TrackerImport";
+import StorageProblems from "./components/StorageProblems";
+import {
+  DEFAULT_REMINDERS,
+  checkReminders,
+  getNotificationPermission,
+  getReminderStatus,
+  syncReminders,
+} from "./reminders";
+import ReminderSettings from "./components/ReminderSettings";
+import UpdatePrompt from "./components/UpdatePrompt";
+import StatsView from "./components/StatsView";
+import { REVIEW_INTERVAL_DAYS, getBudgetSuggestion } from "./weightTrend";
+import BudgetSuggestion from "./components/BudgetSuggestion";
+import { DEFAULT_ROLLOVER, getCarryOver } from "./rollover";
+import RolloverSettings from "./components/RolloverSettings";
+import { DEFAULT_DAY_LIMITS } from "./distribution";
+import {
+  calculateCalories,
+  calculateWeek,
+  getDayTarget as getDayTargetOf,
+  getWeeklyBudget,
+  isDayFilled,
+  isTrainingDay as isTrainingDayOf,
+} from "./budget";
+import DayLimits from "./components/DayLimits";
+import {
+  DEFAULT_UNITS,
+  WEIGHT_DECIMALS,
+  formatEnergy,
+  formatNumber,
+  toEnergyUnit,
+} from "./units";
+import AmountInput from "./components/AmountInput";
+import { addWorking } from "./expressions";
+import DayWorkings from "./components/DayWorkings";
+import UnitSettings from "./components/UnitSettings";
+import {
+  DEFAULT_LOCALE_SETTINGS,
+  I18nProvider,
+  createI18n,
+  useI18n,
+} from "./i18n";
+import LocaleSettings from "./components/LocaleSettings";
 
 const DEFAULT_DAILY_BUDGET = {
   carbs: "270",
@@ -44,550 +127,1622 @@ const DEFAULT_DAILY_BUDGET = {
   fat: "65",
 };
 
-// Calculate calories from macros: 1g protein = 4 kcal, 1g carb = 4 kcal, 1g fat = 9 kcal
-const calculateCalories = (carbs, protein, fat) => {
-  const carbsNum = parseFloat(carbs) || 0;
-  const proteinNum = parseFloat(protein) || 0;
-  const fatNum = parseFloat(fat) || 0;
-  return carbsNum * 4 + proteinNum * 4 + fatNum * 9;
+// Training days get their own budget; the daily budget applies to rest days
+const DEFAULT_DAY_TARGETS = {
+  enabled: false,
+  trainingBudget: null, // copied from the daily budget when first enabled
+  trainingDays: ["Monday", "Wednesday", "Friday"],
 };
 
-// Get current day name
-const getCurrentDay = () => {
-  const days = [
-    "Sunday",
-    "Monday",
-    "Tuesday",
-    "Wednesday",
-    "Thursday",
-    "Friday",
-    "Saturday",
-  ];
-  return days[new Date().getDay()];
+// Synced settings as they are before anything is set up, which the first
+// sync doesn't count as edits
+const DEFAULT_SYNCED_SETTINGS = {
+  dailyBudget: DEFAULT_DAILY_BUDGET,
+  dayTargets: DEFAULT_DAY_TARGETS,
+  bodyProfile: DEFAULT_BODY_PROFILE,
+  budgetInputMode: "grams",
+  calorieCheck: DEFAULT_CALORIE_CHECK,
+  rollover: DEFAULT_ROLLOVER,
+  dayLimits: DEFAULT_DAY_LIMITS,
 };
 
-// Check if a day is filled (has at least one macro value)
-const isDayFilled = (dayEntry) => {
-  return (
-    parseFloat(dayEntry.calories) > 0 ||
-    parseFloat(dayEntry.carbs) > 0 ||
-    parseFloat(dayEntry.protein) > 0 ||
-    parseFloat(dayEntry.fat) > 0
+// How long the remaining budget has to stay the same before it is read out
+const ANNOUNCE_DELAY = 1000; // ms
+
+// Everything for one profile. It is remounted when the profile changes, so
+// all of its state is loaded afresh from that profile's storage. The Weekly
+// Plan shows plan weeks (see weeks.js), which start on the day chosen in the
+// locale settings.
+function ProfileTracker({
+  profileId,
+  profiles,
+  onProfilesChange,
+  localeSettings,
+  onLocaleSettingsChange,
+}) {
+  const { t, language, locale, firstDay, dayName } = useI18n();
+  // Initialize state from storage if available. Loading migrates old data
+  // and sets aside anything unreadable, which is reported below.
+  const [stored] = useState(() => loadStoredState(profileId));
+  const [quarantined, setQuarantined] = useState(getQuarantine);
+
+  const [dailyBudget, setDailyBudget] = useState(
+    () => stored.dailyBudget || DEFAULT_DAILY_BUDGET
   );
-};
+  const [dayTargets, setDayTargets] = useState(() => ({
+    ...DEFAULT_DAY_TARGETS,
+    ...stored.dayTargets,
+  }));
+  const [bodyProfile, setBodyProfile] = useState(() => ({
+    ...DEFAULT_BODY_PROFILE,
+    ...stored.bodyProfile,
+  }));
+  const [showWizard, setShowWizard] = useState(false);
+  const [budgetInputMode, setBudgetInputMode] = useState(
+    () => stored.budgetInputMode || "grams"
+  );
+  const [weeks, setWeeks] = useState(() => stored.weeks || {});
+  const [currentWeek, setCurrentWeek] = useState(() =>
+    getPlanWeekKey(new Date(), firstDay)
+  );
+  const [selectedWeek, setSelectedWeek] = useState(currentWeek);
+  const [foods, setFoods] = useState(() => stored.foods || SEED_FOODS);
+  const [expandedDays, setExpandedDays] = useState({});
+  const [showFoodLibrary, setShowFoodLibrary] = useState(false);
+  const [calorieCheck, setCalorieCheck] = useState(() => ({
+    ...DEFAULT_CALORIE_CHECK,
+    ...stored.calorieCheck,
+  }));
+  const [showCalorieCheck, setShowCalorieCheck] = useState(false);
+  const [units, setUnits] = useState(() => ({
+    ...DEFAULT_UNITS,
+    ...stored.units,
+  }));
+  const [showUnits, setShowUnits] = useState(false);
+  const [showLocale, setShowLocale] = useState(false);
+  const [showDataTransfer, setShowDataTransfer] = useState(false);
+  const [showStats, setShowStats] = useState(false);
+  const [showShare, setShowShare] = useState(false);
+  const [rollover, setRollover] = useState(() => ({
+    ...DEFAULT_ROLLOVER,
+    ...stored.rollover,
+  }));
+  const [dayLimits, setDayLimits] = useState(() => ({
+    ...DEFAULT_DAY_LIMITS,
+    ...stored.dayLimits,
+  }));
+  const [showDayLimits, setShowDayLimits] = useState(false);
+  // When a budget suggestion was last accepted or ignored
+  const [budgetReview, setBudgetReview] = useState(
+    () => stored.budgetReview || null
+  );
+  const [importMappings, setImportMappings] = useState(
+    () => stored.importMappings || []
+  );
+  const [reminders, setReminders] = useState(() => ({
+    ...DEFAULT_REMINDERS,
+    ...stored.reminders,
+  }));
+  const [showReminders, setShowReminders] = useState(false);
+  const [notificationPermission, setNotificationPermission] = useState(
+    getNotificationPermission
+  );
+  const [clearSnapshots, setClearSnapshots] = useState(() =>
+    pruneClearSnapshots(stored.clearSnapshots || [])
+  );
+  const [sync, setSync] = useState(() => ({
+    ...DEFAULT_SYNC,
+    deviceId: createDeviceId(),
+    ...stored.sync,
+  }));
+  const [editStamps, setEditStamps] = useState(() => ({
+    ...DEFAULT_EDIT_STAMPS,
+    ...stored.editStamps,
+  }));
+  const [syncStatus, setSyncStatus] = useState({ state: "idle" });
+  const [syncConflicts, setSyncConflicts] = useState([]);
+  const [showSync, setShowSync] = useState(false);
+  const [showClearDialog, setShowClearDialog] = useState(false);
+  const [lastCleared, setLastCleared] = useState(null);
+  // False when the latest snapshots couldn't be saved, e.g. storage is full
+  const [snapshotsSaved, setSnapshotsSaved] = useState(true);
+  const [isInitialized, setIsInitialized] = useState(false);
 
-// Request notification permission and set up daily reminder
-const setupNotifications = (getWeeklyEntries) => {
-  if (!("Notification" in window)) {
-    console.log("This browser does not support notifications");
-    return;
-  }
-
-  // Request permission
-  if (Notification.permission === "default") {
-    Notification.requestPermission().then((permission) => {
-      if (permission === "granted") {
-        scheduleDailyReminder(getWeeklyEntries);
+  const planDays = getPlanDays(firstDay);
+  const weeklyEntries = getPlanEntries(weeks, selectedWeek, firstDay);
+  const weekRange = formatWeekRange(selectedWeek, firstDay, locale);
+
+  // Mark as initialized after first render
+  useEffect(() => {
+    setIsInitialized(true);
+  }, []);
+
+  // Notice when a new week starts while the app stays open, or when the
+  // first day of the week changes. The finished week remains in `weeks` as
+  // history and the plan moves on to the new one.
+  useEffect(() => {
+    const checkWeek = () => {
+      const weekKey = getPlanWeekKey(new Date(), firstDay);
+      if (weekKey === currentWeek) return;
+      setSelectedWeek((prev) => (prev === currentWeek ? weekKey : prev));
+      setCurrentWeek(weekKey);
+    };
+    checkWeek();
+
+    const interval = setInterval(checkWeek, 60 * 1000);
+    document.addEventListener("visibilitychange", checkWeek);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener("visibilitychange", checkWeek);
+    };
+  }, [currentWeek, firstDay]);
+
+  // Reminders are shown by the service worker. While the app is open it is
+  // asked every minute whether one is due; see reminders.js for the rest.
+  useEffect(() => {
+    const interval = setInterval(checkReminders, 60 * 1000);
+    document.addEventListener("visibilitychange", checkReminders);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener("visibilitychange", checkReminders);
+    };
+  }, []);
+
+  // "Log now" on a reminder opens the app at its day, either with the day in
+  // the URL or, when the app is already open, with a message
+  useEffect(() => {
+    const openDay = (dateString) => {
+      const date = parseDateString(dateString || "");
+      if (!date) return;
+      setSelectedWeek(getPlanWeekKey(date, firstDay));
+      setExpandedDays({ [getDayName(date)]: true });
+    };
+
+    const params = new URLSearchParams(window.location.search);
+    if (params.has("day")) {
+      openDay(params.get("day"));
+      window.history.replaceState(null, "", window.location.pathname);
+    }
+
+    if (!("serviceWorker" in navigator)) return;
+    // Reminders of other profiles are handled by App, which switches over
+    const handleMessage = (event) => {
+      if (
+        event.data &&
+        event.data.type === "open-day" &&
+        (event.data.profile || DEFAULT_PROFILE_ID) === profileId
+      ) {
+        openDay(event.data.date);
       }
-    });
-  } else if (Notification.permission === "granted") {
-    scheduleDailyReminder(getWeeklyEntries);
-  }
-};
+    };
+    navigator.serviceWorker.addEventListener("message", handleMessage);
+    return () =>
+      navigator.serviceWorker.removeEventListener("message", handleMessage);
+  }, [profileId, firstDay]);
 
-// Store interval reference to avoid multiple timers
-let notificationInterval = null;
-let notificationTimeout = null;
-
-// Schedule daily reminder at 22:00
-const scheduleDailyReminder = (getWeeklyEntries) => {
-  // Clear any existing timers
-  if (notificationInterval) {
-    clearInterval(notificationInterval);
-  }
-  if (notificationTimeout) {
-    clearTimeout(notificationTimeout);
-  }
-
-  const checkAndNotify = () => {
-    const weeklyEntries = getWeeklyEntries();
-    const currentDay = getCurrentDay();
-    const dayEntry = weeklyEntries[currentDay];
-
-    if (dayEntry && !isDayFilled(dayEntry)) {
-      new Notification("Macros Reminder", {
-        body: `Don't forget to fill in your macros for ${currentDay}!`,
-        icon: "/icon-block.svg",
-        badge: "/icon-block.svg",
-        tag: `macro-reminder-${currentDay}`,
-      });
+  // Save to localStorage whenever data changes (but not on initial mount)
+  useEffect(() => {
+    if (isInitialized) {
+      saveStoredValue("dailyBudget", dailyBudget, profileId);
     }
-  };
+  }, [dailyBudget, isInitialized, profileId]);
 
-  // Check immediately if it's after 22:00
-  const now = new Date();
-  const currentHour = now.getHours();
-  if (currentHour >= 22) {
-    checkAndNotify();
-  }
-
-  // Schedule check for 22:00 today if not past yet, otherwise schedule for tomorrow
-  const targetTime = new Date();
-  if (currentHour >= 22) {
-    targetTime.setDate(targetTime.getDate() + 1);
-  }
-  targetTime.setHours(22, 0, 0, 0);
-
-  const msUntilTarget = targetTime.getTime() - now.getTime();
-
-  notificationTimeout = setTimeout(() => {
-    checkAndNotify();
-    // Set up recurring check every 24 hours
-    notificationInterval = setInterval(checkAndNotify, 24 * 60 * 60 * 1000);
-  }, msUntilTarget);
-};
+  useEffect(() => {
+    if (isInitialized) {
+      saveStoredValue("budgetInputMode", budgetInputMode, profileId);
+    }
+  }, [budgetInputMode, isInitialized, profileId]);
 
-function App() {
-  // Initialize state from localStorage if available
-  const getInitialDailyBudget = () => {
-    const saved = getLocalStorage("macroDailyBudget");
-    if (saved) {
-      // Remove calories if it exists (for backward compatibility)
-      const { calories, ...rest } = saved;
-      return rest;
+  useEffect(() => {
+    if (isInitialized) {
+      saveStoredValue("bodyProfile", bodyProfile, profileId);
     }
-    return DEFAULT_DAILY_BUDGET;
-  };
+  }, [bodyProfile, isInitialized, profileId]);
 
-  const getInitialWeeklyEntries = () => {
-    const saved = getLocalStorage("macroWeeklyEntries");
-    if (saved) return saved;
-    return DAYS.reduce((acc, day) => {
-      acc[day] = { calories: "", carbs: "", protein: "", fat: "" };
-      return acc;
-    }, {});
-  };
+  useEffect(() => {
+    if (isInitialized) {
+      saveStoredValue("dayTargets", dayTargets, profileId);
+    }
+  }, [dayTargets, isInitialized, profileId]);
 
-  const [dailyBudget, setDailyBudget] = useState(getInitialDailyBudget);
-  const [weeklyEntries, setWeeklyEntries] = useState(getInitialWeeklyEntries);
-  const [isInitialized, setIsInitialized] = useState(false);
+  useEffect(() => {
+    if (isInitialized) {
+      saveStoredValue("weeks", weeks, profileId);
+    }
+  }, [weeks, isInitialized, profileId]);
 
-  // Mark as initialized after first render
   useEffect(() => {
-    setIsInitialized(true);
-  }, []);
+    if (isInitialized) {
+      saveStoredValue("foods", foods, profileId);
+    }
+  }, [foods, isInitialized, profileId]);
 
-  // Set up notifications when app loads and when weeklyEntries changes
   useEffect(() => {
-    if (isInitialized && weeklyEntries) {
-      setupNotifications(() => weeklyEntries);
+    if (isInitialized) {
+      saveStoredValue("calorieCheck", calorieCheck, profileId);
     }
-  }, [isInitialized, weeklyEntries]);
+  }, [calorieCheck, isInitialized, profileId]);
 
-  // Save to localStorage whenever data changes (but not on initial mount)
   useEffect(() => {
     if (isInitialized) {
-      setLocalStorage("macroDailyBudget", dailyBudget);
+      saveStoredValue("units", units, profileId);
     }
-  }, [dailyBudget, isInitialized]);
+  }, [units, isInitialized, profileId]);
 
   useEffect(() => {
     if (isInitialized) {
-      setLocalStorage("macroWeeklyEntries", weeklyEntries);
+      saveStoredValue("importMappings", importMappings, profileId);
     }
-  }, [weeklyEntries, isInitialized]);
+  }, [importMappings, isInitialized, profileId]);
 
+  useEffect(() => {
+    if (isInitialized) {
+      saveStoredValue("reminders", reminders, profileId);
+    }
+  }, [reminders, isInitialized, profileId]);
+
+  useEffect(() => {
+    if (isInitialized) {
+      saveStoredValue("dayLimits", dayLimits, profileId);
+    }
+  }, [dayLimits, isInitialized, profileId]);
+
+  useEffect(() => {
+    if (isInitialized) {
+      saveStoredValue("rollover", rollover, profileId);
+    }
+  }, [rollover, isInitialized, profileId]);
+
+  useEffect(() => {
+    if (isInitialized) {
+      saveStoredValue("budgetReview", budgetReview, profileId);
+    }
+  }, [budgetReview, isInitialized, profileId]);
+
+  useEffect(() => {
+    if (isInitialized) {
+      setSnapshotsSaved(
+        saveStoredValue("clearSnapshots", clearSnapshots, profileId)
+      );
+    }
+  }, [clearSnapshots, isInitialized, profileId]);
+
+  useEffect(() => {
+    if (isInitialized) {
+      saveStoredValue("sync", sync, profileId);
+    }
+  }, [sync, isInitialized, profileId]);
+
+  useEffect(() => {
+    if (isInitialized) {
+      saveStoredValue("editStamps", editStamps, profileId);
+    }
+  }, [editStamps, isInitialized, profileId]);
+
+  // Undo/redo covers the budget, the training day targets and the entries
+  const restoreHistory = useCallback((snapshot) => {
+    setDailyBudget(snapshot.dailyBudget);
+    setDayTargets(snapshot.dayTargets);
+    setWeeks(snapshot.weeks);
+  }, []);
+  const { undo, redo, separateStep, canUndo, canRedo } = useUndoHistory(
+    { dailyBudget, dayTargets, weeks },
+    restoreHistory
+  );
+  useUndoShortcuts(undo, redo);
+
+  // Amounts arrive checked and stored-formatted from AmountInput
   const handleDailyBudgetChange = (field, value) => {
-    // Allow empty string or positive whole numbers only (no decimals)
-    if (value === "" || /^\d+$/.test(value)) {
-      setDailyBudget((prev) => ({
-        ...prev,
+    setDailyBudget((prev) => ({
+      ...prev,
+      [field]: value,
+    }));
+  };
+
+  const handleApplyWizardBudget = (budget) => {
+    separateStep();
+    setDailyBudget(budget);
+    setShowWizard(false);
+  };
+
+  const handleToggleDayTargets = (enabled) => {
+    setDayTargets((prev) => ({
+      ...prev,
+      enabled,
+      trainingBudget: prev.trainingBudget || dailyBudget,
+    }));
+  };
+
+  const handleTrainingBudgetChange = (field, value) => {
+    setDayTargets((prev) => ({
+      ...prev,
+      trainingBudget: {
+        ...(prev.trainingBudget || dailyBudget),
         [field]: value,
-      }));
-    }
+      },
+    }));
+  };
+
+  const handleToggleTrainingDay = (day) => {
+    setDayTargets((prev) => ({
+      ...prev,
+      trainingDays: prev.trainingDays.includes(day)
+        ? prev.trainingDays.filter((d) => d !== day)
+        : [...prev.trainingDays, day],
+    }));
   };
 
-  const handleWeeklyEntryChange = (day, field, value) => {
-    // Allow empty string or positive whole numbers only (no decimals)
-    if (value === "" || /^\d+$/.test(value)) {
-      setWeeklyEntries((prev) => ({
+  // Apply an update to one day of the selected week, in the ISO week the
+  // day is stored in
+  const updateDayEntry = (day, update) => {
+    const weekKey = getEntryWeekKey(selectedWeek, day, firstDay);
+    setWeeks((prev) => {
+      const week = { ...createEmptyWeek(), ...prev[weekKey] };
+      return {
         ...prev,
-        [day]: {
-          ...prev[day],
-          [field]: value,
+        [weekKey]: {
+          ...week,
+          [day]: update(week[day]),
         },
-      }));
+      };
+    });
+  };
+
+  // `expression` is the sum the value was worked out from, if any. It is
+  // added to the day's workings so the total can be traced back later.
+  const handleWeeklyEntryChange = (day, field, value, expression) => {
+    const record = (entry) =>
+      expression
+        ? addWorking(entry, {
+            field,
+            expression,
+            result: value,
+            unit: getFieldUnit(field),
+          })
+        : entry;
+    if (expression) separateStep();
+    // Body weight plays no part in the calorie check
+    if (field === "weight") {
+      updateDayEntry(day, (entry) => record({ ...entry, weight: value }));
+      return;
     }
+    updateDayEntry(day, (entry) =>
+      record(applyEntryChange(entry, field, value, calorieCheck))
+    );
   };
 
-  const handleClearAll = () => {
-    // Reset daily budget to defaults
-    setDailyBudget(DEFAULT_DAILY_BUDGET);
+  const handleFoodItemsChange = (day, items) => {
+    updateDayEntry(day, (entry) =>
+      setDayFoodItems(
+        entry,
+        hasFoodItems(entry)
+          ? items
+          : [...getStartingItems(entry, t("foodLog.earlierTotal")), ...items]
+      )
+    );
+  };
+
+  const toggleDayExpanded = (day) => {
+    setExpandedDays((prev) => ({ ...prev, [day]: !prev[day] }));
+  };
 
-    // Reset weekly entries
-    const emptyWeeklyEntries = DAYS.reduce((acc, day) => {
-      acc[day] = { calories: "", carbs: "", protein: "", fat: "" };
-      return acc;
-    }, {});
-    setWeeklyEntries(emptyWeeklyEntries);
+  // Everything that is persisted, as exported and imported by DataTransfer
+  const appState = {
+    dailyBudget,
+    dayTargets,
+    bodyProfile,
+    budgetInputMode,
+    calorieCheck,
+    units,
+    foods,
+    importMappings,
+    reminders,
+    rollover,
+    dayLimits,
+    weeks,
+  };
 
-    // Clear localStorage
-    removeLocalStorage("macroDailyBudget");
-    removeLocalStorage("macroWeeklyEntries");
+  const handleImport = (state) => {
+    separateStep();
+    setDailyBudget(state.dailyBudget);
+    setDayTargets({ ...DEFAULT_DAY_TARGETS, ...state.dayTargets });
+    setBodyProfile({ ...DEFAULT_BODY_PROFILE, ...state.bodyProfile });
+    setBudgetInputMode(state.budgetInputMode);
+    setCalorieCheck({ ...DEFAULT_CALORIE_CHECK, ...state.calorieCheck });
+    setUnits({ ...DEFAULT_UNITS, ...state.units });
+    setFoods(state.foods);
+    setImportMappings(state.importMappings);
+    setReminders({ ...DEFAULT_REMINDERS, ...state.reminders });
+    setRollover({ ...DEFAULT_ROLLOVER, ...state.rollover });
+    setDayLimits({ ...DEFAULT_DAY_LIMITS, ...state.dayLimits });
+    setWeeks(state.weeks);
   };
 
-  // Calculate remaining budget and distribute across remaining days
-  const calculateRemaining = () => {
-    const dailyCalories = calculateCalories(
-      dailyBudget.carbs,
-      dailyBudget.protein,
-      dailyBudget.fat
+  // Sync: stamp every edit with its time, so the server can tell which of
+  // two versions is newer. Changes that came from the server aren't edits.
+  const syncedSettings = SYNCED_SETTINGS.reduce((acc, name) => {
+    acc[name] = appState[name];
+    return acc;
+  }, {});
+  const settingsText = JSON.stringify(syncedSettings);
+  const lastWeeks = useRef(weeks);
+  const lastSettingsText = useRef(settingsText);
+  const fromServer = useRef({ days: [], settings: null });
+
+  useEffect(() => {
+    const previous = lastWeeks.current;
+    lastWeeks.current = weeks;
+    const changed = getChangedDays(previous, weeks).filter(
+      (key) => !fromServer.current.days.includes(key)
     );
-    const weeklyBudget = {
-      calories: dailyCalories * 7,
-      carbs: parseFloat(dailyBudget.carbs) * 7 || 0,
-      protein: parseFloat(dailyBudget.protein) * 7 || 0,
-      fat: parseFloat(dailyBudget.fat) * 7 || 0,
-    };
+    fromServer.current.days = [];
+    if (changed.length > 0) {
+      setEditStamps((prev) => stampDays(prev, changed, Date.now()));
+    }
+  }, [weeks]);
 
-    const totals = {
-      calories: 0,
-      carbs: 0,
-      protein: 0,
-      fat: 0,
-    };
+  useEffect(() => {
+    const changed =
+      settingsText !== lastSettingsText.current &&
+      settingsText !== fromServer.current.settings;
+    lastSettingsText.current = settingsText;
+    fromServer.current.settings = null;
+    if (changed) {
+      setEditStamps((prev) => ({ ...prev, settings: Date.now() }));
+    }
+  }, [settingsText]);
 
-    const emptyFields = {
-      calories: [],
-      carbs: [],
-      protein: [],
-      fat: [],
-    };
+  const applySyncedSettings = (value) => {
+    const settings = { ...syncedSettings, ...value };
+    setDailyBudget(settings.dailyBudget);
+    setDayTargets({ ...DEFAULT_DAY_TARGETS, ...settings.dayTargets });
+    setBodyProfile({ ...DEFAULT_BODY_PROFILE, ...settings.bodyProfile });
+    setBudgetInputMode(settings.budgetInputMode);
+    setCalorieCheck({ ...DEFAULT_CALORIE_CHECK, ...settings.calorieCheck });
+    setRollover({ ...DEFAULT_ROLLOVER, ...settings.rollover });
+    setDayLimits({ ...DEFAULT_DAY_LIMITS, ...settings.dayLimits });
+  };
 
-    DAYS.forEach((day) => {
-      const entry = weeklyEntries[day];
-      ["calories", "carbs", "protein", "fat"].forEach((field) => {
-        const value = parseFloat(entry[field]);
-        if (!isNaN(value) && value > 0) {
-          totals[field] += value;
-        } else {
-          emptyFields[field].push(day);
+  const handleSync = () => {
+    if (!sync.endpoint || syncStatus.state === "syncing") return;
+    setSyncStatus({ state: "syncing" });
+    syncWithServer({
+      sync,
+      weeks,
+      settings: syncedSettings,
+      defaultSettings: DEFAULT_SYNCED_SETTINGS,
+      stamps: editStamps,
+    })
+      .then((result) => {
+        const incoming = Object.keys(result.incoming);
+        separateStep();
+        if (incoming.length > 0) {
+          fromServer.current.days = incoming;
+          setWeeks((prev) => applyIncomingDays(prev, result.incoming));
+        }
+        if (result.incomingSettings) {
+          fromServer.current.settings = JSON.stringify({
+            ...syncedSettings,
+            ...result.incomingSettings,
+          });
+          applySyncedSettings(result.incomingSettings);
         }
+        // Records from the server no longer count as edited here
+        if (incoming.length > 0 || result.incomingSettings) {
+          setEditStamps((prev) => {
+            const days = { ...prev.days };
+            incoming.forEach((key) => delete days[key]);
+            return {
+              days,
+              settings: result.incomingSettings ? 0 : prev.settings,
+            };
+          });
+        }
+        setSync((prev) => ({
+          ...prev,
+          lastSyncAt: result.lastSyncAt,
+          base: result.base,
+        }));
+        setSyncConflicts((prev) => [
+          ...prev.filter(
+            ({ key }) => !result.conflicts.some((c) => c.key === key)
+          ),
+          ...result.conflicts,
+        ]);
+        setSyncStatus({ state: "idle", skipped: result.skipped });
+      })
+      .catch((error) => {
+        console.error("Error syncing:", error);
+        setSyncStatus({ state: "error", message: error.message });
+      });
+  };
+
+  // Sync a little while after the last edit, when the app opens and when
+  // the connection comes back
+  const syncRef = useRef(handleSync);
+  useEffect(() => {
+    syncRef.current = handleSync;
+  });
+  useEffect(() => {
+    if (!sync.endpoint) return;
+    const timeout = setTimeout(() => syncRef.current(), SYNC_DELAY);
+    return () => clearTimeout(timeout);
+  }, [editStamps, sync.endpoint]);
+
+  useEffect(() => {
+    const handleOnline = () => syncRef.current();
+    window.addEventListener("online", handleOnline);
+    return () => window.removeEventListener("online", handleOnline);
+  }, []);
+
+  // Picking the version that lost a conflict makes it a new edit, which the
+  // next sync sends to the server
+  const handleUseOtherVersion = (conflict) => {
+    const other = conflict.kept === "local" ? conflict.remote : conflict.local;
+    separateStep();
+    if (conflict.key === "settings") {
+      applySyncedSettings(other);
+    } else {
+      const [weekKey, day] = conflict.key.split("/");
+      setWeeks((prev) => ({
+        ...prev,
+        [weekKey]: { ...createEmptyWeek(), ...prev[weekKey], [day]: other },
+      }));
+    }
+    setSyncConflicts((prev) => prev.filter(({ key }) => key !== conflict.key));
+  };
+
+  // Clearing keeps a snapshot of the cleared data so it can be restored
+  const handleClear = (scope) => {
+    const snapshot = createClearSnapshot(
+      scope,
+      { dailyBudget, dayTargets, weeks },
+      selectedWeek,
+      firstDay
+    );
+    setClearSnapshots((prev) => addClearSnapshot(prev, snapshot));
+    separateStep();
+
+    if (scope !== "week") {
+      setDailyBudget(DEFAULT_DAILY_BUDGET);
+      setDayTargets(DEFAULT_DAY_TARGETS);
+    }
+    if (scope === "week") {
+      setWeeks((prev) => clearPlanWeek(prev, selectedWeek, firstDay));
+    } else if (scope === "all") {
+      setWeeks({});
+    }
+
+    setLastCleared(snapshot);
+    setShowClearDialog(false);
+  };
+
+  const handleRestoreCleared = (snapshot) => {
+    const restored = restoreClearSnapshot(
+      { dailyBudget, dayTargets, weeks },
+      snapshot
+    );
+    separateStep();
+    setDailyBudget(restored.dailyBudget);
+    setDayTargets(restored.dayTargets);
+    setWeeks(restored.weeks);
+    setClearSnapshots((prev) => prev.filter(({ id }) => id !== snapshot.id));
+    setLastCleared(null);
+    setShowClearDialog(false);
+  };
+
+  const trainingBudget = dayTargets.trainingBudget || dailyBudget;
+
+  // The budget math lives in budget.js
+  const budgets = { dailyBudget, dayTargets };
+  const isTrainingDay = (day) => isTrainingDayOf(budgets, day);
+  const getDayTarget = (day) => getDayTargetOf(budgets, day);
+
+  // Keep the service worker's reminder schedule up to date. The day summary
+  // is compared as text so unrelated edits don't reschedule anything.
+  // Other profiles' reminders stay scheduled; the profile list lets the
+  // worker drop those of deleted profiles.
+  const reminderStatus = JSON.stringify(
+    getReminderStatus(weeks, isDayFilled, getDayTarget)
+  );
+  const profileName = getProfileName(getProfile(profiles, profileId), t);
+  const profileIds = profiles.list.map(({ id }) => id).join(",");
+  useEffect(() => {
+    if (isInitialized) {
+      syncReminders({
+        profile: { id: profileId, name: profileName },
+        profileIds: profileIds.split(","),
+        settings: reminders,
+        status: JSON.parse(reminderStatus),
+        language,
       });
+    }
+  }, [
+    reminders,
+    reminderStatus,
+    language,
+    isInitialized,
+    profileId,
+    profileName,
+    profileIds,
+  ]);
+
+  const handleRequestPermission = () => {
+    Notification.requestPermission().then(setNotificationPermission);
+  };
+
+  // Amounts as shown: grams to the chosen number of decimals, energy whole
+  // and in the chosen unit, both in the interface locale
+  const formatGrams = (amount) => formatNumber(amount, units.decimals, locale);
+  const formatCalories = (kcal) =>
+    formatNumber(toEnergyUnit(kcal, units.energy), 0, locale);
+  // A problem with the daily limits (see distribution.js), with its amounts
+  // in grams or the chosen energy unit
+  const describeProblem = ({ key, params }) => {
+    const isEnergy = params.field === "calories";
+    const values = { ...params };
+    ["amount", "limit", "min", "max"]
+      .filter((name) => params[name] !== undefined)
+      .forEach((name) => {
+        values[name] = isEnergy
+          ? formatCalories(params[name])
+          : formatGrams(params[name]);
+      });
+    return t(key, {
+      ...values,
+      field: t(`stats.${params.field}`),
+      unit: isEnergy ? units.energy : "g",
+    });
+  };
+  const formatMacros = (values) =>
+    t("summary.macros", {
+      carbs: formatGrams(values.carbs),
+      protein: formatGrams(values.protein),
+      fat: formatGrams(values.fat),
     });
 
-    const remaining = {
-      calories: weeklyBudget.calories - totals.calories,
-      carbs: weeklyBudget.carbs - totals.carbs,
-      protein: weeklyBudget.protein - totals.protein,
-      fat: weeklyBudget.fat - totals.fat,
-    };
+  // Calories left over or overspent last week, per the rollover rule
+  const carried = getCarryOver({
+    weeks,
+    weekKey: selectedWeek,
+    firstDay,
+    settings: rollover,
+    weeklyBudget: getWeeklyBudget(budgets),
+    isDayFilled,
+    getDayTarget,
+  });
 
-    // Calculate placeholders for each field type
-    const getPlaceholder = (field) => {
-      const emptyCount = emptyFields[field].length;
-      if (emptyCount === 0) return 0;
-      return Math.round(remaining[field] / emptyCount);
-    };
+  const {
+    weeklyBudget,
+    remaining,
+    suggestions,
+    problems: distributionProblems,
+  } = calculateWeek({
+    entries: weeklyEntries,
+    budgets,
+    carried,
+    limits: dayLimits,
+  });
 
-    return {
-      remaining,
-      getPlaceholder,
-      isEmptyField: (day, field) => {
-        const value = parseFloat(weeklyEntries[day][field]);
-        return isNaN(value) || value === 0;
-      },
+  // Read out what's left as it changes, once typing pauses
+  const remainingSummary = [
+    formatEnergy(remaining.calories, units.energy, locale),
+    formatMacros(remaining),
+  ].join(", ");
+  const [announcement, setAnnouncement] = useState("");
+  const announced = useRef(remainingSummary);
+  useEffect(() => {
+    if (remainingSummary === announced.current) return;
+    const timer = setTimeout(() => {
+      announced.current = remainingSummary;
+      setAnnouncement(t("budget.remainingWeek", { summary: remainingSummary }));
+    }, ANNOUNCE_DELAY);
+    return () => clearTimeout(timer);
+  }, [remainingSummary, t]);
+
+  // Suggested amounts for the days that haven't been logged
+  const getPlaceholder = (day, field) => {
+    if (!suggestions[day]) return "";
+    const amount = suggestions[day][field];
+    return field === "calories" ? formatCalories(amount) : formatGrams(amount);
+  };
+
+  const isEmptyField = (day, field) => {
+    const value = parseFloat(weeklyEntries[day][field]);
+    return isNaN(value) || value === 0;
+  };
+
+  // The entry of the day before; the first day's is the last day of the
+  // week before
+  const getYesterdayEntry = (day) => {
+    const index = planDays.indexOf(day);
+    if (index > 0) return weeklyEntries[planDays[index - 1]];
+    return getPlanEntries(weeks, shiftWeek(selectedWeek, -1), firstDay)[
+      planDays[planDays.length - 1]
+    ];
+  };
+
+  // Everything but the body weight, which is measured and not eaten
+  const copyYesterday = (day) => {
+    const { weight, workings, ...yesterday } = getYesterdayEntry(day);
+    if (!isDayFilled(yesterday)) return;
+    separateStep();
+    updateDayEntry(day, (entry) =>
+      entry.weight ? { ...yesterday, weight: entry.weight } : yesterday
+    );
+  };
+
+  // Take the suggestion for the fields that are still empty. Calories go
+  // last so auto-fill can derive them from the macros first.
+  const fillWithSuggestion = (day) => {
+    if (!suggestions[day] || hasFoodItems(weeklyEntries[day])) return;
+    separateStep();
+    updateDayEntry(day, (entry) =>
+      ["carbs", "protein", "fat", "calories"].reduce(
+        (acc, field) =>
+          parseFloat(acc[field]) > 0
+            ? acc
+            : applyEntryChange(
+                acc,
+                field,
+                String(suggestions[day][field]),
+                calorieCheck
+              ),
+        entry
+      )
+    );
+  };
+
+  // Spreadsheet-style keys for the weekly table. Arrow keys move between
+  // cells (left and right only once the caret reaches the edge of the
+  // value), Enter moves down and Shift+Enter up. Ctrl/Cmd+D copies
+  // yesterday and Ctrl/Cmd+Enter fills in the suggestion.
+  const handleCellKeyDown = (e, day, field) => {
+    const shortcut = (e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey;
+    if (shortcut && e.key.toLowerCase() === "d") {
+      e.preventDefault();
+      copyYesterday(day);
+      return;
+    }
+    if (shortcut && e.key === "Enter") {
+      e.preventDefault();
+      fillWithSuggestion(day);
+      return;
+    }
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const { selectionStart, selectionEnd, value } = e.target;
+    const moves = {
+      ArrowUp: [-1, 0],
+      ArrowDown: [1, 0],
+      Enter: e.shiftKey ? [-1, 0] : [1, 0],
+      ArrowLeft: selectionStart === 0 && selectionEnd === 0 ? [0, -1] : null,
+      ArrowRight:
+        selectionStart === value.length && selectionEnd === value.length
+          ? [0, 1]
+          : null,
     };
+    const move = moves[e.key];
+    if (!move) return;
+    const row = planDays.indexOf(day) + move[0];
+    const col = entryColumns.findIndex((column) => column.field === field);
+    const target = entryColumns[col + move[1]];
+    if (row < 0 || row >= planDays.length || !target) return;
+    e.preventDefault();
+    const input = e.target
+      .closest("table")
+      .querySelector(
+        `input[data-day="${planDays[row]}"][data-field="${target.field}"]`
+      );
+    input.focus();
+    input.select();
+  };
+
+  // Budget suggestion from the weight trend, at most once per review interval
+  const goalRate = getGoalRate(bodyProfile.goal, bodyProfile.rate);
+  const reviewDue =
+    !budgetReview ||
+    new Date() - parseDateString(budgetReview.date) >=
+      REVIEW_INTERVAL_DAYS * 24 * 60 * 60 * 1000;
+  const budgetSuggestion =
+    reviewDue &&
+    getBudgetSuggestion({
+      weeks,
+      isDayFilled,
+      dailyBudget,
+      averageTarget: weeklyBudget.calories / 7,
+      restDays: DAYS.filter((day) => !isTrainingDay(day)).length,
+      goalRate,
+    });
+
+  const handleBudgetReview = (accepted) => {
+    if (accepted) {
+      separateStep();
+      setDailyBudget(budgetSuggestion.budget);
+    }
+    setBudgetReview({
+      date: toDateString(new Date()),
+      action: accepted ? "accepted" : "ignored",
+    });
+  };
+
+  const getFieldUnit = (field) =>
+    field === "calories" ? units.energy : field === "weight" ? "kg" : "g";
+
+  // The sum a field's current value came from, if it still holds its result
+  const getLastWorking = (entry, field) => {
+    const working = (entry.workings || [])
+      .filter((item) => item.field === field)
+      .pop();
+    return working && working.result === entry[field] ? working : null;
+  };
+
+  // Weekly table columns; alcohol and fiber only when tracked
+  const entryColumns = [
+    { field: "calories", label: t(`field.calories.${units.energy}`) },
+    { field: "carbs", label: t("field.carbs") },
+    { field: "protein", label: t("field.protein") },
+    { field: "fat", label: t("field.fat") },
+    ...(calorieCheck.trackAlcohol
+      ? [{ field: "alcohol", label: t("field.alcohol") }]
+      : []),
+    ...(calorieCheck.trackFiber
+      ? [{ field: "fiber", label: t("field.fiber") }]
+      : []),
+    { field: "weight", label: t("field.weight") },
+  ];
+
+  const renderEntryInput = (day, field, label) => {
+    const entry = weeklyEntries[day];
+    // Alcohol, fiber and weight have no budget and aren't part of the food log
+    const isExtra = ["alcohol", "fiber", "weight"].includes(field);
+    const working = getLastWorking(entry, field);
+    return (
+      <AmountInput
+        decimals={field === "weight" ? WEIGHT_DECIMALS : units.decimals}
+        unit={field === "calories" ? units.energy : "g"}
+        allowExpressions
+        aria-label={t("weekly.cell", { field: label, day: dayName(day) })}
+        title={
+          working
+            ? t("weekly.workedOut", { expression: working.expression })
+            : undefined
+        }
+        data-day={day}
+        data-field={field}
+        value={entry[field] || ""}
+        readOnly={hasFoodItems(entry) && !isExtra}
+        className={
+          field === "calories" && entry.caloriesAuto ? "auto" : undefined
+        }
+        onChange={(value, expression) =>
+          handleWeeklyEntryChange(day, field, value, expression)
+        }
+        onKeyDown={(e) => handleCellKeyDown(e, day, field)}
+        placeholder={
+          !isExtra && isEmptyField(day, field) ? getPlaceholder(day, field) : ""
+        }
+      />
+    );
   };
 
-  const { remaining, getPlaceholder, isEmptyField } = calculateRemaining();
+  const renderCalorieMismatch = (day) => {
+    const entry = weeklyEntries[day];
+    const mismatch = getCalorieMismatch(entry, calorieCheck);
+    if (!mismatch) return null;
+    const message = t("mismatch.fromMacros", {
+      amount: formatCalories(mismatch.derived),
+    });
+    const title = t(
+      mismatch.difference > 0 ? "mismatch.above" : "mismatch.below",
+      {
+        amount: formatEnergy(
+          Math.abs(mismatch.difference),
+          units.energy,
+          locale
+        ),
+      }
+    );
+    // Days with a food log have to be fixed in the log itself
+    if (hasFoodItems(entry)) {
+      return (
+        <span className="calorie-mismatch" title={title}>
+          ⚠ {message}
+        </span>
+      );
+    }
+    return (
+      <button
+        className="calorie-mismatch"
+        title={t("mismatch.fix", { title })}
+        onClick={() =>
+          handleWeeklyEntryChange(day, "calories", String(mismatch.derived))
+        }
+      >
+        ⚠ {message}
+      </button>
+    );
+  };
 
   return (
     <div className="App">
       <div className="container">
         <div className="header-section">
-          <h1>Macros Calculator</h1>
-          <button className="clear-all-btn" onClick={handleClearAll}>
-            Clear All
-          </button>
+          <h1>{t("app.title")}</h1>
+          <div className="header-actions">
+            <button
+              className="week-nav-btn"
+              onClick={undo}
+              disabled={!canUndo}
+              title={t("app.undoTitle")}
+            >
+              {t("app.undo")}
+            </button>
+            <button
+              className="week-nav-btn"
+              onClick={redo}
+              disabled={!canRedo}
+              title={t("app.redoTitle")}
+            >
+              {t("app.redo")}
+            </button>
+            <ProfileSwitcher profiles={profiles} onChange={onProfilesChange} />
+            <button
+              className="clear-all-btn"
+              onClick={() => setShowClearDialog((prev) => !prev)}
+              aria-expanded={showClearDialog}
+            >
+              {t("app.clearAll")}
+            </button>
+          </div>
         </div>
 
+        <UpdatePrompt />
+
+        {showClearDialog && (
+          <ClearDialog
+            weekLabel={weekRange}
+            snapshots={clearSnapshots}
+            onClear={handleClear}
+            onRestore={handleRestoreCleared}
+            onClose={() => setShowClearDialog(false)}
+          />
+        )}
+
+        {lastCleared && !showClearDialog && (
+          <div className="clear-notice" role="status">
+            <span>
+              {t("clear.notice", {
+                what: describeClearSnapshot(lastCleared, t, locale),
+              })}
+            </span>
+            {!snapshotsSaved && (
+              <span className="clear-error" role="alert">
+                {t("clear.notSaved")}
+              </span>
+            )}
+            <button
+              className="week-nav-btn"
+              onClick={() => handleRestoreCleared(lastCleared)}
+            >
+              {t("common.restore")}
+            </button>
+            <button
+              className="week-nav-btn"
+              onClick={() => setLastCleared(null)}
+            >
+              {t("common.dismiss")}
+            </button>
+          </div>
+        )}
+
+        {quarantined.length > 0 && (
+          <StorageProblems
+            items={quarantined}
+            onDismiss={() => {
+              clearQuarantine();
+              setQuarantined([]);
+            }}
+          />
+        )}
+
         <div className="budget-section">
-          <h2>Daily Budget</h2>
-          <div className="budget-inputs">
-            <div className="input-group">
-              <label>Calories</label>
-              <input
-                type="number"
-                disabled
-                value={calculateCalories(
-                  dailyBudget.carbs,
-                  dailyBudget.protein,
-                  dailyBudget.fat
-                )}
-                readOnly
-              />
-              <span className="input-helper">Calculated from macros</span>
-            </div>
-            <div className="input-group">
-              <label>Carbs (g)</label>
-              <input
-                type="number"
-                min="0"
-                step="1"
-                inputMode="numeric"
-                value={dailyBudget.carbs}
-                onChange={(e) =>
-                  handleDailyBudgetChange("carbs", e.target.value)
-                }
-                placeholder="Daily carbs"
-              />
-            </div>
-            <div className="input-group">
-              <label>Protein (g)</label>
-              <input
-                type="number"
-                min="0"
-                step="1"
-                inputMode="numeric"
-                value={dailyBudget.protein}
-                onChange={(e) =>
-                  handleDailyBudgetChange("protein", e.target.value)
-                }
-                placeholder="Daily protein"
-              />
-            </div>
-            <div className="input-group">
-              <label>Fat (g)</label>
-              <input
-                type="number"
-                min="0"
-                step="1"
-                inputMode="numeric"
-                value={dailyBudget.fat}
-                onChange={(e) => handleDailyBudgetChange("fat", e.target.value)}
-                placeholder="Daily fat"
-              />
-            </div>
+          <div className="budget-section-header">
+            <h2>
+              {dayTargets.enabled ? t("budget.restDay") : t("budget.daily")}
+            </h2>
+            {!showWizard && (
+              <button
+                className="week-nav-btn"
+                onClick={() => setShowWizard(true)}
+              >
+                {t("budget.helpMeChoose")}
+              </button>
+            )}
+          </div>
+          {showWizard && (
+            <BudgetWizard
+              profile={bodyProfile}
+              units={units}
+              onProfileChange={setBodyProfile}
+              onApply={handleApplyWizardBudget}
+              onClose={() => setShowWizard(false)}
+            />
+          )}
+          <div
+            className="input-mode-switch"
+            role="group"
+            aria-label={t("budget.inputMode")}
+          >
+            <button
+              className={budgetInputMode === "grams" ? "active" : ""}
+              aria-pressed={budgetInputMode === "grams"}
+              onClick={() => setBudgetInputMode("grams")}
+            >
+              {t("budget.grams")}
+            </button>
+            <button
+              className={budgetInputMode === "percent" ? "active" : ""}
+              aria-pressed={budgetInputMode === "percent"}
+              onClick={() => setBudgetInputMode("percent")}
+            >
+              {t("budget.percent")}
+            </button>
           </div>
+          {budgetInputMode === "percent" ? (
+            <BudgetSplitInputs
+              budget={dailyBudget}
+              units={units}
+              onChange={setDailyBudget}
+            />
+          ) : (
+            <div className="budget-inputs">
+              <div className="input-group">
+                <label>{t(`field.calories.${units.energy}`)}</label>
+                <input
+                  type="text"
+                  disabled
+                  value={formatCalories(
+                    calculateCalories(
+                      dailyBudget.carbs,
+                      dailyBudget.protein,
+                      dailyBudget.fat
+                    )
+                  )}
+                  readOnly
+                />
+                <span className="input-helper">{t("budget.fromMacros")}</span>
+              </div>
+              <div className="input-group">
+                <label>{t("field.carbs")}</label>
+                <AmountInput
+                  decimals={units.decimals}
+                  value={dailyBudget.carbs}
+                  onChange={(value) => handleDailyBudgetChange("carbs", value)}
+                  placeholder={t("budget.carbsPlaceholder")}
+                />
+              </div>
+              <div className="input-group">
+                <label>{t("field.protein")}</label>
+                <AmountInput
+                  decimals={units.decimals}
+                  value={dailyBudget.protein}
+                  onChange={(value) =>
+                    handleDailyBudgetChange("protein", value)
+                  }
+                  placeholder={t("budget.proteinPlaceholder")}
+                />
+              </div>
+              <div className="input-group">
+                <label>{t("field.fat")}</label>
+                <AmountInput
+                  decimals={units.decimals}
+                  value={dailyBudget.fat}
+                  onChange={(value) => handleDailyBudgetChange("fat", value)}
+                  placeholder={t("budget.fatPlaceholder")}
+                />
+              </div>
+            </div>
+          )}
+          <DayTargets
+            dayTargets={dayTargets}
+            trainingBudget={trainingBudget}
+            trainingCalories={formatCalories(
+              calculateCalories(
+                trainingBudget.carbs,
+                trainingBudget.protein,
+                trainingBudget.fat
+              )
+            )}
+            units={units}
+            onToggle={handleToggleDayTargets}
+            onBudgetChange={handleTrainingBudgetChange}
+            onToggleDay={handleToggleTrainingDay}
+          />
+          {budgetSuggestion && budgetSuggestion.budget && (
+            <BudgetSuggestion
+              suggestion={budgetSuggestion}
+              units={units}
+              onAccept={() => handleBudgetReview(true)}
+              onIgnore={() => handleBudgetReview(false)}
+            />
+          )}
           <div className="weekly-budget">
             <p>
-              Weekly Budget:{" "}
-              {calculateCalories(
-                dailyBudget.carbs,
-                dailyBudget.protein,
-                dailyBudget.fat
-              ) * 7}{" "}
-              cal, {parseFloat(dailyBudget.carbs) * 7 || 0}g carbs,{" "}
-              {parseFloat(dailyBudget.protein) * 7 || 0}g protein,{" "}
-              {parseFloat(dailyBudget.fat) * 7 || 0}g fat
+              {t("budget.weekly", {
+                energy: formatEnergy(
+                  weeklyBudget.calories,
+                  units.energy,
+                  locale
+                ),
+              })}
+              {carried.calories !== 0 && (
+                <span className="carried">
+                  {" "}
+                  {t("budget.carried", {
+                    amount: `${carried.calories > 0 ? "+" : "−"}${formatEnergy(
+                      Math.abs(carried.calories),
+                      units.energy,
+                      locale
+                    )}`,
+                  })}
+                </span>
+              )}
+              , {formatMacros(weeklyBudget)}
             </p>
             <p className="remaining">
-              Remaining: {remaining.calories.toFixed(0)} cal,{" "}
-              {remaining.carbs.toFixed(0)}g carbs,{" "}
-              {remaining.protein.toFixed(0)}g protein,{" "}
-              {remaining.fat.toFixed(0)}g fat
+              {t("budget.remaining", { summary: remainingSummary })}
             </p>
+            <p className="visually-hidden" aria-live="polite">
+              {announcement}
+            </p>
+            {distributionProblems.length > 0 && (
+              <div className="distribution-problems" role="status">
+                <p>{t("budget.limitProblems")}</p>
+                <ul>
+                  {distributionProblems.map((problem) => (
+                    <li key={`${problem.key}-${problem.params.field}`}>
+                      {describeProblem(problem)}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            <RolloverSettings
+              settings={rollover}
+              units={units}
+              onChange={setRollover}
+            />
+            <button
+              className="section-toggle day-limits-toggle"
+              onClick={() => setShowDayLimits((prev) => !prev)}
+              aria-expanded={showDayLimits}
+            >
+              {showDayLimits ? "▾" : "▸"} {t("budget.dayLimits")}
+            </button>
+            {showDayLimits && (
+              <DayLimits
+                limits={dayLimits}
+                units={units}
+                onChange={setDayLimits}
+              />
+            )}
           </div>
         </div>
 
         <div className="weekly-section">
-          <h2>Weekly Plan</h2>
-          <table className="weekly-table">
+          <h2>{t("weekly.title")}</h2>
+          <div className="week-nav">
+            <button
+              className="week-nav-btn"
+              onClick={() => setSelectedWeek((prev) => shiftWeek(prev, -1))}
+            >
+              ← {t("weekly.previous")}
+            </button>
+            <div className="week-nav-label">
+              <span className="week-nav-range">{weekRange}</span>
+              <span className="week-nav-status">
+                {selectedWeek === currentWeek
+                  ? t("weekly.thisWeek")
+                  : selectedWeek < currentWeek
+                  ? t("weekly.pastWeek")
+                  : t("weekly.upcomingWeek")}
+              </span>
+            </div>
+            <button
+              className="week-nav-btn"
+              onClick={() => setSelectedWeek(currentWeek)}
+              disabled={selectedWeek === currentWeek}
+            >
+              {t("weekly.thisWeek")}
+            </button>
+            <button
+              className="week-nav-btn"
+              onClick={() => setSelectedWeek((prev) => shiftWeek(prev, 1))}
+            >
+              {t("weekly.next")} →
+            </button>
+          </div>
+          <div className="weekly-options">
+            <button
+              className="section-toggle"
+              onClick={() => setShowCalorieCheck((prev) => !prev)}
+              aria-expanded={showCalorieCheck}
+            >
+              {showCalorieCheck ? "▾" : "▸"} {t("weekly.calorieCheck")}
+            </button>
+            {showCalorieCheck && (
+              <CalorieCheckSettings
+                settings={calorieCheck}
+                onChange={setCalorieCheck}
+              />
+            )}
+            <button
+              className="section-toggle"
+              onClick={() => setShowUnits((prev) => !prev)}
+              aria-expanded={showUnits}
+            >
+              {showUnits ? "▾" : "▸"} {t("weekly.units")}
+            </button>
+            {showUnits && <UnitSettings settings={units} onChange={setUnits} />}
+            <button
+              className="section-toggle"
+              onClick={() => setShowLocale((prev) => !prev)}
+              aria-expanded={showLocale}
+            >
+              {showLocale ? "▾" : "▸"} {t("weekly.locale")}
+            </button>
+            {showLocale && (
+              <LocaleSettings
+                settings={localeSettings}
+                onChange={onLocaleSettingsChange}
+              />
+            )}
+          </div>
+          <p className="input-helper" id="weekly-table-keys">
+            {t("weekly.help")}
+          </p>
+          <table className="weekly-table" aria-describedby="weekly-table-keys">
+            <caption className="visually-hidden">
+              {t("weekly.caption", { week: weekRange })}
+            </caption>
             <thead>
               <tr>
-                <th>Day</th>
-                <th>Calories</th>
-                <th>Carbs (g)</th>
-                <th>Protein (g)</th>
-                <th>Fat (g)</th>
+                <th scope="col">{t("field.day")}</th>
+                {entryColumns.map(({ field, label }) => (
+                  <th scope="col" key={field}>
+                    {label}
+                  </th>
+                ))}
+                <th scope="col">
+                  <span className="visually-hidden">
+                    {t("weekly.quickFill")}
+                  </span>
+                </th>
               </tr>
             </thead>
             <tbody>
-              {DAYS.map((day) => {
+              {planDays.map((day) => {
                 const entry = weeklyEntries[day];
+                const logged = hasFoodItems(entry);
                 return (
-                  <tr key={day}>
-                    <td className="day-label">{day}</td>
-                    <td>
-                      <input
-                        type="number"
-                        min="0"
-                        step="1"
-                        inputMode="numeric"
-                        value={entry.calories}
-                        onChange={(e) =>
-                          handleWeeklyEntryChange(
-                            day,
-                            "calories",
-                            e.target.value
-                          )
-                        }
-                        placeholder={
-                          isEmptyField(day, "calories")
-                            ? getPlaceholder("calories").toString()
-                            : ""
-                        }
-                      />
-                    </td>
-                    <td>
-                      <input
-                        type="number"
-                        min="0"
-                        step="1"
-                        inputMode="numeric"
-                        value={entry.carbs}
-                        onChange={(e) =>
-                          handleWeeklyEntryChange(day, "carbs", e.target.value)
-                        }
-                        placeholder={
-                          isEmptyField(day, "carbs")
-                            ? getPlaceholder("carbs").toString()
-                            : ""
-                        }
-                      />
-                    </td>
-                    <td>
-                      <input
-                        type="number"
-                        min="0"
-                        step="1"
-                        inputMode="numeric"
-                        value={entry.protein}
-                        onChange={(e) =>
-                          handleWeeklyEntryChange(
-                            day,
-                            "protein",
-                            e.target.value
-                          )
-                        }
-                        placeholder={
-                          isEmptyField(day, "protein")
-                            ? getPlaceholder("protein").toString()
-                            : ""
-                        }
-                      />
-                    </td>
-                    <td>
-                      <input
-                        type="number"
-                        min="0"
-                        step="1"
-                        inputMode="numeric"
-                        value={entry.fat}
-                        onChange={(e) =>
-                          handleWeeklyEntryChange(day, "fat", e.target.value)
-                        }
-                        placeholder={
-                          isEmptyField(day, "fat")
-                            ? getPlaceholder("fat").toString()
-                            : ""
-                        }
-                      />
-                    </td>
-                  </tr>
+                  <Fragment key={day}>
+                    <tr>
+                      <th scope="row" className="day-label">
+                        <button
+                          className="day-toggle"
+                          onClick={() => toggleDayExpanded(day)}
+                          aria-expanded={!!expandedDays[day]}
+                        >
+                          <span className="day-toggle-icon" aria-hidden="true">
+                            {expandedDays[day] ? "▾" : "▸"}
+                          </span>
+                          {dayName(day)}
+                          {isTrainingDay(day) && (
+                            <span className="day-type-badge">
+                              {t("weekly.training")}
+                            </span>
+                          )}
+                          {logged && (
+                            <span className="day-item-count">
+                              {entry.items.length}
+                            </span>
+                          )}
+                        </button>
+                      </th>
+                      {entryColumns.map(({ field, label }) => (
+                        <td key={field} data-label={label}>
+                          {renderEntryInput(day, field, label)}
+                          {field === "calories" && renderCalorieMismatch(day)}
+                        </td>
+                      ))}
+                      <td className="quick-fill">
+                        <button
+                          className="quick-fill-btn"
+                          onClick={() => copyYesterday(day)}
+                          disabled={!isDayFilled(getYesterdayEntry(day))}
+                          title={t("weekly.copyYesterdayTitle")}
+                          aria-label={t("weekly.copyYesterdayLabel", {
+                            day: dayName(day),
+                          })}
+                        >
+                          {t("weekly.copyYesterday")}
+                        </button>
+                        <button
+                          className="quick-fill-btn"
+                          onClick={() => fillWithSuggestion(day)}
+                          disabled={!suggestions[day] || logged}
+                          title={t("weekly.useSuggestionTitle")}
+                          aria-label={t("weekly.useSuggestionLabel", {
+                            day: dayName(day),
+                          })}
+                        >
+                          {t("weekly.useSuggestion")}
+                        </button>
+                      </td>
+                    </tr>
+                    {expandedDays[day] && (
+                      <tr className="food-log-row">
+                        <td colSpan={entryColumns.length + 2}>
+                          {entry.workings && (
+                            <DayWorkings
+                              workings={entry.workings}
+                              units={units}
+                            />
+                          )}
+                          <FoodLog
+                            day={day}
+                            items={entry.items || []}
+                            foods={foods}
+                            units={units}
+                            onChange={(items) =>
+                              handleFoodItemsChange(day, items)
+                            }
+                          />
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
                 );
               })}
             </tbody>
           </table>
+        </div>
 
-          {/* Mobile-friendly card layout */}
-          <div className="weekly-mobile">
-            {DAYS.map((day) => {
-              const entry = weeklyEntries[day];
-              return (
-                <div key={day} className="day-card">
-                  <div className="day-card-header">{day}</div>
-                  <div className="day-card-inputs">
-                    <div className="day-card-input-group">
-                      <label>Calories</label>
-                      <input
-                        type="number"
-                        min="0"
-                        step="1"
-                        inputMode="numeric"
-                        value={entry.calories}
-                        onChange={(e) =>
-                          handleWeeklyEntryChange(
-                            day,
-                            "calories",
-                            e.target.value
-                          )
-                        }
-                        placeholder={
-                          isEmptyField(day, "calories")
-                            ? getPlaceholder("calories").toString()
-                            : ""
-                        }
-                      />
-                    </div>
-                    <div className="day-card-input-group">
-                      <label>Carbs (g)</label>
-                      <input
-                        type="number"
-                        min="0"
-                        step="1"
-                        inputMode="numeric"
-                        value={entry.carbs}
-                        onChange={(e) =>
-                          handleWeeklyEntryChange(day, "carbs", e.target.value)
-                        }
-                        placeholder={
-                          isEmptyField(day, "carbs")
-                            ? getPlaceholder("carbs").toString()
-                            : ""
-                        }
-                      />
-                    </div>
-                    <div className="day-card-input-group">
-                      <label>Protein (g)</label>
-                      <input
-                        type="number"
-                        min="0"
-                        step="1"
-                        inputMode="numeric"
-                        value={entry.protein}
-                        onChange={(e) =>
-                          handleWeeklyEntryChange(
-                            day,
-                            "protein",
-                            e.target.value
-                          )
-                        }
-                        placeholder={
-                          isEmptyField(day, "protein")
-                            ? getPlaceholder("protein").toString()
-                            : ""
-                        }
-                      />
-                    </div>
-                    <div className="day-card-input-group">
-                      <label>Fat (g)</label>
-                      <input
-                        type="number"
-                        min="0"
-                        step="1"
-                        inputMode="numeric"
-                        value={entry.fat}
-                        onChange={(e) =>
-                          handleWeeklyEntryChange(day, "fat", e.target.value)
-                        }
-                        placeholder={
-                          isEmptyField(day, "fat")
-                            ? getPlaceholder("fat").toString()
-                            : ""
-                        }
-                      />
-                    </div>
-                  </div>
-                </div>
-              );
-            })}
-          </div>
+        <div className="stats-section">
+          <h2>
+            <button
+              className="section-toggle"
+              onClick={() => setShowStats((prev) => !prev)}
+              aria-expanded={showStats}
+            >
+              {showStats ? "▾" : "▸"} {t("sections.stats")}
+            </button>
+          </h2>
+          {showStats && (
+            <StatsView
+              weeks={weeks}
+              weekKey={selectedWeek}
+              isDayFilled={isDayFilled}
+              getDayTarget={getDayTarget}
+              goalRate={goalRate}
+              units={units}
+            />
+          )}
+        </div>
+
+        <div className="share-section">
+          <h2>
+            <button
+              className="section-toggle"
+              onClick={() => setShowShare((prev) => !prev)}
+              aria-expanded={showShare}
+            >
+              {showShare ? "▾" : "▸"} {t("sections.share")}
+            </button>
+          </h2>
+          {showShare && (
+            <ShareWeek
+              shared={{
+                weekKey: selectedWeek,
+                firstDay,
+                dailyBudget,
+                dayTargets,
+                carried,
+                entries: weeklyEntries,
+              }}
+              units={units}
+            />
+          )}
+        </div>
+
+        <div className="food-library-section">
+          <h2>
+            <button
+              className="section-toggle"
+              onClick={() => setShowFoodLibrary((prev) => !prev)}
+              aria-expanded={showFoodLibrary}
+            >
+              {showFoodLibrary ? "▾" : "▸"}{" "}
+              {t("sections.foods", { count: foods.length })}
+            </button>
+          </h2>
+          {showFoodLibrary && (
+            <FoodLibrary foods={foods} units={units} onChange={setFoods} />
+          )}
+        </div>
+
+        <div className="reminders-section">
+          <h2>
+            <button
+              className="section-toggle"
+              onClick={() => setShowReminders((prev) => !prev)}
+              aria-expanded={showReminders}
+            >
+              {showReminders ? "▾" : "▸"} {t("sections.reminders")}
+            </button>
+          </h2>
+          {showReminders && (
+            <ReminderSettings
+              settings={reminders}
+              onChange={setReminders}
+              permission={notificationPermission}
+              onRequestPermission={handleRequestPermission}
+            />
+          )}
+        </div>
+
+        <div className="sync-section">
+          <h2>
+            <button
+              className="section-toggle"
+              onClick={() => setShowSync((prev) => !prev)}
+              aria-expanded={showSync}
+            >
+              {showSync ? "▾" : "▸"} {t("sections.sync")}
+              {syncConflicts.length > 0 && ` (${syncConflicts.length})`}
+            </button>
+          </h2>
+          {showSync && (
+            <SyncSettings
+              settings={sync}
+              onChange={setSync}
+              status={syncStatus}
+              onSync={handleSync}
+              conflicts={syncConflicts}
+              onUseOther={handleUseOtherVersion}
+              onDismiss={(conflict) =>
+                setSyncConflicts((prev) =>
+                  prev.filter(({ key }) => key !== conflict.key)
+                )
+              }
+            />
+          )}
+        </div>
+
+        <div className="data-transfer-section">
+          <h2>
+            <button
+              className="section-toggle"
+              onClick={() => setShowDataTransfer((prev) => !prev)}
+              aria-expanded={showDataTransfer}
+            >
+              {showDataTransfer ? "▾" : "▸"} {t("sections.backup")}
+            </button>
+          </h2>
+          {showDataTransfer && (
+            <>
+              <DataTransfer
+                state={appState}
+                selectedWeek={selectedWeek}
+                onImport={handleImport}
+              />
+              <TrackerImport
+                state={appState}
+                mappings={importMappings}
+                onMappingsChange={setImportMappings}
+                onImport={handleImport}
+              />
+            </>
+          )}
         </div>
       </div>
     </div>
   );
 }
 
+// The selected profile is remembered; a reminder that was opened can ask for
+// its profile in the URL
+const loadProfiles = () =>
+  selectProfile(
+    loadStoredValue("profiles") || DEFAULT_PROFILES,
+    new URLSearchParams(window.location.search).get("profile")
+  );
+
+function App() {
+  const [profiles, setProfiles] = useState(loadProfiles);
+  // A week opened from a shared link is shown instead of the tracker
+  const [sharedWeek, setSharedWeek] = useState(readSharedWeek);
+  // Language and first day of the week, the same for every profile
+  const [localeSettings, setLocaleSettings] = useState(() => ({
+    ...DEFAULT_LOCALE_SETTINGS,
+    ...loadStoredValue("locale"),
+  }));
+  const i18n = useMemo(() => createI18n(localeSettings), [localeSettings]);
+
+  useEffect(() => {
+    const handleHashChange = () => setSharedWeek(readSharedWeek());
+    window.addEventListener("hashchange", handleHashChange);
+    return () => window.removeEventListener("hashchange", handleHashChange);
+  }, []);
+
+  useEffect(() => {
+    saveStoredValue("profiles", profiles);
+  }, [profiles]);
+
+  useEffect(() => {
+    saveStoredValue("locale", localeSettings);
+  }, [localeSettings]);
+
+  useEffect(() => {
+    document.documentElement.lang = i18n.language;
+  }, [i18n.language]);
+
+  // A reminder of another profile switches to it; the new tracker then
+  // opens the day from the URL
+  useEffect(() => {
+    if (!("serviceWorker" in navigator)) return;
+    const handleMessage = (event) => {
+      const { type, date, profile } = event.data || {};
+      if (
+        type !== "open-day" ||
+        !profile ||
+        profile === profiles.selected ||
+        !getProfile(profiles, profile)
+      ) {
+        return;
+      }
+      window.history.replaceState(null, "", `?day=${date}`);
+      setProfiles(selectProfile(profiles, profile));
+    };
+    navigator.serviceWorker.addEventListener("message", handleMessage);
+    return () =>
+      navigator.serviceWorker.removeEventListener("message", handleMessage);
+  }, [profiles]);
+
+  const handleProfilesChange = (next) => {
+    profiles.list
+      .filter(({ id }) => !getProfile(next, id))
+      .forEach(({ id }) => removeProfileData(id));
+    setProfiles(next);
+  };
+
+  return (
+    <I18nProvider value={i18n}>
+      {sharedWeek ? (
+        <SharedWeek
+          shared={sharedWeek}
+          units={{
+            ...DEFAULT_UNITS,
+            ...loadStoredValue("units", profiles.selected),
+          }}
+          onClose={() => {
+            window.history.replaceState(null, "", window.location.pathname);
+            setSharedWeek(null);
+          }}
+        />
+      ) : (
+        <ProfileTracker
+          key={profiles.selected}
+          profileId={profiles.selected}
+          profiles={profiles}
+          onProfilesChange={handleProfilesChange}
+          localeSettings={localeSettings}
+          onLocaleSettingsChange={setLocaleSettings}
+        />
+      )}
+    </I18nProvider>
+  );
+}
+
 export default App;
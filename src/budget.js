@@ -0,0 +1,126 @@
+import { distributeRemaining } from "./distribution";
+import { KCAL_PER_GRAM, MACROS } from "./macroSplit";
+import { DAYS, createEmptyWeek } from "./weeks";
+
+// The budget math of the weekly table, free of React so it can be tested
+// and reused. Amounts come in as they are stored: strings, "" when empty.
+// Anything that isn't a positive number counts as nothing.
+//
+//   calculateCalories(carbs, protein, fat)  calories of macro amounts
+//   isDayFilled(entry)                      whether anything is logged
+//   getDayTarget(budgets, day)              a day's target
+//   getWeeklyBudget(budgets)                sum of the day targets
+//   getWeekTotals(entries)                  sum of what was logged
+//   getRemaining(weeklyBudget, totals, carried)
+//   calculateWeek({ entries, budgets, carried, limits })
+//                                           all of the above for a week,
+//                                           plus suggestions for open days
+//
+// `budgets` is { dailyBudget, dayTargets }: the daily budget in grams and
+// the training day settings ({ enabled, trainingBudget, trainingDays }).
+// Totals are { calories, carbs, protein, fat }; calories in kcal, the
+// rest in grams.
+
+export const TOTAL_FIELDS = ["calories", "carbs", "protein", "fat"];
+
+const amount = (value) => {
+  const number = parseFloat(value);
+  return number > 0 ? number : 0;
+};
+
+const zeroTotals = () =>
+  TOTAL_FIELDS.reduce((acc, field) => {
+    acc[field] = 0;
+    return acc;
+  }, {});
+
+// 1 g of carbs or protein is 4 kcal, 1 g of fat 9 kcal
+export const calculateCalories = (carbs, protein, fat) =>
+  amount(carbs) * KCAL_PER_GRAM.carbs +
+  amount(protein) * KCAL_PER_GRAM.protein +
+  amount(fat) * KCAL_PER_GRAM.fat;
+
+// A day counts as logged once it has calories or any macro
+export const isDayFilled = (entry) =>
+  TOTAL_FIELDS.some((field) => amount(entry[field]) > 0);
+
+export const isTrainingDay = ({ dayTargets }, day) =>
+  dayTargets.enabled && dayTargets.trainingDays.includes(day);
+
+// Training days use the training budget, other days the daily budget. The
+// training budget falls back to the daily one until it has been set.
+export const getDayTarget = (budgets, day) => {
+  const budget = isTrainingDay(budgets, day)
+    ? budgets.dayTargets.trainingBudget || budgets.dailyBudget
+    : budgets.dailyBudget;
+  return {
+    calories: calculateCalories(budget.carbs, budget.protein, budget.fat),
+    ...MACROS.reduce((acc, macro) => {
+      acc[macro] = amount(budget[macro]);
+      return acc;
+    }, {}),
+  };
+};
+
+export const getDayTargets = (budgets) =>
+  DAYS.reduce((acc, day) => {
+    acc[day] = getDayTarget(budgets, day);
+    return acc;
+  }, {});
+
+export const getWeeklyBudget = (budgets) => {
+  const targets = getDayTargets(budgets);
+  return DAYS.reduce((acc, day) => {
+    TOTAL_FIELDS.forEach((field) => {
+      acc[field] += targets[day][field];
+    });
+    return acc;
+  }, zeroTotals());
+};
+
+// Amounts as logged. Calories are the typed calories only; a day with just
+// macros adds nothing to the calorie total.
+export const getWeekTotals = (entries) => {
+  const week = { ...createEmptyWeek(), ...entries };
+  return DAYS.reduce((acc, day) => {
+    TOTAL_FIELDS.forEach((field) => {
+      acc[field] += amount(week[day][field]);
+    });
+    return acc;
+  }, zeroTotals());
+};
+
+// Negative when the week is over budget. `carried` is what moved in from
+// last week (see rollover.js).
+export const getRemaining = (weeklyBudget, totals, carried = zeroTotals()) =>
+  TOTAL_FIELDS.reduce((acc, field) => {
+    acc[field] = weeklyBudget[field] + (carried[field] || 0) - totals[field];
+    return acc;
+  }, {});
+
+// Everything the weekly table shows. Suggestions share what's left over the
+// days that haven't been logged, in proportion to their targets and within
+// the daily limits (see distribution.js): whole grams per day that add up
+// to what's left, with calories following from the macros. `problems`
+// explains why they don't add up when the limits get in the way.
+export const calculateWeek = ({ entries, budgets, carried, limits = {} }) => {
+  const week = { ...createEmptyWeek(), ...entries };
+  const targets = getDayTargets(budgets);
+  const weeklyBudget = getWeeklyBudget(budgets);
+  const totals = getWeekTotals(week);
+  const remaining = getRemaining(weeklyBudget, totals, carried);
+  const distribution = distributeRemaining({
+    days: DAYS.filter((day) => !isDayFilled(week[day])),
+    remaining,
+    targets,
+    limits,
+  });
+  return {
+    targets,
+    weeklyBudget,
+    totals,
+    remaining,
+    suggestions: distribution.days,
+    problems: distribution.problems,
+  };
+};
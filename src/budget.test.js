@@ -0,0 +1,443 @@
+import {
+  calculateCalories,
+  calculateWeek,
+  getDayTarget,
+  getDayTargets,
+  getRemaining,
+  getWeekTotals,
+  getWeeklyBudget,
+  isDayFilled,
+} from "./budget";
+import { DAYS, createEmptyWeek } from "./weeks";
+
+const DAILY_BUDGET = { carbs: "270", protein: "110", fat: "65" }; // 2105 kcal
+const TRAINING_BUDGET = { carbs: "300", protein: "120", fat: "70" }; // 2310 kcal
+
+const restOnly = {
+  dailyBudget: DAILY_BUDGET,
+  dayTargets: {
+    enabled: false,
+    trainingBudget: null,
+    trainingDays: ["Monday", "Wednesday", "Friday"],
+  },
+};
+
+const withTraining = {
+  dailyBudget: DAILY_BUDGET,
+  dayTargets: {
+    enabled: true,
+    trainingBudget: TRAINING_BUDGET,
+    trainingDays: ["Monday", "Wednesday", "Friday"],
+  },
+};
+
+const blankBudgets = {
+  ...restOnly,
+  dailyBudget: { carbs: "", protein: "", fat: "" },
+};
+
+const entry = (values) => ({
+  calories: "",
+  carbs: "",
+  protein: "",
+  fat: "",
+  ...values,
+});
+
+const week = (days) => ({ ...createEmptyWeek(), ...days });
+
+const sumOf = (suggestions, field) =>
+  Object.values(suggestions).reduce((sum, day) => sum + day[field], 0);
+
+describe("calculateCalories", () => {
+  it("counts 4 kcal per gram of carbs and protein and 9 per gram of fat", () => {
+    expect(calculateCalories(100, 50, 20)).toBe(780);
+  });
+
+  it("reads amounts stored as strings", () => {
+    expect(calculateCalories("270", "110", "65")).toBe(2105);
+  });
+
+  it("counts blank amounts as nothing", () => {
+    expect(calculateCalories("", "", "")).toBe(0);
+    expect(calculateCalories(undefined, null, "")).toBe(0);
+    expect(calculateCalories("", "25", "")).toBe(100);
+  });
+
+  it("ignores amounts that aren't positive numbers", () => {
+    expect(calculateCalories("abc", "-10", "10")).toBe(90);
+  });
+
+  it("keeps decimals", () => {
+    expect(calculateCalories("10.5", "0", "1.5")).toBe(55.5);
+  });
+});
+
+describe("isDayFilled", () => {
+  it("is false for an empty day", () => {
+    expect(isDayFilled(entry())).toBe(false);
+  });
+
+  it("is true once calories or any macro is logged", () => {
+    expect(isDayFilled(entry({ calories: "1800" }))).toBe(true);
+    expect(isDayFilled(entry({ carbs: "10" }))).toBe(true);
+    expect(isDayFilled(entry({ protein: "1" }))).toBe(true);
+    expect(isDayFilled(entry({ fat: "0.5" }))).toBe(true);
+  });
+
+  it("doesn't count zeros or values that aren't numbers", () => {
+    expect(isDayFilled(entry({ calories: "0", carbs: "0" }))).toBe(false);
+    expect(isDayFilled(entry({ fat: "abc" }))).toBe(false);
+  });
+
+  it("doesn't count body weight, alcohol or fiber on their own", () => {
+    expect(
+      isDayFilled(entry({ weight: "80", alcohol: "14", fiber: "30" }))
+    ).toBe(false);
+  });
+});
+
+describe("getDayTarget", () => {
+  it("uses the daily budget when training days are off", () => {
+    expect(getDayTarget(restOnly, "Monday")).toEqual({
+      calories: 2105,
+      carbs: 270,
+      protein: 110,
+      fat: 65,
+    });
+  });
+
+  it("uses the training budget on training days only", () => {
+    expect(getDayTarget(withTraining, "Monday")).toEqual({
+      calories: 2310,
+      carbs: 300,
+      protein: 120,
+      fat: 70,
+    });
+    expect(getDayTarget(withTraining, "Tuesday").calories).toBe(2105);
+  });
+
+  it("falls back to the daily budget until a training budget is set", () => {
+    const budgets = {
+      ...withTraining,
+      dayTargets: { ...withTraining.dayTargets, trainingBudget: null },
+    };
+    expect(getDayTarget(budgets, "Monday").calories).toBe(2105);
+  });
+
+  it("is all zeros for a blank budget", () => {
+    expect(getDayTarget(blankBudgets, "Friday")).toEqual({
+      calories: 0,
+      carbs: 0,
+      protein: 0,
+      fat: 0,
+    });
+  });
+
+  it("gives every day of the week a target", () => {
+    expect(Object.keys(getDayTargets(withTraining))).toEqual(DAYS);
+  });
+});
+
+describe("getWeeklyBudget", () => {
+  it("is seven times the daily budget without training days", () => {
+    expect(getWeeklyBudget(restOnly)).toEqual({
+      calories: 14735,
+      carbs: 1890,
+      protein: 770,
+      fat: 455,
+    });
+  });
+
+  it("adds up rest and training day targets", () => {
+    expect(getWeeklyBudget(withTraining)).toEqual({
+      calories: 4 * 2105 + 3 * 2310,
+      carbs: 4 * 270 + 3 * 300,
+      protein: 4 * 110 + 3 * 120,
+      fat: 4 * 65 + 3 * 70,
+    });
+  });
+
+  it("is zero for a blank budget", () => {
+    expect(getWeeklyBudget(blankBudgets)).toEqual({
+      calories: 0,
+      carbs: 0,
+      protein: 0,
+      fat: 0,
+    });
+  });
+});
+
+describe("getWeekTotals", () => {
+  it("adds up what was logged", () => {
+    const entries = week({
+      Monday: entry({ calories: "2000", carbs: "250", protein: "100" }),
+      Thursday: entry({ calories: "1500.5", fat: "40" }),
+    });
+    expect(getWeekTotals(entries)).toEqual({
+      calories: 3500.5,
+      carbs: 250,
+      protein: 100,
+      fat: 40,
+    });
+  });
+
+  it("counts typed calories only, not calories implied by macros", () => {
+    const entries = week({ Monday: entry({ carbs: "100" }) });
+    expect(getWeekTotals(entries).calories).toBe(0);
+  });
+
+  it("skips blank, negative and non-numeric amounts", () => {
+    const entries = week({
+      Monday: entry({ calories: "-200", carbs: "abc", protein: "" }),
+    });
+    expect(getWeekTotals(entries)).toEqual({
+      calories: 0,
+      carbs: 0,
+      protein: 0,
+      fat: 0,
+    });
+  });
+
+  it("accepts a week with days missing", () => {
+    expect(getWeekTotals({ Friday: entry({ fat: "10" }) }).fat).toBe(10);
+    expect(getWeekTotals({}).calories).toBe(0);
+  });
+});
+
+describe("getRemaining", () => {
+  const budget = { calories: 14735, carbs: 1890, protein: 770, fat: 455 };
+
+  it("is the budget minus the totals", () => {
+    const totals = { calories: 2000, carbs: 200, protein: 100, fat: 50 };
+    expect(getRemaining(budget, totals)).toEqual({
+      calories: 12735,
+      carbs: 1690,
+      protein: 670,
+      fat: 405,
+    });
+  });
+
+  it("goes negative when the week is over budget", () => {
+    const totals = { calories: 15000, carbs: 2000, protein: 770, fat: 400 };
+    expect(getRemaining(budget, totals)).toEqual({
+      calories: -265,
+      carbs: -110,
+      protein: 0,
+      fat: 55,
+    });
+  });
+
+  it("adds what was carried over from last week", () => {
+    const totals = { calories: 0, carbs: 0, protein: 0, fat: 0 };
+    const carried = { calories: -300, carbs: -40, protein: 0, fat: -16 };
+    expect(getRemaining(budget, totals, carried)).toEqual({
+      calories: 14435,
+      carbs: 1850,
+      protein: 770,
+      fat: 439,
+    });
+  });
+});
+
+describe("calculateWeek", () => {
+  it("suggests each day's target for an empty week", () => {
+    const result = calculateWeek({ entries: week({}), budgets: restOnly });
+    expect(Object.keys(result.suggestions)).toEqual(DAYS);
+    DAYS.forEach((day) => {
+      expect(result.suggestions[day]).toEqual({
+        carbs: 270,
+        protein: 110,
+        fat: 65,
+        calories: 2105,
+      });
+    });
+    expect(result.problems).toEqual([]);
+  });
+
+  it("only makes suggestions for days that haven't been logged", () => {
+    const entries = week({
+      Monday: entry({ calories: "2105" }),
+      Tuesday: entry({ weight: "80" }),
+    });
+    const result = calculateWeek({ entries, budgets: restOnly });
+    expect(result.suggestions.Monday).toBeUndefined();
+    expect(result.suggestions.Tuesday).toBeDefined();
+    expect(Object.keys(result.suggestions)).toHaveLength(6);
+  });
+
+  it("shares out what's left in proportion to the day targets", () => {
+    const entries = week({
+      Monday: entry({ carbs: "300", protein: "120", fat: "70" }),
+    });
+    const result = calculateWeek({ entries, budgets: withTraining });
+    expect(result.suggestions.Wednesday).toEqual({
+      carbs: 300,
+      protein: 120,
+      fat: 70,
+      calories: 2310,
+    });
+    expect(result.suggestions.Tuesday).toEqual({
+      carbs: 270,
+      protein: 110,
+      fat: 65,
+      calories: 2105,
+    });
+  });
+
+  it("spreads a shortfall over the remaining days", () => {
+    const entries = week({
+      Monday: entry({ carbs: "410", protein: "110", fat: "65" }),
+    });
+    const result = calculateWeek({ entries, budgets: restOnly });
+    // 140 g of carbs too many, taken off the other six days
+    DAYS.slice(1).forEach((day) => {
+      expect(result.suggestions[day].carbs).toBeCloseTo(270 - 140 / 6, -1);
+    });
+    expect(sumOf(result.suggestions, "carbs")).toBe(1890 - 410);
+  });
+
+  it("rounds to whole grams without drifting from what's left", () => {
+    const budgets = {
+      ...restOnly,
+      dailyBudget: { carbs: "100", protein: "0", fat: "0" },
+    };
+    const entries = week({ Monday: entry({ carbs: "1" }) });
+    const result = calculateWeek({ entries, budgets });
+    // 699 g over six days is 116.5 g a day
+    const carbs = Object.values(result.suggestions).map((day) => day.carbs);
+    carbs.forEach((value) => {
+      expect(Number.isInteger(value)).toBe(true);
+      expect([116, 117]).toContain(value);
+    });
+    expect(sumOf(result.suggestions, "carbs")).toBe(699);
+  });
+
+  it("keeps every macro's suggestions adding up to what's left", () => {
+    const entries = week({
+      Monday: entry({ carbs: "123", protein: "77", fat: "31" }),
+      Thursday: entry({ carbs: "251", protein: "98", fat: "59" }),
+    });
+    const result = calculateWeek({ entries, budgets: withTraining });
+    ["carbs", "protein", "fat"].forEach((macro) => {
+      expect(sumOf(result.suggestions, macro)).toBe(
+        Math.round(result.remaining[macro])
+      );
+    });
+  });
+
+  it("works out suggested calories from the rounded macros", () => {
+    const entries = week({ Monday: entry({ carbs: "1", fat: "1" }) });
+    const result = calculateWeek({ entries, budgets: restOnly });
+    Object.values(result.suggestions).forEach((day) => {
+      expect(day.calories).toBe(day.carbs * 4 + day.protein * 4 + day.fat * 9);
+    });
+  });
+
+  it("suggests nothing and reports it when the week is over budget", () => {
+    const entries = week({
+      Monday: entry({ carbs: "2000", protein: "100", fat: "60" }),
+    });
+    const result = calculateWeek({ entries, budgets: restOnly });
+    expect(result.remaining.carbs).toBe(-110);
+    Object.values(result.suggestions).forEach((day) => {
+      expect(day.carbs).toBe(0);
+    });
+    expect(result.problems).toEqual([
+      {
+        key: "limits.problem.over",
+        params: { field: "carbs", amount: 110 },
+      },
+    ]);
+  });
+
+  it("has no suggestions when every day is logged", () => {
+    const entries = DAYS.reduce((acc, day) => {
+      acc[day] = entry({ calories: "2000", carbs: "250" });
+      return acc;
+    }, {});
+    const result = calculateWeek({ entries, budgets: restOnly });
+    expect(result.suggestions).toEqual({});
+    expect(result.problems).toEqual([]);
+    expect(result.remaining).toEqual({
+      calories: 14735 - 14000,
+      carbs: 1890 - 1750,
+      protein: 770,
+      fat: 455,
+    });
+  });
+
+  it("handles a blank budget without NaN", () => {
+    const result = calculateWeek({ entries: week({}), budgets: blankBudgets });
+    expect(result.weeklyBudget).toEqual({
+      calories: 0,
+      carbs: 0,
+      protein: 0,
+      fat: 0,
+    });
+    Object.values(result.suggestions).forEach((day) => {
+      expect(day).toEqual({ carbs: 0, protein: 0, fat: 0, calories: 0 });
+    });
+    expect(result.problems).toEqual([]);
+  });
+
+  it("reports going over a blank budget", () => {
+    const entries = week({ Monday: entry({ protein: "50" }) });
+    const result = calculateWeek({ entries, budgets: blankBudgets });
+    expect(result.remaining.protein).toBe(-50);
+    expect(result.problems).toEqual([
+      {
+        key: "limits.problem.over",
+        params: { field: "protein", amount: 50 },
+      },
+    ]);
+  });
+
+  it("includes what was carried over in what's left", () => {
+    const carried = { calories: 420, carbs: 60, protein: 0, fat: 20 };
+    const result = calculateWeek({
+      entries: week({}),
+      budgets: restOnly,
+      carried,
+    });
+    expect(result.weeklyBudget.calories).toBe(14735);
+    expect(result.remaining.calories).toBe(14735 + 420);
+    expect(sumOf(result.suggestions, "carbs")).toBe(1890 + 60);
+    expect(sumOf(result.suggestions, "fat")).toBe(455 + 20);
+  });
+
+  it("keeps suggestions within the daily limits and says what doesn't fit", () => {
+    const limits = { carbs: { min: "", max: "200" } };
+    const result = calculateWeek({
+      entries: week({}),
+      budgets: restOnly,
+      limits,
+    });
+    Object.values(result.suggestions).forEach((day) => {
+      expect(day.carbs).toBe(200);
+    });
+    expect(result.problems).toEqual([
+      {
+        key: "limits.problem.tooMuch",
+        params: { field: "carbs", amount: 490, limit: 200 },
+      },
+    ]);
+  });
+
+  it("moves carbs between days to respect a calorie minimum", () => {
+    // 700 g of carbs left: shared in proportion, rest days would get 112.5 g
+    // (1475 kcal), so training days give some of theirs up
+    const entries = week({
+      Monday: entry({ carbs: "1280", protein: "120", fat: "70" }),
+    });
+    const limits = { calories: { min: "1500", max: "" } };
+    const result = calculateWeek({ entries, budgets: withTraining, limits });
+    Object.values(result.suggestions).forEach((day) => {
+      // Rounding to whole grams may cost a few kcal
+      expect(day.calories).toBeGreaterThanOrEqual(1500 - 4);
+    });
+    expect(result.suggestions.Tuesday.carbs).toBeGreaterThan(112.5);
+    expect(sumOf(result.suggestions, "carbs")).toBe(700);
+    expect(result.problems).toEqual([]);
+  });
+});
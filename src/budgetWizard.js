@@ -0,0 +1,104 @@
+// Budget suggestions from body stats and a goal. Energy needs are estimated
+// with the Mifflin–St Jeor equation times an activity factor; macros are then
+// split with simple rules: protein per kg of body weight, a share of calories
+// from fat, and the remaining calories from carbs.
+
+// Activity levels and goals are named in the translation catalogs, as
+// "wizard.activity.<id>" and "wizard.goal.<id>"
+export const ACTIVITY_LEVELS = [
+  { id: "sedentary", factor: 1.2 },
+  { id: "light", factor: 1.375 },
+  { id: "moderate", factor: 1.55 },
+  { id: "active", factor: 1.725 },
+  { id: "extra", factor: 1.9 },
+];
+
+export const GOALS = ["cut", "maintain", "bulk"];
+
+// Roughly 7700 kcal per kg of body weight
+export const KCAL_PER_KG = 7700;
+
+export const DEFAULT_BODY_PROFILE = {
+  weight: "",
+  height: "",
+  age: "",
+  sex: "female",
+  activity: "moderate",
+  goal: "maintain",
+  rate: "0.5", // kg per week, for cut and bulk
+  proteinPerKg: "1.8",
+  fatPercent: "25",
+};
+
+// Basal metabolic rate in kcal/day (Mifflin–St Jeor)
+export const calculateBmr = ({ weight, height, age, sex }) => {
+  const base = 10 * weight + 6.25 * height - 5 * age;
+  return sex === "male" ? base + 5 : base - 161;
+};
+
+// Total daily energy expenditure in kcal/day
+export const calculateTdee = (stats) => {
+  const level =
+    ACTIVITY_LEVELS.find((l) => l.id === stats.activity) || ACTIVITY_LEVELS[0];
+  return calculateBmr(stats) * level.factor;
+};
+
+// Intended change in body weight in kg per week; negative when cutting
+export const getGoalRate = (goal, rate) => {
+  const amount = parseFloat(rate) || 0;
+  if (goal === "cut") return -amount;
+  if (goal === "bulk") return amount;
+  return 0;
+};
+
+// Daily calorie change needed for the goal rate (kg per week)
+export const getGoalAdjustment = (goal, rate) =>
+  (getGoalRate(goal, rate) * KCAL_PER_KG) / 7;
+
+// Parse the profile form values; returns null while anything required is
+// missing
+export const parseBodyProfile = (profile) => {
+  const stats = {
+    weight: parseFloat(profile.weight),
+    height: parseFloat(profile.height),
+    age: parseFloat(profile.age),
+  };
+  if (Object.values(stats).some((value) => !(value > 0))) return null;
+  return {
+    ...stats,
+    sex: profile.sex,
+    activity: profile.activity,
+    goal: profile.goal,
+    rate: parseFloat(profile.rate) || 0,
+    proteinPerKg: parseFloat(profile.proteinPerKg) || 0,
+    fatPercent: parseFloat(profile.fatPercent) || 0,
+  };
+};
+
+// Suggested daily budget, in whole grams and kcal
+export const suggestBudget = (profile) => {
+  const stats = parseBodyProfile(profile);
+  if (!stats) return null;
+
+  const bmr = calculateBmr(stats);
+  const tdee = calculateTdee(stats);
+  const calories = Math.max(
+    0,
+    tdee + getGoalAdjustment(stats.goal, stats.rate)
+  );
+
+  const protein = Math.round(stats.weight * stats.proteinPerKg);
+  const fat = Math.round((calories * stats.fatPercent) / 100 / 9);
+  const carbs = Math.max(0, Math.round((calories - protein * 4 - fat * 9) / 4));
+
+  return {
+    bmr: Math.round(bmr),
+    tdee: Math.round(tdee),
+    calories: Math.round(calories),
+    budget: {
+      carbs: String(carbs),
+      protein: String(protein),
+      fat: String(fat),
+    },
+  };
+};
@@ -0,0 +1,63 @@
+import { KCAL_PER_GRAM } from "./macroSplit";
+
+// Checks typed calories against the calories implied by a day's macros
+// (4/4/9 kcal per gram of carbs/protein/fat, plus optional alcohol and fiber).
+
+export const KCAL_PER_GRAM_ALCOHOL = 7;
+// Only counted when carbs exclude fiber, as on EU nutrition labels
+export const KCAL_PER_GRAM_FIBER = 2;
+
+export const DEFAULT_CALORIE_CHECK = {
+  tolerance: "10", // percent of the macro calories
+  autoFill: false,
+  trackAlcohol: false,
+  trackFiber: false,
+  fiberCalories: "included", // "included" in carbs, or counted "separate"ly
+};
+
+const amount = (value) => parseFloat(value) || 0;
+
+// Calories implied by the macros of a day entry
+export const getMacroCalories = (entry, settings = DEFAULT_CALORIE_CHECK) => {
+  let calories =
+    amount(entry.carbs) * KCAL_PER_GRAM.carbs +
+    amount(entry.protein) * KCAL_PER_GRAM.protein +
+    amount(entry.fat) * KCAL_PER_GRAM.fat;
+  if (settings.trackAlcohol) {
+    calories += amount(entry.alcohol) * KCAL_PER_GRAM_ALCOHOL;
+  }
+  if (settings.trackFiber && settings.fiberCalories === "separate") {
+    calories += amount(entry.fiber) * KCAL_PER_GRAM_FIBER;
+  }
+  return Math.round(calories);
+};
+
+// Returns the mismatch when typed calories differ from the macro calories by
+// more than the tolerance, or null when they agree (or can't be compared).
+export const getCalorieMismatch = (entry, settings = DEFAULT_CALORIE_CHECK) => {
+  const typed = parseFloat(entry.calories);
+  const derived = getMacroCalories(entry, settings);
+  if (!(typed > 0) || !(derived > 0) || entry.caloriesAuto) return null;
+
+  const difference = typed - derived;
+  const allowed = (derived * amount(settings.tolerance)) / 100;
+  if (Math.abs(difference) <= allowed) return null;
+  return { typed, derived, difference };
+};
+
+// Apply a change to a day entry. With auto-fill on, calories follow the macros
+// while the calories field is blank or was filled in this way before.
+export const applyEntryChange = (entry, field, value, settings) => {
+  const { caloriesAuto, ...rest } = entry;
+  const next = { ...rest, [field]: value };
+  // Calories typed by hand are never overwritten
+  if (field === "calories") return next;
+
+  const canFill = settings.autoFill && (entry.calories === "" || caloriesAuto);
+  if (!canFill) return caloriesAuto ? { ...next, caloriesAuto } : next;
+
+  const derived = getMacroCalories(next, settings);
+  return derived > 0
+    ? { ...next, calories: String(derived), caloriesAuto: true }
+    : { ...next, calories: "" };
+};
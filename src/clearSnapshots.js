@@ -0,0 +1,90 @@
+import { formatWeekRange, getPlanEntries, setPlanEntries } from "./weeks";
+
+// Clearing data keeps a snapshot of what was cleared, so it can be restored
+// later even after the undo history is gone (e.g. after a reload). Snapshots
+// are kept for a week, at most MAX_SNAPSHOTS at a time. A snapshot of
+// everything holds the whole history, so only the latest of those is kept.
+
+export const SNAPSHOT_DAYS = 7;
+const MAX_SNAPSHOTS = 10;
+
+// Their names are in the translation catalogs, as "clear.scope.<scope>"
+export const CLEAR_SCOPES = ["week", "budget", "all"];
+
+// The part of the state a clear removes. A week is kept as the entries of
+// the plan week.
+const pickClearedState = (scope, state, weekKey, firstDay) => {
+  if (scope === "week") {
+    return {
+      weekKey,
+      firstDay,
+      entries: getPlanEntries(state.weeks, weekKey, firstDay),
+    };
+  }
+  if (scope === "budget") {
+    return { dailyBudget: state.dailyBudget, dayTargets: state.dayTargets };
+  }
+  return {
+    dailyBudget: state.dailyBudget,
+    dayTargets: state.dayTargets,
+    weeks: state.weeks,
+  };
+};
+
+export const createClearSnapshot = (
+  scope,
+  state,
+  weekKey,
+  firstDay = "Monday"
+) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  scope,
+  clearedAt: new Date().toISOString(),
+  state: pickClearedState(scope, state, weekKey, firstDay),
+});
+
+// Drop snapshots that are too old and all but the latest of everything,
+// newest first
+export const pruneClearSnapshots = (snapshots, now = new Date()) =>
+  snapshots
+    .filter(
+      (snapshot) =>
+        now - new Date(snapshot.clearedAt) < SNAPSHOT_DAYS * 24 * 60 * 60 * 1000
+    )
+    .sort((a, b) => b.clearedAt.localeCompare(a.clearedAt))
+    .filter(
+      (snapshot, index, sorted) =>
+        snapshot.scope !== "all" ||
+        sorted.findIndex(({ scope }) => scope === "all") === index
+    )
+    .slice(0, MAX_SNAPSHOTS);
+
+export const addClearSnapshot = (snapshots, snapshot) =>
+  pruneClearSnapshots([snapshot, ...snapshots]);
+
+// What a snapshot holds, in the words of `t` (see i18n.js)
+export const describeClearSnapshot = ({ scope, state }, t, locale) => {
+  if (scope === "week") {
+    return t("clear.snapshot.week", {
+      range: formatWeekRange(state.weekKey, state.firstDay, locale),
+    });
+  }
+  return t(`clear.snapshot.${scope}`);
+};
+
+// The app state with a snapshot put back. A restored week replaces whatever
+// was entered in that week since.
+export const restoreClearSnapshot = (state, { scope, state: cleared }) => {
+  if (scope === "week") {
+    return {
+      ...state,
+      weeks: setPlanEntries(
+        state.weeks,
+        cleared.weekKey,
+        cleared.firstDay,
+        cleared.entries
+      ),
+    };
+  }
+  return { ...state, ...cleared };
+};
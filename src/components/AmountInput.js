@@ -0,0 +1,122 @@
+import { useRef, useState } from "react";
+import {
+  evaluateExpression,
+  formatExpression,
+  isExpression,
+} from "../expressions";
+import { formatAmountInput, formatNumber, parseAmountInput } from "../units";
+import { useI18n } from "../i18n";
+
+const SUM_CHARACTERS = /^[\d\s.,+\-*/×÷()]*$/;
+
+// Text input for a stored amount, typed with the decimal separator of the
+// interface locale and, for energy, in the chosen unit. `onChange` gets the
+// stored amount and is only called for valid input. What was typed is kept
+// while it still stands for the value, so converting back and forth doesn't
+// rewrite it mid-typing.
+//
+// With `allowExpressions`, sums like "45+32+18" can be typed as well. They
+// show their result while typing and are only applied on Enter or when the
+// field loses focus; `onChange` then also gets the sum as the second argument.
+// Escape drops the sum.
+function AmountInput({
+  value,
+  onChange,
+  decimals,
+  unit = "g",
+  allowExpressions = false,
+  onBlur,
+  onKeyDown,
+  ...props
+}) {
+  const { t, locale } = useI18n();
+  const [typed, setTyped] = useState(null);
+  // The sum waiting to be applied; a ref so Enter and the blur that may
+  // follow it in the same event don't both apply it
+  const pendingSum = useRef(null);
+
+  const text =
+    typed && typed.value === (value || "")
+      ? typed.text
+      : formatAmountInput(value, decimals, unit, locale);
+
+  // The result of a sum as a stored amount, or what's wrong with it
+  const readSum = (sum) => {
+    try {
+      const result = evaluateExpression(sum);
+      if (result < 0) return { error: t("sum.negative") };
+      const rounded = parseFloat(result.toFixed(decimals));
+      return {
+        amount: parseAmountInput(String(rounded), decimals, unit),
+        shown: formatNumber(rounded, decimals, locale),
+      };
+    } catch (e) {
+      return { error: e.key ? t(e.key, e.params) : e.message };
+    }
+  };
+
+  const applySum = () => {
+    const sum = pendingSum.current;
+    if (sum === null) return;
+    pendingSum.current = null;
+    setTyped(null);
+    const { amount } = readSum(sum);
+    if (amount !== undefined) onChange(amount, formatExpression(sum));
+  };
+
+  const handleChange = (e) => {
+    const next = e.target.value;
+    if (allowExpressions && isExpression(next)) {
+      if (!SUM_CHARACTERS.test(next)) return;
+      pendingSum.current = next;
+      setTyped({ text: next, value: value || "", isSum: true });
+      return;
+    }
+    const amount = parseAmountInput(next, decimals, unit);
+    if (amount === null) return;
+    pendingSum.current = null;
+    setTyped({ text: next, value: amount });
+    onChange(amount);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") applySum();
+    if (e.key === "Escape" && pendingSum.current !== null) {
+      pendingSum.current = null;
+      setTyped(null);
+    }
+    if (onKeyDown) onKeyDown(e);
+  };
+
+  const preview =
+    typed && typed.isSum && typed.text === text ? readSum(text) : null;
+
+  return (
+    <>
+      <input
+        type="text"
+        inputMode={decimals > 0 ? "decimal" : "numeric"}
+        autoComplete="off"
+        {...props}
+        value={text}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={(e) => {
+          applySum();
+          setTyped(null);
+          if (onBlur) onBlur(e);
+        }}
+      />
+      {preview && (
+        <span
+          className={`sum-preview${preview.error ? " input-error" : ""}`}
+          role="status"
+        >
+          {preview.error || `= ${preview.shown}`}
+        </span>
+      )}
+    </>
+  );
+}
+
+export default AmountInput;
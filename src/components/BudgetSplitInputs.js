@@ -0,0 +1,83 @@
+import { useEffect, useState } from "react";
+import {
+  MACROS,
+  budgetToSplit,
+  getSplitTotal,
+  splitToBudget,
+} from "../macroSplit";
+import { formatNumber } from "../units";
+import { useI18n } from "../i18n";
+import AmountInput from "./AmountInput";
+
+// The split is kept to one decimal, like budgetToSplit makes it
+const PERCENT_DECIMALS = 1;
+
+const sameBudget = (a, b) =>
+  MACROS.every((macro) => String(a[macro]) === String(b[macro]));
+
+// Daily budget entered as a calorie target plus a percentage split. The
+// budget itself stays in grams; it only changes while the split adds up to
+// 100%.
+function BudgetSplitInputs({ budget, units, onChange }) {
+  const { t, locale } = useI18n();
+  const [split, setSplit] = useState(() => budgetToSplit(budget));
+
+  // Pick up budget changes made elsewhere (e.g. the setup wizard)
+  useEffect(() => {
+    setSplit((prev) =>
+      sameBudget(splitToBudget(prev), budget) ? prev : budgetToSplit(budget)
+    );
+  }, [budget]);
+
+  const total = getSplitTotal(split);
+  const isComplete = total === 100 && parseFloat(split.calories) > 0;
+  const grams = splitToBudget(split);
+
+  const handleChange = (field, value) => {
+    const next = { ...split, [field]: value };
+    setSplit(next);
+    if (getSplitTotal(next) === 100 && parseFloat(next.calories) > 0) {
+      onChange(splitToBudget(next));
+    }
+  };
+
+  return (
+    <div className="budget-inputs">
+      <div className="input-group">
+        <label htmlFor="budget-split-calories">
+          {t(`field.calories.${units.energy}`)}
+        </label>
+        <AmountInput
+          id="budget-split-calories"
+          decimals={units.decimals}
+          unit={units.energy}
+          value={split.calories}
+          onChange={(value) => handleChange("calories", value)}
+          placeholder={t("split.dailyCalories")}
+        />
+        <span className={`input-helper${isComplete ? "" : " input-error"}`}>
+          {total === 100
+            ? t("split.complete")
+            : t("split.incomplete", { total })}
+        </span>
+      </div>
+      {MACROS.map((macro) => (
+        <div className="input-group" key={macro}>
+          <label htmlFor={`budget-split-${macro}`}>{t(`split.${macro}`)}</label>
+          <AmountInput
+            id={`budget-split-${macro}`}
+            decimals={PERCENT_DECIMALS}
+            value={split[macro]}
+            onChange={(value) => handleChange(macro, value)}
+            placeholder={t(`split.${macro}Placeholder`)}
+          />
+          <span className="input-helper">
+            = {formatNumber(grams[macro], units.decimals, locale)}g
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default BudgetSplitInputs;
@@ -0,0 +1,47 @@
+import { KCAL_PER_GRAM, MACROS } from "../macroSplit";
+import { formatEnergy } from "../units";
+import { formatRate } from "../weightTrend";
+import { useI18n } from "../i18n";
+
+// A budget change suggested from the body weight trend, to accept or ignore
+function BudgetSuggestion({ suggestion, units, onAccept, onIgnore }) {
+  const { t, locale } = useI18n();
+  const energy = (kcal) => formatEnergy(kcal, units.energy, locale);
+  const { actualRate, goalRate, intake, change, budget } = suggestion;
+  const calories = MACROS.reduce(
+    (sum, macro) =>
+      sum + (parseFloat(budget[macro]) || 0) * KCAL_PER_GRAM[macro],
+    0
+  );
+
+  return (
+    <div className="budget-suggestion" role="status">
+      <p>
+        {t("suggestion.trend", {
+          actual: formatRate(actualRate, locale, t),
+          goal: formatRate(goalRate, locale, t),
+        })}
+        {intake !== null &&
+          ` ${t("suggestion.intake", { energy: energy(intake) })}`}
+      </p>
+      <p>
+        <strong>
+          {t(change > 0 ? "suggestion.raise" : "suggestion.lower", {
+            energy: energy(Math.abs(change)),
+          })}
+        </strong>{" "}
+        {t("suggestion.budget", { ...budget, energy: energy(calories) })}
+      </p>
+      <div className="budget-wizard-actions">
+        <button className="week-nav-btn" onClick={onAccept}>
+          {t("suggestion.accept")}
+        </button>
+        <button className="week-nav-btn" onClick={onIgnore}>
+          {t("suggestion.ignore")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default BudgetSuggestion;
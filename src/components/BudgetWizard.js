@@ -0,0 +1,128 @@
+import { ACTIVITY_LEVELS, GOALS, suggestBudget } from "../budgetWizard";
+import { useI18n } from "../i18n";
+import { WEIGHT_DECIMALS, formatEnergy } from "../units";
+import AmountInput from "./AmountInput";
+
+// Decimals allowed per body stat
+const DECIMALS = {
+  weight: WEIGHT_DECIMALS,
+  height: 1,
+  age: 0,
+  rate: 2,
+  proteinPerKg: 2,
+  fatPercent: 1,
+};
+
+// Optional setup flow that proposes a daily budget from body stats and a goal
+function BudgetWizard({ profile, units, onProfileChange, onApply, onClose }) {
+  const { t, locale } = useI18n();
+  const energy = (kcal) => formatEnergy(kcal, units.energy, locale);
+  const suggestion = suggestBudget(profile);
+
+  const handleChange = (field, value) => {
+    onProfileChange({ ...profile, [field]: value });
+  };
+
+  const numberInput = (field, placeholder) => (
+    <div className="input-group">
+      <label htmlFor={`wizard-${field}`}>{t(`wizard.${field}`)}</label>
+      <AmountInput
+        id={`wizard-${field}`}
+        value={profile[field]}
+        decimals={DECIMALS[field]}
+        onChange={(amount) => handleChange(field, amount)}
+        placeholder={t("wizard.example", { value: placeholder })}
+      />
+    </div>
+  );
+
+  return (
+    <div className="budget-wizard">
+      <h3>{t("wizard.title")}</h3>
+      <p className="input-helper">{t("wizard.help")}</p>
+
+      <div className="budget-inputs">
+        {numberInput("weight", "70")}
+        {numberInput("height", "175")}
+        {numberInput("age", "30")}
+        <div className="input-group">
+          <label htmlFor="wizard-sex">{t("wizard.sex")}</label>
+          <select
+            id="wizard-sex"
+            value={profile.sex}
+            onChange={(e) => handleChange("sex", e.target.value)}
+          >
+            <option value="female">{t("wizard.female")}</option>
+            <option value="male">{t("wizard.male")}</option>
+          </select>
+        </div>
+        <div className="input-group">
+          <label htmlFor="wizard-activity">{t("wizard.activity")}</label>
+          <select
+            id="wizard-activity"
+            value={profile.activity}
+            onChange={(e) => handleChange("activity", e.target.value)}
+          >
+            {ACTIVITY_LEVELS.map((level) => (
+              <option key={level.id} value={level.id}>
+                {t(`wizard.activity.${level.id}`)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="input-group">
+          <label htmlFor="wizard-goal">{t("wizard.goal")}</label>
+          <select
+            id="wizard-goal"
+            value={profile.goal}
+            onChange={(e) => handleChange("goal", e.target.value)}
+          >
+            {GOALS.map((goal) => (
+              <option key={goal} value={goal}>
+                {t(`wizard.goal.${goal}`)}
+              </option>
+            ))}
+          </select>
+        </div>
+        {profile.goal !== "maintain" && numberInput("rate", "0.5")}
+        {numberInput("proteinPerKg", "1.8")}
+        {numberInput("fatPercent", "25")}
+      </div>
+
+      {suggestion ? (
+        <div className="weekly-budget">
+          <p>
+            {t("wizard.energy", {
+              bmr: energy(suggestion.bmr),
+              tdee: energy(suggestion.tdee),
+              calories: energy(suggestion.calories),
+            })}
+          </p>
+          <p className="remaining">
+            {t("wizard.suggested", {
+              macros: t("summary.macros", suggestion.budget),
+            })}
+          </p>
+        </div>
+      ) : (
+        <p className="input-helper">{t("wizard.incomplete")}</p>
+      )}
+
+      <div className="budget-wizard-actions">
+        <button
+          type="button"
+          className="week-nav-btn"
+          disabled={!suggestion}
+          onClick={() => onApply(suggestion.budget)}
+        >
+          {t("suggestion.accept")}
+        </button>
+        <button type="button" className="week-nav-btn" onClick={onClose}>
+          {t("common.cancel")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default BudgetWizard;
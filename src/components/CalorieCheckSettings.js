@@ -0,0 +1,66 @@
+import { useI18n } from "../i18n";
+import AmountInput from "./AmountInput";
+
+// Decimals allowed in the tolerance percentage
+const TOLERANCE_DECIMALS = 1;
+
+// Options for checking typed calories against the macros
+function CalorieCheckSettings({ settings, onChange }) {
+  const { t } = useI18n();
+  const handleChange = (field, value) => {
+    onChange({ ...settings, [field]: value });
+  };
+
+  return (
+    <div className="calorie-check-settings">
+      <label className="calorie-check-tolerance">
+        {t("calorieCheck.tolerance")}
+        <AmountInput
+          value={settings.tolerance}
+          decimals={TOLERANCE_DECIMALS}
+          onChange={(tolerance) => handleChange("tolerance", tolerance)}
+          aria-label={t("calorieCheck.toleranceLabel")}
+        />
+        %
+      </label>
+      <label>
+        <input
+          type="checkbox"
+          checked={settings.autoFill}
+          onChange={(e) => handleChange("autoFill", e.target.checked)}
+        />
+        {t("calorieCheck.autoFill")}
+      </label>
+      <label>
+        <input
+          type="checkbox"
+          checked={settings.trackAlcohol}
+          onChange={(e) => handleChange("trackAlcohol", e.target.checked)}
+        />
+        {t("calorieCheck.trackAlcohol")}
+      </label>
+      <label>
+        <input
+          type="checkbox"
+          checked={settings.trackFiber}
+          onChange={(e) => handleChange("trackFiber", e.target.checked)}
+        />
+        {t("calorieCheck.trackFiber")}
+      </label>
+      {settings.trackFiber && (
+        <label>
+          {t("calorieCheck.fiberIs")}
+          <select
+            value={settings.fiberCalories}
+            onChange={(e) => handleChange("fiberCalories", e.target.value)}
+          >
+            <option value="included">{t("calorieCheck.fiberIncluded")}</option>
+            <option value="separate">{t("calorieCheck.fiberSeparate")}</option>
+          </select>
+        </label>
+      )}
+    </div>
+  );
+}
+
+export default CalorieCheckSettings;
@@ -0,0 +1,95 @@
+import { useState } from "react";
+import {
+  CLEAR_SCOPES,
+  SNAPSHOT_DAYS,
+  describeClearSnapshot,
+} from "../clearSnapshots";
+import { useI18n } from "../i18n";
+
+const formatClearedAt = (iso, locale) =>
+  new Date(iso).toLocaleString(locale, {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// Confirmation for clearing data, with a choice of what to clear, and the
+// snapshots of earlier clears that can still be restored
+function ClearDialog({ weekLabel, snapshots, onClear, onRestore, onClose }) {
+  const { t, locale } = useI18n();
+  const [scope, setScope] = useState("week");
+
+  return (
+    <div
+      className="clear-dialog"
+      role="dialog"
+      aria-label={t("clear.dialogLabel")}
+    >
+      <h3>{t("clear.title")}</h3>
+      <div className="clear-scopes">
+        {CLEAR_SCOPES.map((option) => (
+          <label key={option} className="clear-scope">
+            <input
+              type="radio"
+              name="clear-scope"
+              value={option}
+              checked={scope === option}
+              onChange={() => setScope(option)}
+            />
+            <span>
+              <strong>{t(`clear.scope.${option}`)}</strong>
+              <span className="input-helper">
+                {t(`clear.scope.${option}.description`, {
+                  week: weekLabel,
+                })}
+              </span>
+            </span>
+          </label>
+        ))}
+      </div>
+      <p className="input-helper">
+        {t("clear.kept", { count: SNAPSHOT_DAYS })}
+      </p>
+      <div className="budget-wizard-actions">
+        <button className="clear-all-btn" onClick={() => onClear(scope)}>
+          {t("clear.confirm")}
+        </button>
+        <button className="week-nav-btn" onClick={onClose}>
+          {t("common.cancel")}
+        </button>
+      </div>
+
+      {snapshots.length > 0 && (
+        <div className="clear-snapshots">
+          <h3>{t("clear.recent")}</h3>
+          <ul>
+            {snapshots.map((snapshot) => (
+              <li key={snapshot.id}>
+                <span>
+                  {describeClearSnapshot(snapshot, t, locale)}
+                  <span className="input-helper">
+                    {" "}
+                    —{" "}
+                    {t("clear.clearedAt", {
+                      time: formatClearedAt(snapshot.clearedAt, locale),
+                    })}
+                  </span>
+                </span>
+                <button
+                  className="week-nav-btn"
+                  onClick={() => onRestore(snapshot)}
+                >
+                  {t("common.restore")}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ClearDialog;
@@ -0,0 +1,94 @@
+import { useState } from "react";
+import {
+  createJsonExport,
+  downloadFile,
+  parseCsvImport,
+  parseJsonImport,
+  readFileAsText,
+  weekToCsv,
+} from "../dataTransfer";
+import { useI18n } from "../i18n";
+import ImportPreview from "./ImportPreview";
+
+// Backup and restore: export to JSON/CSV, import with a preview of the changes
+function DataTransfer({ state, selectedWeek, onImport }) {
+  const { t, firstDay } = useI18n();
+  const [pending, setPending] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleExportJson = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      `macro-budget-${date}.json`,
+      JSON.stringify(createJsonExport(state), null, 2),
+      "application/json"
+    );
+  };
+
+  const handleExportCsv = () => {
+    downloadFile(
+      `macro-budget-${selectedWeek}.csv`,
+      weekToCsv(state.weeks, selectedWeek, firstDay),
+      "text/csv"
+    );
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setError(null);
+    setPending(null);
+    readFileAsText(file)
+      .then((text) => {
+        const isJson = /\.json$/i.test(file.name) || text.trim()[0] === "{";
+        const imported = isJson ? parseJsonImport(text) : parseCsvImport(text);
+        setPending({ name: file.name, imported });
+      })
+      .catch((err) => setError(err));
+  };
+
+  const handleApply = (nextState) => {
+    onImport(nextState);
+    setPending(null);
+  };
+
+  return (
+    <div className="data-transfer">
+      <div className="data-transfer-actions">
+        <button className="week-nav-btn" onClick={handleExportJson}>
+          {t("backup.exportJson")}
+        </button>
+        <button className="week-nav-btn" onClick={handleExportCsv}>
+          {t("backup.exportCsv")}
+        </button>
+        <label className="week-nav-btn data-transfer-file">
+          {t("backup.import")}
+          <input
+            type="file"
+            accept=".json,.csv,text/csv"
+            onChange={handleFile}
+          />
+        </label>
+      </div>
+
+      {error && (
+        <p className="data-transfer-error">
+          {t("backup.failed", { message: error })}
+        </p>
+      )}
+
+      {pending && (
+        <ImportPreview
+          title={t("backup.importFile", { name: pending.name })}
+          state={state}
+          imported={pending.imported}
+          onApply={handleApply}
+          onCancel={() => setPending(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default DataTransfer;
@@ -0,0 +1,54 @@
+import { LIMIT_FIELDS } from "../distribution";
+import { useI18n } from "../i18n";
+import AmountInput from "./AmountInput";
+
+// Limits are typed as whole numbers, calories in the chosen energy unit
+const getFieldLabel = (t, field, units) =>
+  t(
+    field === "calories" ? `limits.calories.${units.energy}` : `field.${field}`
+  );
+
+// Minimum and maximum amounts per day for the remaining-budget suggestions
+function DayLimits({ limits, units, onChange }) {
+  const { t } = useI18n();
+  const handleChange = (field, bound, value) => {
+    onChange({ ...limits, [field]: { ...limits[field], [bound]: value } });
+  };
+
+  return (
+    <div className="day-limits">
+      <p className="input-helper">{t("limits.help")}</p>
+      <table>
+        <thead>
+          <tr>
+            <th />
+            <th>{t("limits.min")}</th>
+            <th>{t("limits.max")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {LIMIT_FIELDS.map((field) => (
+            <tr key={field}>
+              <th>{getFieldLabel(t, field, units)}</th>
+              {["min", "max"].map((bound) => (
+                <td key={bound}>
+                  <AmountInput
+                    value={limits[field][bound]}
+                    decimals={0}
+                    unit={field === "calories" ? units.energy : "g"}
+                    onChange={(amount) => handleChange(field, bound, amount)}
+                    aria-label={t(`limits.${bound}Label`, {
+                      field: getFieldLabel(t, field, units),
+                    })}
+                  />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default DayLimits;
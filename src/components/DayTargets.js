@@ -0,0 +1,83 @@
+import { getPlanDays } from "../weeks";
+import { useI18n } from "../i18n";
+import AmountInput from "./AmountInput";
+
+const MACROS = ["carbs", "protein", "fat"];
+
+// Training day budget and the weekdays it applies to. Other days use the
+// regular daily budget (the rest day budget).
+function DayTargets({
+  dayTargets,
+  trainingBudget,
+  trainingCalories,
+  units,
+  onToggle,
+  onBudgetChange,
+  onToggleDay,
+}) {
+  const { t, firstDay, dayName } = useI18n();
+  return (
+    <div className="day-targets">
+      <label className="day-targets-toggle">
+        <input
+          type="checkbox"
+          checked={dayTargets.enabled}
+          onChange={(e) => onToggle(e.target.checked)}
+        />
+        {t("dayTargets.enable")}
+      </label>
+
+      {dayTargets.enabled && (
+        <>
+          <div className="budget-inputs">
+            <div className="input-group">
+              <label>
+                {t("dayTargets.training", {
+                  field: t(`field.calories.${units.energy}`),
+                })}
+              </label>
+              <input type="text" disabled value={trainingCalories} readOnly />
+              <span className="input-helper">{t("budget.fromMacros")}</span>
+            </div>
+            {MACROS.map((field) => (
+              <div className="input-group" key={field}>
+                <label>
+                  {t("dayTargets.training", { field: t(`field.${field}`) })}
+                </label>
+                <AmountInput
+                  decimals={units.decimals}
+                  value={trainingBudget[field]}
+                  onChange={(value) => onBudgetChange(field, value)}
+                  placeholder={t(`dayTargets.${field}Placeholder`)}
+                />
+              </div>
+            ))}
+          </div>
+          <div
+            className="day-type-picker"
+            role="group"
+            aria-label={t("dayTargets.days")}
+          >
+            {getPlanDays(firstDay).map((day) => {
+              const isTraining = dayTargets.trainingDays.includes(day);
+              return (
+                <button
+                  key={day}
+                  type="button"
+                  className={`day-type-chip${isTraining ? " training" : ""}`}
+                  aria-pressed={isTraining}
+                  aria-label={dayName(day)}
+                  onClick={() => onToggleDay(day)}
+                >
+                  {dayName(day, "short")}
+                </button>
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DayTargets;
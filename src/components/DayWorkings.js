@@ -0,0 +1,28 @@
+import { formatNumber, toEnergyUnit } from "../units";
+import { useI18n } from "../i18n";
+
+// The sums typed into a day's cells, oldest first, each with its result in
+// the unit it was typed in
+function DayWorkings({ workings, units }) {
+  const { t, locale } = useI18n();
+  return (
+    <div className="day-workings">
+      <h3>{t("workings.title")}</h3>
+      <ol>
+        {workings.map((working, index) => (
+          <li key={index}>
+            {t(`workings.${working.field}`)}: {working.expression} ={" "}
+            {formatNumber(
+              toEnergyUnit(parseFloat(working.result) || 0, working.unit),
+              units.decimals,
+              locale
+            )}{" "}
+            {working.unit}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export default DayWorkings;
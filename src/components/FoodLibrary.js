@@ -0,0 +1,140 @@
+import { useState } from "react";
+import { createFood, searchFoods } from "../foodDatabase";
+import { useI18n } from "../i18n";
+import { formatEnergy } from "../units";
+import AmountInput from "./AmountInput";
+
+// Saved foods are stored in kcal and grams; energy is shown and typed in the
+// chosen unit
+const getColumns = (units) => [
+  { field: "calories", label: `field.calories.${units.energy}` },
+  { field: "carbs", label: "field.carbs" },
+  { field: "protein", label: "field.protein" },
+  { field: "fat", label: "field.fat" },
+];
+
+// Saved foods: search, add your own and remove the ones you don't use
+function FoodLibrary({ foods, units, onChange }) {
+  const { t, locale } = useI18n();
+  const [query, setQuery] = useState("");
+  const [draft, setDraft] = useState(() => createFood());
+
+  const visibleFoods = query.trim()
+    ? searchFoods(foods, query, foods.length)
+    : [...foods].sort((a, b) => a.name.localeCompare(b.name));
+
+  const handleDraftChange = (field, value) => {
+    setDraft((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!draft.name.trim()) return;
+    const food = { ...draft, name: draft.name.trim() };
+    if (food.basis !== "serving") delete food.servingLabel;
+    onChange([...foods, food]);
+    setDraft(createFood());
+  };
+
+  const handleRemove = (id) => {
+    onChange(foods.filter((food) => food.id !== id));
+  };
+
+  return (
+    <div className="food-library">
+      <input
+        type="search"
+        className="food-library-search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder={t("food.search")}
+        aria-label={t("food.search")}
+      />
+
+      <ul className="food-library-list">
+        {visibleFoods.map((food) => (
+          <li key={food.id} className="food-library-item">
+            <span className="food-library-name">{food.name}</span>
+            <span className="food-library-macros">
+              {t("food.per", {
+                basis:
+                  food.basis === "serving"
+                    ? food.servingLabel || t("food.serving")
+                    : "100 g",
+              })}
+              :{" "}
+              {t("food.values", {
+                energy: formatEnergy(
+                  parseFloat(food.calories) || 0,
+                  units.energy,
+                  locale
+                ),
+                macros: t("summary.macros", {
+                  carbs: food.carbs || 0,
+                  protein: food.protein || 0,
+                  fat: food.fat || 0,
+                }),
+              })}
+            </span>
+            <button
+              type="button"
+              className="food-log-remove"
+              onClick={() => handleRemove(food.id)}
+              aria-label={t("food.remove", { name: food.name })}
+            >
+              ×
+            </button>
+          </li>
+        ))}
+        {visibleFoods.length === 0 && (
+          <li className="food-library-empty">{t("food.none")}</li>
+        )}
+      </ul>
+
+      <form className="food-library-add" onSubmit={handleAdd}>
+        <input
+          type="text"
+          value={draft.name}
+          onChange={(e) => handleDraftChange("name", e.target.value)}
+          placeholder={t("food.name")}
+          aria-label={t("food.newName")}
+        />
+        <select
+          value={draft.basis}
+          onChange={(e) => handleDraftChange("basis", e.target.value)}
+          aria-label={t("food.basis")}
+        >
+          <option value="100g">{t("food.per", { basis: "100 g" })}</option>
+          <option value="serving">
+            {t("food.per", { basis: t("food.serving") })}
+          </option>
+        </select>
+        {draft.basis === "serving" && (
+          <input
+            type="text"
+            value={draft.servingLabel || ""}
+            onChange={(e) => handleDraftChange("servingLabel", e.target.value)}
+            placeholder={t("food.servingPlaceholder")}
+            aria-label={t("food.servingLabel")}
+          />
+        )}
+        {getColumns(units).map(({ field, label }) => (
+          <AmountInput
+            key={field}
+            value={draft[field]}
+            decimals={units.decimals}
+            unit={field === "calories" ? units.energy : "g"}
+            onChange={(amount) => handleDraftChange(field, amount)}
+            placeholder={t(label)}
+            aria-label={t("food.newField", { field: t(label) })}
+          />
+        ))}
+        <button type="submit" className="food-log-add-btn">
+          {t("food.save")}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default FoodLibrary;
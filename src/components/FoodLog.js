@@ -0,0 +1,146 @@
+import { useState } from "react";
+import { createFoodItem, sumFoodItems } from "../foodLog";
+import { formatEnergy, formatNumber } from "../units";
+import { useI18n } from "../i18n";
+import AmountInput from "./AmountInput";
+import FoodPicker from "./FoodPicker";
+
+const getColumns = (units, t) => [
+  {
+    field: "calories",
+    label: t(`field.calories.${units.energy}`),
+    unit: units.energy,
+  },
+  { field: "carbs", label: t("field.carbs"), unit: "g" },
+  { field: "protein", label: t("field.protein"), unit: "g" },
+  { field: "fat", label: t("field.fat"), unit: "g" },
+];
+
+// List of logged foods/meals for one day, with inline editing
+function FoodLog({ day, items, foods, units, onChange }) {
+  const { t, locale, dayName } = useI18n();
+  const [draft, setDraft] = useState(() => createFoodItem());
+  const columns = getColumns(units, t);
+
+  const handleItemChange = (id, field, value) => {
+    onChange(
+      items.map((item) => (item.id === id ? { ...item, [field]: value } : item))
+    );
+  };
+
+  const handleRemove = (id) => {
+    onChange(items.filter((item) => item.id !== id));
+  };
+
+  const handleDraftChange = (field, value) => {
+    setDraft((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const hasValues = columns.some(({ field }) => draft[field] !== "");
+    if (!draft.name.trim() && !hasValues) return;
+    onChange([
+      ...items,
+      { ...draft, name: draft.name.trim() || t("foodLog.unnamed") },
+    ]);
+    setDraft(createFoodItem());
+  };
+
+  const totals = sumFoodItems(items);
+
+  return (
+    <div className="food-log">
+      {items.length > 0 && (
+        <ul className="food-log-items">
+          {items.map((item) => (
+            <li key={item.id} className="food-log-item">
+              <input
+                type="text"
+                className="food-log-name"
+                value={item.name}
+                onChange={(e) =>
+                  handleItemChange(item.id, "name", e.target.value)
+                }
+                aria-label={t("foodLog.itemName", { day: dayName(day) })}
+              />
+              {columns.map(({ field, label, unit }) => (
+                <AmountInput
+                  key={field}
+                  decimals={units.decimals}
+                  unit={unit}
+                  value={item[field]}
+                  onChange={(value) => handleItemChange(item.id, field, value)}
+                  placeholder={label}
+                  aria-label={`${item.name} ${label}`}
+                />
+              ))}
+              <button
+                type="button"
+                className="food-log-remove"
+                onClick={() => handleRemove(item.id)}
+                aria-label={t("foodLog.remove", { name: item.name })}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <FoodPicker
+        day={day}
+        foods={foods}
+        units={units}
+        onAdd={(item) => onChange([...items, item])}
+      />
+
+      <form className="food-log-item food-log-add" onSubmit={handleAdd}>
+        <input
+          type="text"
+          className="food-log-name"
+          value={draft.name}
+          onChange={(e) => handleDraftChange("name", e.target.value)}
+          placeholder={t("foodLog.namePlaceholder")}
+          aria-label={t("foodLog.newItemName", { day: dayName(day) })}
+        />
+        {columns.map(({ field, label, unit }) => (
+          <AmountInput
+            key={field}
+            decimals={units.decimals}
+            unit={unit}
+            value={draft[field]}
+            onChange={(value) => handleDraftChange(field, value)}
+            placeholder={label}
+            aria-label={t("foodLog.newItemField", {
+              day: dayName(day),
+              field: label,
+            })}
+          />
+        ))}
+        <button type="submit" className="food-log-add-btn">
+          {t("foodLog.add")}
+        </button>
+      </form>
+
+      {items.length > 0 && (
+        <p className="food-log-total">
+          {t("foodLog.total", {
+            calories: formatEnergy(totals.calories || 0, units.energy, locale),
+            macros: t("summary.macros", {
+              carbs: formatNumber(totals.carbs || 0, units.decimals, locale),
+              protein: formatNumber(
+                totals.protein || 0,
+                units.decimals,
+                locale
+              ),
+              fat: formatNumber(totals.fat || 0, units.decimals, locale),
+            }),
+          })}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default FoodLog;
@@ -0,0 +1,130 @@
+import { useState } from "react";
+import {
+  createFoodItemFromFood,
+  formatAmount,
+  scaleFood,
+  searchFoods,
+} from "../foodDatabase";
+import { useI18n } from "../i18n";
+import { formatEnergy, formatNumber } from "../units";
+import AmountInput from "./AmountInput";
+
+// Decimals allowed in the amount, e.g. 1.5 servings
+const QUANTITY_DECIMALS = 2;
+
+const defaultAmount = (food) => (food.basis === "serving" ? "1" : "100");
+
+// Search-as-you-type picker that adds a scaled amount of a saved food
+function FoodPicker({ day, foods, units, onAdd }) {
+  const { t, locale, dayName } = useI18n();
+  const energy = (kcal) =>
+    formatEnergy(parseFloat(kcal) || 0, units.energy, locale);
+  const [query, setQuery] = useState("");
+  const [selected, setSelected] = useState(null);
+  const [amount, setAmount] = useState("");
+
+  const results = selected ? [] : searchFoods(foods, query);
+  const quantity = parseFloat(amount) || 0;
+  const preview = selected
+    ? scaleFood(selected, quantity, units.decimals)
+    : null;
+
+  const handleSelect = (food) => {
+    setSelected(food);
+    setQuery(food.name);
+    setAmount(defaultAmount(food));
+  };
+
+  const handleQueryChange = (value) => {
+    setQuery(value);
+    setSelected(null);
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!selected || quantity <= 0) return;
+    onAdd(
+      createFoodItemFromFood(
+        selected,
+        quantity,
+        t("food.serving"),
+        units.decimals
+      )
+    );
+    setQuery("");
+    setSelected(null);
+    setAmount("");
+  };
+
+  return (
+    <form className="food-picker" onSubmit={handleAdd}>
+      <div className="food-picker-search">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => handleQueryChange(e.target.value)}
+          placeholder={t("food.search")}
+          aria-label={t("food.searchFor", { day: dayName(day) })}
+          autoComplete="off"
+        />
+        {results.length > 0 && (
+          <ul className="food-picker-results" role="listbox">
+            {results.map((food) => (
+              <li key={food.id} role="option" aria-selected="false">
+                <button type="button" onClick={() => handleSelect(food)}>
+                  <span>{food.name}</span>
+                  <span className="food-picker-basis">
+                    {t("food.caloriesPer", {
+                      energy: energy(food.calories),
+                      basis:
+                        food.basis === "serving"
+                          ? food.servingLabel || t("food.serving")
+                          : "100 g",
+                    })}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      {selected && (
+        <>
+          <div className="food-picker-amount">
+            <AmountInput
+              value={amount}
+              decimals={QUANTITY_DECIMALS}
+              onChange={setAmount}
+              aria-label={t(
+                selected.basis === "serving" ? "food.servings" : "food.grams"
+              )}
+            />
+            <span>
+              {selected.basis === "serving" ? t("food.servingsUnit") : "g"}
+            </span>
+          </div>
+          <p className="food-picker-preview">
+            {formatAmount(selected, quantity, t("food.serving"))}:{" "}
+            {t("food.values", {
+              energy: energy(preview.calories),
+              macros: t("summary.macros", {
+                carbs: formatNumber(preview.carbs, units.decimals, locale),
+                protein: formatNumber(preview.protein, units.decimals, locale),
+                fat: formatNumber(preview.fat, units.decimals, locale),
+              }),
+            })}
+          </p>
+          <button
+            type="submit"
+            className="food-log-add-btn"
+            disabled={quantity <= 0}
+          >
+            {t("food.addTo", { day: dayName(day) })}
+          </button>
+        </>
+      )}
+    </form>
+  );
+}
+
+export default FoodPicker;
@@ -0,0 +1,82 @@
+import { useState } from "react";
+import { applyImport, previewImport } from "../dataTransfer";
+import { useI18n } from "../i18n";
+
+const formatBudget = (budget, t) =>
+  t("summary.macros", {
+    carbs: budget.carbs || 0,
+    protein: budget.protein || 0,
+    fat: budget.fat || 0,
+  });
+
+// What an import would change, with the choice to merge or replace
+function ImportPreview({ title, state, imported, onApply, onCancel }) {
+  const { t } = useI18n();
+  const [mode, setMode] = useState("merge");
+
+  const preview = previewImport(state, imported, mode);
+  const hasChanges =
+    preview.budget ||
+    preview.settings.length > 0 ||
+    (preview.days &&
+      preview.days.added + preview.days.changed + preview.days.removed > 0);
+
+  return (
+    <div className="data-transfer-preview">
+      <h3>{title}</h3>
+      <div className="data-transfer-modes" role="radiogroup">
+        <label>
+          <input
+            type="radio"
+            name="import-mode"
+            checked={mode === "merge"}
+            onChange={() => setMode("merge")}
+          />
+          {t("backup.merge")}
+        </label>
+        <label>
+          <input
+            type="radio"
+            name="import-mode"
+            checked={mode === "replace"}
+            onChange={() => setMode("replace")}
+          />
+          {t("backup.replace")}
+        </label>
+      </div>
+      <ul>
+        {preview.budget && (
+          <li>
+            {t("backup.budgetChange", {
+              from: formatBudget(preview.budget.from, t),
+              to: formatBudget(preview.budget.to, t),
+            })}
+          </li>
+        )}
+        {preview.days && <li>{t("backup.days", preview.days)}</li>}
+        {preview.settings.map((key) => (
+          <li key={key}>
+            {t("backup.settingReplaced", {
+              setting: t(`backup.setting.${key}`),
+            })}
+          </li>
+        ))}
+        {!hasChanges && <li>{t("backup.noChanges")}</li>}
+      </ul>
+      <div className="budget-wizard-actions">
+        <button
+          className="week-nav-btn"
+          onClick={() => onApply(applyImport(state, imported, mode))}
+          disabled={!hasChanges}
+        >
+          {t("backup.apply")}
+        </button>
+        <button className="week-nav-btn" onClick={onCancel}>
+          {t("common.cancel")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ImportPreview;
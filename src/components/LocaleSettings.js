@@ -0,0 +1,47 @@
+import { LANGUAGES } from "../locales";
+import { DAYS } from "../weeks";
+import { useI18n } from "../i18n";
+
+// Interface language and the first day of the Weekly Plan. Both are the same
+// for every profile on this device.
+function LocaleSettings({ settings, onChange }) {
+  const { t, dayName } = useI18n();
+
+  const handleChange = (field, value) => {
+    onChange({ ...settings, [field]: value });
+  };
+
+  return (
+    <div className="unit-settings">
+      <label>
+        {t("locale.language")}
+        <select
+          value={settings.language}
+          onChange={(e) => handleChange("language", e.target.value)}
+        >
+          <option value="auto">{t("locale.auto")}</option>
+          {LANGUAGES.map(({ id, name }) => (
+            <option key={id} value={id} lang={id}>
+              {name}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        {t("locale.firstDay")}
+        <select
+          value={settings.firstDay}
+          onChange={(e) => handleChange("firstDay", e.target.value)}
+        >
+          {DAYS.map((day) => (
+            <option key={day} value={day}>
+              {dayName(day)}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+export default LocaleSettings;
@@ -0,0 +1,88 @@
+import { ADHERENCE_TOLERANCE } from "../stats";
+import { useI18n } from "../i18n";
+
+const WIDTH = 280;
+const HEIGHT = 150;
+const PADDING = { top: 10, right: 5, bottom: 20, left: 5 };
+const SLOT = (WIDTH - PADDING.left - PADDING.right) / 7;
+const BAR = SLOT * 0.6;
+
+// Bar chart of one macro for each day of a week. The line across each bar is
+// that day's target; bars more than the tolerance over it are shown in red.
+function MacroChart({ field, label, unit, days }) {
+  const { t, dayName } = useI18n();
+  const max =
+    Math.max(
+      1,
+      ...days.map((day) => Math.max(day.values[field], day.target[field]))
+    ) * 1.1;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const y = (value) => PADDING.top + plotHeight - (value / max) * plotHeight;
+
+  return (
+    <figure className="macro-chart">
+      <figcaption>
+        {label} ({unit})
+      </figcaption>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label={t("stats.chartLabel", { field: label })}
+      >
+        <line
+          className="macro-chart-axis"
+          x1={PADDING.left}
+          x2={WIDTH - PADDING.right}
+          y1={y(0)}
+          y2={y(0)}
+        />
+        {days.map(({ day, filled, values, target }, index) => {
+          const x = PADDING.left + index * SLOT + (SLOT - BAR) / 2;
+          const value = values[field];
+          const over =
+            value > target[field] * (1 + ADHERENCE_TOLERANCE / 100) &&
+            target[field] > 0;
+          return (
+            <g key={day}>
+              <title>
+                {t("stats.chartDay", {
+                  day: dayName(day),
+                  value: filled
+                    ? `${Math.round(value)} ${unit}`
+                    : t("stats.notLogged"),
+                  target: `${Math.round(target[field])} ${unit}`,
+                })}
+              </title>
+              {filled && (
+                <rect
+                  className={`macro-chart-bar${over ? " over" : ""}`}
+                  x={x}
+                  y={y(value)}
+                  width={BAR}
+                  height={y(0) - y(value)}
+                />
+              )}
+              <line
+                className="macro-chart-target"
+                x1={x - 3}
+                x2={x + BAR + 3}
+                y1={y(target[field])}
+                y2={y(target[field])}
+              />
+              <text
+                className="macro-chart-label"
+                x={x + BAR / 2}
+                y={HEIGHT - 5}
+                textAnchor="middle"
+              >
+                {dayName(day, "narrow")}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+    </figure>
+  );
+}
+
+export default MacroChart;
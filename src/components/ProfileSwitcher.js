@@ -0,0 +1,132 @@
+import { useState } from "react";
+import {
+  addProfile,
+  createProfile,
+  getProfileName,
+  removeProfile,
+  renameProfile,
+  selectProfile,
+} from "../profiles";
+import { useI18n } from "../i18n";
+
+// Switch between the profiles on this device, and add, rename or delete them
+function ProfileSwitcher({ profiles, onChange }) {
+  const { t } = useI18n();
+  const [showManager, setShowManager] = useState(false);
+  const [newName, setNewName] = useState("");
+  const [confirmDelete, setConfirmDelete] = useState(null);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    onChange(addProfile(profiles, createProfile(newName.trim())));
+    setNewName("");
+    setShowManager(false);
+  };
+
+  const handleDelete = (id) => {
+    onChange(removeProfile(profiles, id));
+    setConfirmDelete(null);
+  };
+
+  return (
+    <div className="profile-switcher">
+      <select
+        value={profiles.selected}
+        onChange={(e) => onChange(selectProfile(profiles, e.target.value))}
+        aria-label={t("profiles.profile")}
+      >
+        {profiles.list.map((profile) => (
+          <option key={profile.id} value={profile.id}>
+            {getProfileName(profile, t)}
+          </option>
+        ))}
+      </select>
+      <button
+        className="week-nav-btn"
+        onClick={() => setShowManager((prev) => !prev)}
+        aria-expanded={showManager}
+      >
+        {t("profiles.title")}
+      </button>
+
+      {showManager && (
+        <div
+          className="profile-manager"
+          role="dialog"
+          aria-label={t("profiles.title")}
+        >
+          <p className="input-helper">{t("profiles.help")}</p>
+          <ul>
+            {profiles.list.map((profile) =>
+              confirmDelete === profile.id ? (
+                <li key={profile.id}>
+                  <span>
+                    {t("profiles.confirmDelete", {
+                      name: getProfileName(profile, t),
+                    })}
+                  </span>
+                  <button
+                    className="clear-all-btn"
+                    onClick={() => handleDelete(profile.id)}
+                  >
+                    {t("common.delete")}
+                  </button>
+                  <button
+                    className="week-nav-btn"
+                    onClick={() => setConfirmDelete(null)}
+                  >
+                    {t("common.cancel")}
+                  </button>
+                </li>
+              ) : (
+                <li key={profile.id}>
+                  <input
+                    type="text"
+                    value={profile.name}
+                    onChange={(e) =>
+                      onChange(
+                        renameProfile(profiles, profile.id, e.target.value)
+                      )
+                    }
+                    aria-label={t("profiles.name", {
+                      name: getProfileName(profile, t),
+                    })}
+                  />
+                  <button
+                    className="food-log-remove"
+                    onClick={() => setConfirmDelete(profile.id)}
+                    disabled={profiles.list.length <= 1}
+                    aria-label={t("profiles.delete", {
+                      name: getProfileName(profile, t),
+                    })}
+                  >
+                    ×
+                  </button>
+                </li>
+              )
+            )}
+          </ul>
+          <form className="profile-add" onSubmit={handleAdd}>
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder={t("profiles.namePlaceholder")}
+              aria-label={t("profiles.newName")}
+            />
+            <button
+              type="submit"
+              className="week-nav-btn"
+              disabled={!newName.trim()}
+            >
+              {t("profiles.add")}
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ProfileSwitcher;
@@ -0,0 +1,157 @@
+import { REMINDER_CONDITIONS, createReminderRule } from "../reminders";
+import { DAYS, getPlanDays } from "../weeks";
+import { useI18n } from "../i18n";
+
+// Allow empty string or positive whole numbers only (no decimals)
+const isValidPercent = (value) => value === "" || /^\d+$/.test(value);
+
+// Reminder settings: any number of reminders, each with a time, the days it
+// applies to and a condition for showing it
+function ReminderSettings({
+  settings,
+  onChange,
+  permission,
+  onRequestPermission,
+}) {
+  const { t, firstDay, dayName } = useI18n();
+  const updateRule = (id, changes) => {
+    onChange({
+      ...settings,
+      rules: settings.rules.map((rule) =>
+        rule.id === id ? { ...rule, ...changes } : rule
+      ),
+    });
+  };
+
+  const toggleDay = (rule, day) => {
+    updateRule(rule.id, {
+      days: rule.days.includes(day)
+        ? rule.days.filter((d) => d !== day)
+        : DAYS.filter((d) => d === day || rule.days.includes(d)),
+    });
+  };
+
+  const addRule = () => {
+    onChange({ ...settings, rules: [...settings.rules, createReminderRule()] });
+  };
+
+  const removeRule = (id) => {
+    onChange({
+      ...settings,
+      rules: settings.rules.filter((rule) => rule.id !== id),
+    });
+  };
+
+  return (
+    <div className="reminder-settings">
+      <label>
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => onChange({ ...settings, enabled: e.target.checked })}
+        />
+        {t("reminders.enable")}
+      </label>
+
+      {settings.enabled && permission === "default" && (
+        <p className="input-helper">
+          {t("reminders.permission")}{" "}
+          <button className="week-nav-btn" onClick={onRequestPermission}>
+            {t("reminders.allow")}
+          </button>
+        </p>
+      )}
+      {settings.enabled && permission === "denied" && (
+        <p className="input-helper">{t("reminders.blocked")}</p>
+      )}
+      {permission === "unsupported" && (
+        <p className="input-helper">{t("reminders.unsupported")}</p>
+      )}
+
+      {settings.enabled && (
+        <>
+          {settings.rules.map((rule) => (
+            <div className="reminder-rule" key={rule.id}>
+              <div className="reminder-rule-row">
+                <label>
+                  {t("reminders.at")}
+                  <input
+                    type="time"
+                    value={rule.time}
+                    onChange={(e) =>
+                      e.target.value &&
+                      updateRule(rule.id, { time: e.target.value })
+                    }
+                    aria-label={t("reminders.time")}
+                  />
+                </label>
+                <select
+                  value={rule.condition}
+                  onChange={(e) =>
+                    updateRule(rule.id, { condition: e.target.value })
+                  }
+                  aria-label={t("reminders.condition")}
+                >
+                  {REMINDER_CONDITIONS.map((condition) => (
+                    <option key={condition} value={condition}>
+                      {t(`reminders.${condition}`)}
+                    </option>
+                  ))}
+                </select>
+                {rule.condition === "protein" && (
+                  <label>
+                    {t("reminders.under")}
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      className="reminder-percent"
+                      value={rule.proteinPercent}
+                      onChange={(e) =>
+                        isValidPercent(e.target.value) &&
+                        updateRule(rule.id, { proteinPercent: e.target.value })
+                      }
+                      aria-label={t("reminders.percent")}
+                    />
+                    %
+                  </label>
+                )}
+                <button
+                  className="food-log-remove"
+                  onClick={() => removeRule(rule.id)}
+                  aria-label={t("reminders.remove")}
+                >
+                  ×
+                </button>
+              </div>
+              <div
+                className="day-type-picker"
+                role="group"
+                aria-label={t("reminders.days")}
+              >
+                {getPlanDays(firstDay).map((day) => (
+                  <button
+                    key={day}
+                    type="button"
+                    className={`day-type-chip${
+                      rule.days.includes(day) ? " active" : ""
+                    }`}
+                    aria-pressed={rule.days.includes(day)}
+                    onClick={() => toggleDay(rule, day)}
+                    aria-label={dayName(day)}
+                  >
+                    {dayName(day, "short")}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+          <button className="week-nav-btn" onClick={addRule}>
+            {t("reminders.add")}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ReminderSettings;
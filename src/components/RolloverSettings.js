@@ -0,0 +1,41 @@
+import { ROLLOVER_MODES } from "../rollover";
+import { useI18n } from "../i18n";
+import AmountInput from "./AmountInput";
+
+// How calories left over or overspent last week move into this week. The
+// cap is stored in kcal and typed as a whole number in the chosen unit.
+function RolloverSettings({ settings, units, onChange }) {
+  const { t } = useI18n();
+  return (
+    <div className="rollover-settings">
+      <label>
+        {t("rollover.balance")}
+        <select
+          value={settings.mode}
+          onChange={(e) => onChange({ ...settings, mode: e.target.value })}
+        >
+          {ROLLOVER_MODES.map((mode) => (
+            <option key={mode} value={mode}>
+              {t(`rollover.${mode}`)}
+            </option>
+          ))}
+        </select>
+      </label>
+      {settings.mode === "capped" && (
+        <label>
+          {t("rollover.upTo")}
+          <AmountInput
+            value={settings.cap}
+            decimals={0}
+            unit={units.energy}
+            onChange={(cap) => onChange({ ...settings, cap })}
+            aria-label={t("rollover.capLabel", { unit: units.energy })}
+          />
+          {units.energy}
+        </label>
+      )}
+    </div>
+  );
+}
+
+export default RolloverSettings;
@@ -0,0 +1,63 @@
+import { useState } from "react";
+import { getShareLink } from "../share";
+import { downloadSummaryCard } from "../summaryCard";
+import { formatWeekRange } from "../weeks";
+import { useI18n } from "../i18n";
+
+// A read-only link to the selected week and a summary image of it, both
+// made in the browser from the week's budget and entries
+function ShareWeek({ shared, units }) {
+  const i18n = useI18n();
+  const { t, locale } = i18n;
+  const [message, setMessage] = useState("");
+  const link = getShareLink(shared);
+
+  const handleCopy = () => {
+    if (!navigator.clipboard) {
+      setMessage(t("share.selectLink"));
+      return;
+    }
+    navigator.clipboard
+      .writeText(link)
+      .then(() => setMessage(t("share.copied")))
+      .catch(() => setMessage(t("share.selectLink")));
+  };
+
+  const handleImage = () => {
+    downloadSummaryCard(shared, units, i18n).then(
+      (created) => !created && setMessage(t("common.imageFailed"))
+    );
+  };
+
+  return (
+    <div className="share-week">
+      <p className="input-helper">
+        {t("share.help", {
+          week: formatWeekRange(shared.weekKey, shared.firstDay, locale),
+        })}
+      </p>
+      <div className="share-link">
+        <input
+          type="text"
+          value={link}
+          readOnly
+          onFocus={(e) => e.target.select()}
+          aria-label={t("share.link")}
+        />
+        <button className="week-nav-btn" onClick={handleCopy}>
+          {t("share.copy")}
+        </button>
+        <button className="week-nav-btn" onClick={handleImage}>
+          {t("common.downloadImage")}
+        </button>
+      </div>
+      {message && (
+        <p className="input-helper" role="status">
+          {message}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default ShareWeek;
@@ -0,0 +1,127 @@
+import { useState } from "react";
+import { getShareSummary } from "../share";
+import { downloadSummaryCard } from "../summaryCard";
+import { formatEnergy, formatNumber, toEnergyUnit } from "../units";
+import { formatWeekRange } from "../weeks";
+import { useI18n } from "../i18n";
+
+const FIELDS = ["calories", "carbs", "protein", "fat"];
+
+const formatTotals = (values, units, { t, locale }) =>
+  t("share.totals", {
+    energy: formatEnergy(values.calories, units.energy, locale),
+    macros: t("summary.macros", {
+      carbs: Math.round(values.carbs),
+      protein: Math.round(values.protein),
+      fat: Math.round(values.fat),
+    }),
+  });
+
+// Read-only view of a week opened from a shared link, in the plan week of
+// whoever shared it. Nothing in it is stored; the tracker's own data isn't
+// touched. Energy is shown in the unit of the viewer's own settings.
+function SharedWeek({ shared, units, onClose }) {
+  const i18n = useI18n();
+  const { t, locale, dayName } = i18n;
+  const [message, setMessage] = useState("");
+  const summary = getShareSummary(shared);
+  const hasWeight = summary.days.some(({ entry }) => entry.weight);
+
+  const handleImage = () => {
+    downloadSummaryCard(shared, units, i18n).then(
+      (created) => !created && setMessage(t("common.imageFailed"))
+    );
+  };
+
+  return (
+    <div className="App">
+      <div className="container">
+        <div className="header-section">
+          <h1>{t("app.title")}</h1>
+        </div>
+
+        <div className="shared-week">
+          <h2>
+            {t("share.title", {
+              week: formatWeekRange(shared.weekKey, shared.firstDay, locale),
+            })}
+          </h2>
+          <p className="input-helper">{t("share.readOnly")}</p>
+
+          <table className="weekly-table">
+            <thead>
+              <tr>
+                <th>{t("field.day")}</th>
+                <th>{t(`field.calories.${units.energy}`)}</th>
+                <th>{t("field.carbs")}</th>
+                <th>{t("field.protein")}</th>
+                <th>{t("field.fat")}</th>
+                {hasWeight && <th>{t("share.weight")}</th>}
+                <th>{t("share.target")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.days.map(({ day, entry, target }) => (
+                <tr key={day}>
+                  <td className="day-label">{dayName(day)}</td>
+                  {FIELDS.map((field) => (
+                    <td key={field}>
+                      {!entry[field]
+                        ? "–"
+                        : field === "calories"
+                        ? formatNumber(
+                            toEnergyUnit(
+                              parseFloat(entry.calories),
+                              units.energy
+                            ),
+                            0,
+                            locale
+                          )
+                        : entry[field]}
+                    </td>
+                  ))}
+                  {hasWeight && <td>{entry.weight || "–"}</td>}
+                  <td>{formatEnergy(target.calories, units.energy, locale)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="weekly-budget">
+            <p>
+              {t("share.weeklyBudget", {
+                totals: formatTotals(summary.budget, units, i18n),
+              })}
+            </p>
+            <p>
+              {t("share.eatenTotals", {
+                totals: formatTotals(summary.totals, units, i18n),
+              })}
+            </p>
+            <p className="remaining">
+              {t("share.remainingTotals", {
+                totals: formatTotals(summary.remaining, units, i18n),
+              })}
+            </p>
+          </div>
+
+          <div className="budget-wizard-actions">
+            <button className="week-nav-btn" onClick={handleImage}>
+              {t("common.downloadImage")}
+            </button>
+            <button className="week-nav-btn" onClick={onClose}>
+              {t("share.openTracker")}
+            </button>
+          </div>
+          {message && (
+            <p className="input-helper" role="status">
+              {message}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SharedWeek;
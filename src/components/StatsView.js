@@ -0,0 +1,191 @@
+import { MACRO_FIELDS } from "../foodLog";
+import { formatNumber, toEnergyUnit } from "../units";
+import {
+  ADHERENCE_TOLERANCE,
+  AVERAGE_WEEKS,
+  getAdherence,
+  getRollingAverages,
+  getStreaks,
+  getWeekDays,
+} from "../stats";
+import {
+  formatWeekRange,
+  getPlanDays,
+  getPlanEntries,
+  getPlanStart,
+} from "../weeks";
+import {
+  RATE_WINDOW_DAYS,
+  formatRate,
+  getTrendRate,
+  getWeightLog,
+  getWeightTrend,
+} from "../weightTrend";
+import MacroChart from "./MacroChart";
+import { useI18n } from "../i18n";
+import WeightChart from "./WeightChart";
+
+const WEIGHT_CHART_WEEKS = 8;
+
+// Day values and targets with calories in the chosen energy unit
+const toEnergy = (values, unit) => ({
+  ...values,
+  calories: toEnergyUnit(values.calories, unit),
+});
+
+// Stats for the week shown in the Weekly Plan: intake against targets per
+// day, adherence, averages over the last weeks and logging streaks
+function StatsView({
+  weeks,
+  weekKey,
+  isDayFilled,
+  getDayTarget,
+  goalRate,
+  units,
+}) {
+  const { t, locale, firstDay } = useI18n();
+  const formatDays = (count) => t("stats.days", { count });
+  const formatValue = (field, value) => {
+    if (value === null) return "–";
+    return field === "calories"
+      ? formatNumber(toEnergyUnit(value, units.energy), 0, locale)
+      : value;
+  };
+  const days = getWeekDays(
+    getPlanEntries(weeks, weekKey, firstDay),
+    isDayFilled,
+    getDayTarget,
+    getPlanDays(firstDay)
+  );
+  const chartDays = days.map((day) => ({
+    ...day,
+    values: toEnergy(day.values, units.energy),
+    target: toEnergy(day.target, units.energy),
+  }));
+  const adherence = getAdherence(days);
+  const averages = getRollingAverages(
+    weeks,
+    weekKey,
+    isDayFilled,
+    getDayTarget,
+    firstDay
+  );
+  const streaks = getStreaks(weeks, isDayFilled);
+
+  const weightTrend = getWeightTrend(getWeightLog(weeks));
+  const weekEnd = getPlanStart(weekKey, firstDay);
+  weekEnd.setDate(weekEnd.getDate() + 6);
+  const today = new Date();
+  const chartEnd = weekEnd < today ? weekEnd : today;
+  const chartStart = new Date(chartEnd);
+  chartStart.setDate(chartStart.getDate() - WEIGHT_CHART_WEEKS * 7 + 1);
+  const weightRate = getTrendRate(weightTrend, chartEnd);
+
+  return (
+    <div className="stats-view">
+      <div className="stats-summary">
+        <div className="stats-card">
+          <span className="stats-card-value">
+            {adherence.percent === null ? "–" : `${adherence.percent}%`}
+          </span>
+          <span className="stats-card-label">{t("stats.adherence")}</span>
+          <span className="input-helper">
+            {adherence.logged === 0
+              ? t("stats.noDays")
+              : t("stats.onTarget", {
+                  onTarget: adherence.onTarget,
+                  logged: formatDays(adherence.logged),
+                  tolerance: ADHERENCE_TOLERANCE,
+                })}
+          </span>
+        </div>
+        <div className="stats-card">
+          <span className="stats-card-value">{streaks.current}</span>
+          <span className="stats-card-label">{t("stats.currentStreak")}</span>
+          <span className="input-helper">{t("stats.streakHelp")}</span>
+        </div>
+        <div className="stats-card">
+          <span className="stats-card-value">{streaks.longest}</span>
+          <span className="stats-card-label">{t("stats.longestStreak")}</span>
+          <span className="input-helper">{t("stats.streakHelp")}</span>
+        </div>
+      </div>
+
+      <div className="stats-charts">
+        {MACRO_FIELDS.map((field) => (
+          <MacroChart
+            key={field}
+            field={field}
+            label={t(`stats.${field}`)}
+            unit={field === "calories" ? units.energy : "g"}
+            days={chartDays}
+          />
+        ))}
+      </div>
+
+      <h3>{t("stats.weight")}</h3>
+      {weightTrend.length === 0 ? (
+        <p className="input-helper">{t("stats.noWeight")}</p>
+      ) : (
+        <>
+          <WeightChart trend={weightTrend} from={chartStart} to={chartEnd} />
+          <p className="input-helper">
+            {weightRate === null
+              ? t("stats.noRate")
+              : t("stats.rate", {
+                  weeks: RATE_WINDOW_DAYS / 7,
+                  rate: formatRate(weightRate, locale, t),
+                  goal: formatRate(goalRate, locale, t),
+                })}
+          </p>
+        </>
+      )}
+
+      <h3>{t("stats.averages", { weeks: AVERAGE_WEEKS })}</h3>
+      <table className="stats-table">
+        <thead>
+          <tr>
+            <th>{t("stats.week")}</th>
+            <th>{t("stats.logged")}</th>
+            {MACRO_FIELDS.map((field) => (
+              <th key={field}>{t(`stats.${field}`)}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {averages.weeks.map((week) => (
+            <tr key={week.weekKey}>
+              <td>{formatWeekRange(week.weekKey, firstDay, locale)}</td>
+              <td>{formatDays(week.logged)}</td>
+              {MACRO_FIELDS.map((field) => (
+                <td key={field}>{formatValue(field, week.values[field])}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr>
+            <th>{t("stats.average", { weeks: AVERAGE_WEEKS })}</th>
+            <td>{formatDays(averages.average.logged)}</td>
+            {MACRO_FIELDS.map((field) => (
+              <td key={field}>
+                {formatValue(field, averages.average.values[field])}
+              </td>
+            ))}
+          </tr>
+          <tr>
+            <th>{t("stats.target")}</th>
+            <td />
+            {MACRO_FIELDS.map((field) => (
+              <td key={field}>
+                {formatValue(field, averages.average.target[field])}
+              </td>
+            ))}
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+  );
+}
+
+export default StatsView;
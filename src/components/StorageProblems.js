@@ -0,0 +1,39 @@
+import { downloadFile } from "../dataTransfer";
+import { useI18n } from "../i18n";
+
+// Report of stored data that couldn't be loaded and was set aside. Items set
+// aside by older versions only have the English label and reason.
+function StorageProblems({ items, onDismiss }) {
+  const { t } = useI18n();
+  const handleDownload = () => {
+    downloadFile(
+      "macro-budget-unreadable-data.json",
+      JSON.stringify(items, null, 2),
+      "application/json"
+    );
+  };
+
+  return (
+    <div className="storage-problems" role="alert">
+      <p>{t("storage.problems")}</p>
+      <ul>
+        {items.map((item, index) => (
+          <li key={`${item.key}-${item.quarantinedAt}-${index}`}>
+            {item.name ? t(`storage.value.${item.name}`) : item.label}:{" "}
+            {item.error ? t(item.error.key, item.error.params) : item.reason}
+          </li>
+        ))}
+      </ul>
+      <div className="budget-wizard-actions">
+        <button className="week-nav-btn" onClick={handleDownload}>
+          {t("storage.download")}
+        </button>
+        <button className="week-nav-btn" onClick={onDismiss}>
+          {t("common.dismiss")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default StorageProblems;
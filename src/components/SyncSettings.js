@@ -0,0 +1,150 @@
+import { getDateForDay } from "../weeks";
+import { useI18n } from "../i18n";
+
+const formatTime = (time, locale) =>
+  new Date(time).toLocaleString(locale, {
+    weekday: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const describeKey = (key, t, locale) => {
+  if (key === "settings") return t("sync.settings");
+  const [weekKey, day] = key.split("/");
+  return getDateForDay(weekKey, day).toLocaleDateString(locale, {
+    weekday: "long",
+    day: "numeric",
+    month: "short",
+  });
+};
+
+const describeVersion = (key, value, t) => {
+  const macros = (values) =>
+    t("summary.macros", {
+      carbs: values.carbs || 0,
+      protein: values.protein || 0,
+      fat: values.fat || 0,
+    });
+  if (key === "settings") return macros(value.dailyBudget || {});
+  if (!value.calories && !value.carbs && !value.protein && !value.fat) {
+    return t("sync.nothingLogged");
+  }
+  return t("food.values", {
+    calories: value.calories || "–",
+    macros: macros(value),
+  });
+};
+
+// Where to sync, the state of the last sync with any of the server's records
+// it had to skip, and the conflicts it found:
+// records changed on this device and another one, of which the later edit
+// was kept
+function SyncSettings({
+  settings,
+  onChange,
+  status,
+  onSync,
+  conflicts,
+  onUseOther,
+  onDismiss,
+}) {
+  const { t, locale } = useI18n();
+  return (
+    <div className="sync-settings">
+      <p className="input-helper">{t("sync.help")}</p>
+      <label>
+        {t("sync.endpoint")}
+        <input
+          type="url"
+          value={settings.endpoint}
+          onChange={(e) => onChange({ ...settings, endpoint: e.target.value })}
+          placeholder="http://localhost:8787/profiles/me"
+        />
+      </label>
+      <label>
+        {t("sync.token")}
+        <input
+          type="password"
+          value={settings.token}
+          onChange={(e) => onChange({ ...settings, token: e.target.value })}
+          autoComplete="off"
+        />
+      </label>
+      <div className="sync-status">
+        <button
+          className="week-nav-btn"
+          onClick={onSync}
+          disabled={!settings.endpoint || status.state === "syncing"}
+        >
+          {status.state === "syncing" ? t("sync.syncing") : t("sync.now")}
+        </button>
+        <span className="input-helper" role="status">
+          {status.state === "error"
+            ? t("sync.failed", { message: status.message })
+            : settings.lastSyncAt
+            ? t("sync.last", {
+                time: formatTime(settings.lastSyncAt, locale),
+              })
+            : settings.endpoint && t("sync.never")}
+        </span>
+      </div>
+
+      {status.skipped && status.skipped.length > 0 && (
+        <div className="sync-skipped" role="status">
+          <p className="input-helper">{t("sync.skipped")}</p>
+          <ul>
+            {status.skipped.map(({ key, reason }) => (
+              <li key={key}>
+                {reason.key ? t(reason.key, reason.params) : reason.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {conflicts.length > 0 && (
+        <div className="sync-conflicts">
+          <h3>{t("sync.conflicts")}</h3>
+          <ul>
+            {conflicts.map((conflict) => {
+              const kept =
+                conflict.kept === "local" ? conflict.local : conflict.remote;
+              const other =
+                conflict.kept === "local" ? conflict.remote : conflict.local;
+              return (
+                <li key={conflict.key}>
+                  <span>
+                    <strong>{describeKey(conflict.key, t, locale)}:</strong>{" "}
+                    {t(
+                      conflict.kept === "local"
+                        ? "sync.keptLocal"
+                        : "sync.keptRemote",
+                      {
+                        kept: describeVersion(conflict.key, kept, t),
+                        other: describeVersion(conflict.key, other, t),
+                      }
+                    )}
+                  </span>
+                  <button
+                    className="week-nav-btn"
+                    onClick={() => onUseOther(conflict)}
+                  >
+                    {t("sync.useOther")}
+                  </button>
+                  <button
+                    className="week-nav-btn"
+                    onClick={() => onDismiss(conflict)}
+                  >
+                    {t("common.dismiss")}
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SyncSettings;
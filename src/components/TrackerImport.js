@@ -0,0 +1,272 @@
+import { useState } from "react";
+import { readFileAsText } from "../dataTransfer";
+import { MACRO_FIELDS } from "../foodLog";
+import {
+  DATE_FORMATS,
+  applyTrackerMapping,
+  findSavedMapping,
+  getUnits,
+  guessMapping,
+  readTrackerCsv,
+} from "../trackerImport";
+import { DAYS, getDateForDay, toDateString } from "../weeks";
+import { useI18n } from "../i18n";
+import ImportPreview from "./ImportPreview";
+
+// Imported days as sorted rows, for the sample table
+const listDays = (weeks) =>
+  Object.keys(weeks)
+    .sort()
+    .flatMap((weekKey) =>
+      DAYS.filter((day) =>
+        MACRO_FIELDS.some((field) => weeks[weekKey][day][field] !== "")
+      ).map((day) => ({
+        date: toDateString(getDateForDay(weekKey, day)),
+        ...weeks[weekKey][day],
+      }))
+    );
+
+// Import of daily totals from another tracker's CSV export, with a
+// column-mapping step. Mappings can be saved and are picked up again
+// automatically for files with the same columns.
+function TrackerImport({ state, mappings, onMappingsChange, onImport }) {
+  const { t } = useI18n();
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [imported, setImported] = useState(null);
+  const [error, setError] = useState(null);
+
+  const reset = () => {
+    setFile(null);
+    setMapping(null);
+    setImported(null);
+  };
+
+  const handleFile = (e) => {
+    const selected = e.target.files[0];
+    e.target.value = "";
+    if (!selected) return;
+    setError(null);
+    reset();
+    readFileAsText(selected)
+      .then((text) => {
+        const csv = readTrackerCsv(text);
+        const saved = findSavedMapping(mappings, csv.headers);
+        setFile({ name: selected.name, ...csv });
+        setMapping(saved || guessMapping(csv.headers, csv.rows));
+      })
+      .catch((err) => setError(err));
+  };
+
+  const updateDate = (key, value) => {
+    setMapping((prev) => ({ ...prev, date: { ...prev.date, [key]: value } }));
+  };
+
+  const updateField = (field, key, value) => {
+    setMapping((prev) => {
+      const next = { ...prev.fields[field], [key]: value };
+      // Pick a unit as soon as a column is chosen
+      if (key === "column" && value && !next.unit) {
+        next.unit = getUnits(field)[0].id;
+      }
+      return { ...prev, fields: { ...prev.fields, [field]: next } };
+    });
+  };
+
+  let result = null;
+  let mappingError = "";
+  if (file && mapping) {
+    try {
+      result = applyTrackerMapping(file, mapping);
+    } catch (err) {
+      mappingError = err.key ? t(err.key, err.params) : err.message;
+    }
+  }
+
+  const handleContinue = () => {
+    const name = mapping.name.trim();
+    if (name) {
+      onMappingsChange([
+        ...mappings.filter((saved) => saved.name !== name),
+        { ...mapping, name },
+      ]);
+    }
+    setImported({ weeks: result.weeks });
+  };
+
+  const handleApply = (nextState) => {
+    onImport(nextState);
+    reset();
+  };
+
+  const columnSelect = (value, onChange, label) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      aria-label={label}
+    >
+      <option value="">{t("tracker.notInFile")}</option>
+      {file.headers.map((header) => (
+        <option key={header} value={header}>
+          {header}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="tracker-import">
+      <div className="data-transfer-actions">
+        <label className="week-nav-btn data-transfer-file">
+          {t("tracker.import")}
+          <input type="file" accept=".csv,text/csv" onChange={handleFile} />
+        </label>
+        {mappings.length > 0 && (
+          <span className="input-helper">
+            {t("tracker.saved", {
+              names: mappings.map((saved) => saved.name).join(", "),
+            })}
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <p className="data-transfer-error">
+          {t("backup.failed", { message: error })}
+        </p>
+      )}
+
+      {file && !imported && (
+        <div className="data-transfer-preview">
+          <h3>{t("tracker.title", { name: file.name })}</h3>
+          <div className="tracker-mapping">
+            <div className="tracker-mapping-row">
+              <span className="tracker-mapping-label">{t("tracker.date")}</span>
+              {columnSelect(
+                mapping.date.column,
+                (value) => updateDate("column", value),
+                t("tracker.column", { field: t("tracker.date") })
+              )}
+              <select
+                value={mapping.date.format}
+                onChange={(e) => updateDate("format", e.target.value)}
+                aria-label={t("tracker.dateFormat")}
+              >
+                {DATE_FORMATS.map((format) => (
+                  <option key={format} value={format}>
+                    {t(`tracker.format.${format}`)}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {MACRO_FIELDS.map((field) => (
+              <div className="tracker-mapping-row" key={field}>
+                <span className="tracker-mapping-label">
+                  {t(`stats.${field}`)}
+                </span>
+                {columnSelect(
+                  mapping.fields[field].column,
+                  (value) => updateField(field, "column", value),
+                  t("tracker.column", { field: t(`stats.${field}`) })
+                )}
+                <select
+                  value={mapping.fields[field].unit}
+                  onChange={(e) => updateField(field, "unit", e.target.value)}
+                  disabled={!mapping.fields[field].column}
+                  aria-label={t("tracker.unit", {
+                    field: t(`stats.${field}`),
+                  })}
+                >
+                  {getUnits(field).map((unit) => (
+                    <option key={unit.id} value={unit.id}>
+                      {unit.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+
+          {mappingError && (
+            <p className="data-transfer-error">{mappingError}</p>
+          )}
+          {result && (
+            <>
+              <p className="input-helper">
+                {t("tracker.found", { count: result.days })}
+                {result.skipped.length > 0 &&
+                  `, ${t("tracker.skipped", {
+                    count: result.skipped.length,
+                    line: result.skipped[0].line,
+                    reason: `${t(
+                      result.skipped[0].reason.key,
+                      result.skipped[0].reason.params
+                    )}${result.skipped.length > 1 ? ", …" : ""}`,
+                  })}`}
+              </p>
+              <table className="tracker-sample">
+                <thead>
+                  <tr>
+                    <th>{t("tracker.date")}</th>
+                    {MACRO_FIELDS.map((field) => (
+                      <th key={field}>{t(`stats.${field}`)}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {listDays(result.weeks)
+                    .slice(0, 5)
+                    .map((day) => (
+                      <tr key={day.date}>
+                        <td>{day.date}</td>
+                        {MACRO_FIELDS.map((field) => (
+                          <td key={field}>{day[field]}</td>
+                        ))}
+                      </tr>
+                    ))}
+                </tbody>
+              </table>
+            </>
+          )}
+
+          <div className="tracker-mapping-save">
+            <input
+              type="text"
+              value={mapping.name}
+              onChange={(e) =>
+                setMapping((prev) => ({ ...prev, name: e.target.value }))
+              }
+              placeholder={t("tracker.namePlaceholder")}
+              aria-label={t("tracker.name")}
+            />
+          </div>
+
+          <div className="budget-wizard-actions">
+            <button
+              className="week-nav-btn"
+              onClick={handleContinue}
+              disabled={!result || result.days === 0}
+            >
+              {t("tracker.continue")}
+            </button>
+            <button className="week-nav-btn" onClick={reset}>
+              {t("common.cancel")}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {imported && (
+        <ImportPreview
+          title={t("backup.importFile", { name: file.name })}
+          state={state}
+          imported={imported}
+          onApply={handleApply}
+          onCancel={reset}
+        />
+      )}
+    </div>
+  );
+}
+
+export default TrackerImport;
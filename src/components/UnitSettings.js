@@ -0,0 +1,44 @@
+import { DECIMAL_CHOICES, ENERGY_UNITS } from "../units";
+import { useI18n } from "../i18n";
+
+// How energy is shown and how precisely amounts can be typed. Stored amounts
+// stay in kcal and grams, so switching converts everything at once.
+function UnitSettings({ settings, onChange }) {
+  const { t } = useI18n();
+  const handleChange = (field, value) => {
+    onChange({ ...settings, [field]: value });
+  };
+
+  return (
+    <div className="unit-settings">
+      <label>
+        {t("units.energy")}
+        <select
+          value={settings.energy}
+          onChange={(e) => handleChange("energy", e.target.value)}
+        >
+          {ENERGY_UNITS.map((unit) => (
+            <option key={unit} value={unit}>
+              {unit}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        {t("units.decimals")}
+        <select
+          value={settings.decimals}
+          onChange={(e) => handleChange("decimals", Number(e.target.value))}
+        >
+          {DECIMAL_CHOICES.map((decimals) => (
+            <option key={decimals} value={decimals}>
+              {decimals === 0 ? t("units.whole") : decimals}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
+
+export default UnitSettings;
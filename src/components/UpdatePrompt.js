@@ -0,0 +1,28 @@
+import { useEffect, useState } from "react";
+import { applyUpdate, subscribeToUpdates } from "../serviceWorkerRegistration";
+import { useI18n } from "../i18n";
+
+// Shown when a new version of the app has been downloaded and is waiting
+function UpdatePrompt() {
+  const { t } = useI18n();
+  const [worker, setWorker] = useState(null);
+  const [dismissed, setDismissed] = useState(false);
+
+  useEffect(() => subscribeToUpdates(setWorker), []);
+
+  if (!worker || dismissed) return null;
+
+  return (
+    <div className="update-prompt" role="status">
+      <span>{t("update.available")}</span>
+      <button className="week-nav-btn" onClick={() => applyUpdate(worker)}>
+        {t("update.reload")}
+      </button>
+      <button className="week-nav-btn" onClick={() => setDismissed(true)}>
+        {t("update.later")}
+      </button>
+    </div>
+  );
+}
+
+export default UpdatePrompt;
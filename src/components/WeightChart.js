@@ -0,0 +1,98 @@
+import { parseDateString } from "../weeks";
+import { WEIGHT_DECIMALS, formatNumber } from "../units";
+import { useI18n } from "../i18n";
+
+const WIDTH = 560;
+const HEIGHT = 180;
+const PADDING = { top: 10, right: 10, bottom: 20, left: 35 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatDate = (date, locale) =>
+  date.toLocaleDateString(locale, { day: "numeric", month: "short" });
+
+// Weigh-ins as dots with the smoothed trend as a line, over the given range
+function WeightChart({ trend, from, to }) {
+  const { t, locale } = useI18n();
+  const points = trend
+    .map((point) => ({ ...point, time: parseDateString(point.date) }))
+    .filter(({ time }) => time >= from && time <= to);
+  if (points.length === 0) return null;
+
+  const values = points.flatMap((point) => [point.weight, point.trend]);
+  const min = Math.floor(Math.min(...values) - 0.5);
+  const max = Math.ceil(Math.max(...values) + 0.5);
+  const span = Math.max(DAY_MS, to - from);
+  const x = (time) =>
+    PADDING.left +
+    ((time - from) / span) * (WIDTH - PADDING.left - PADDING.right);
+  const y = (value) =>
+    PADDING.top +
+    ((max - value) / (max - min)) * (HEIGHT - PADDING.top - PADDING.bottom);
+
+  return (
+    <figure className="weight-chart">
+      <figcaption>{t("stats.weightChart")}</figcaption>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        role="img"
+        aria-label={t("stats.weightChartLabel")}
+      >
+        {[min, (min + max) / 2, max].map((value) => (
+          <g key={value}>
+            <line
+              className="macro-chart-axis"
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(value)}
+              y2={y(value)}
+            />
+            <text
+              className="macro-chart-label"
+              x={PADDING.left - 5}
+              y={y(value) + 3}
+              textAnchor="end"
+            >
+              {value}
+            </text>
+          </g>
+        ))}
+        <polyline
+          className="weight-chart-trend"
+          points={points
+            .map((point) => `${x(point.time)},${y(point.trend)}`)
+            .join(" ")}
+        />
+        {points.map((point) => (
+          <circle
+            key={point.date}
+            className="weight-chart-weigh-in"
+            cx={x(point.time)}
+            cy={y(point.weight)}
+            r="3"
+          >
+            <title>
+              {t("stats.weighIn", {
+                date: formatDate(point.time, locale),
+                weight: formatNumber(point.weight, WEIGHT_DECIMALS, locale),
+                trend: formatNumber(point.trend, 1, locale),
+              })}
+            </title>
+          </circle>
+        ))}
+        <text className="macro-chart-label" x={PADDING.left} y={HEIGHT - 5}>
+          {formatDate(from, locale)}
+        </text>
+        <text
+          className="macro-chart-label"
+          x={WIDTH - PADDING.right}
+          y={HEIGHT - 5}
+          textAnchor="end"
+        >
+          {formatDate(to, locale)}
+        </text>
+      </svg>
+    </figure>
+  );
+}
+
+export default WeightChart;
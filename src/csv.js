@@ -0,0 +1,61 @@
+// Minimal CSV reading and writing (RFC 4180 quoting, comma or semicolon
+// separated, as spreadsheet apps in some locales export with semicolons).
+
+const escapeCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",;\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) =>
+  rows.map((row) => row.map(escapeCell).join(",")).join("\n") + "\n";
+
+// Guess the separator from the first line
+const detectSeparator = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const count = (char) => firstLine.split(char).length - 1;
+  return count(";") > count(",") ? ";" : ",";
+};
+
+// Parse CSV text into an array of rows (arrays of strings). Blank lines are
+// skipped.
+export const parseCsv = (text, separator = detectSeparator(text)) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  const endCell = () => {
+    row.push(cell);
+    cell = "";
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some((value) => value.trim() !== "")) rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      endCell();
+    } else if (char === "\n") {
+      endRow();
+    } else if (char !== "\r") {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) endRow();
+
+  return rows;
+};
@@ -0,0 +1,260 @@
+import { parseCsv, toCsv } from "./csv";
+import {
+  ENTRY_FIELDS,
+  dataError,
+  expectObject,
+  isObject,
+  toAmount,
+  validateBudget,
+  validateBudgetInputMode,
+  validateCalorieCheck,
+  validateDayLimits,
+  validateDayTargets,
+  validateFoods,
+  validateImportMappings,
+  validateReminders,
+  validateRollover,
+  validateUnits,
+  validateWeeks,
+} from "./validation";
+import {
+  DAYS,
+  createEmptyWeek,
+  getDayName,
+  getPlanDays,
+  getPlanEntries,
+  getPlanStart,
+  getWeekKey,
+  parseDateString,
+  toDateString,
+} from "./weeks";
+
+// Import and export of the app's data. The JSON export holds the full app
+// state and is versioned so older files keep importing after the data model
+// changes; the CSV export holds the day totals of the weekly table.
+
+export const EXPORT_FORMAT = "macro-budget";
+export const EXPORT_VERSION = 1;
+
+// Parts of the app state besides the budget and the weeks, with the
+// validators storage uses for them. They are named in the translation
+// catalogs as "backup.setting.<key>".
+const SETTINGS = [
+  { key: "dayTargets", validate: validateDayTargets },
+  { key: "bodyProfile", validate: expectObject },
+  { key: "calorieCheck", validate: validateCalorieCheck },
+  { key: "units", validate: validateUnits },
+  { key: "budgetInputMode", validate: validateBudgetInputMode },
+  { key: "foods", validate: validateFoods },
+  { key: "importMappings", validate: validateImportMappings },
+  { key: "reminders", validate: validateReminders },
+  { key: "rollover", validate: validateRollover },
+  { key: "dayLimits", validate: validateDayLimits },
+];
+
+export const createJsonExport = (state) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  data: state,
+});
+
+// Validate a JSON export; returns the parts of the app state it contains
+export const parseJsonImport = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    throw dataError("data.error.json");
+  }
+  if (!isObject(parsed) || parsed.format !== EXPORT_FORMAT) {
+    throw dataError("data.error.format");
+  }
+  if (!(parsed.version <= EXPORT_VERSION)) {
+    throw dataError("data.error.newer");
+  }
+
+  const data = isObject(parsed.data) ? parsed.data : {};
+  const imported = {};
+  if (data.dailyBudget !== undefined) {
+    imported.dailyBudget = validateBudget(data.dailyBudget);
+  }
+  if (data.weeks !== undefined) {
+    imported.weeks = validateWeeks(data.weeks);
+  }
+  SETTINGS.forEach(({ key, validate }) => {
+    if (data[key] === undefined) return;
+    try {
+      imported[key] = validate(data[key]);
+    } catch (e) {
+      throw dataError("data.error.setting", {
+        setting: { key: `backup.setting.${key}` },
+        reason: e,
+      });
+    }
+  });
+  return imported;
+};
+
+// One row per day of a plan week, in the order of the Weekly Plan and dated
+// so the file can be imported again
+export const weekToCsv = (weeks, weekKey, firstDay = "Monday") => {
+  const entries = getPlanEntries(weeks, weekKey, firstDay);
+  const start = getPlanStart(weekKey, firstDay);
+  return toCsv([
+    ["date", "day", ...ENTRY_FIELDS],
+    ...getPlanDays(firstDay).map((day, index) => {
+      const date = new Date(start);
+      date.setDate(date.getDate() + index);
+      return [
+        toDateString(date),
+        day,
+        ...ENTRY_FIELDS.map((field) => entries[day][field] || ""),
+      ];
+    }),
+  ]);
+};
+
+// Validate a CSV with a date column and any of the entry columns
+export const parseCsvImport = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw dataError("data.error.empty");
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const dateIndex = columns.indexOf("date");
+  if (dateIndex === -1) throw dataError("data.error.noDateColumn");
+  const fields = ENTRY_FIELDS.filter((field) => columns.includes(field));
+  if (fields.length === 0) {
+    throw dataError("data.error.noColumns", {
+      columns: ENTRY_FIELDS.join(", "),
+    });
+  }
+
+  const weeks = {};
+  rows.forEach((row, index) => {
+    const path = { key: "data.path.line", params: { line: index + 2 } };
+    const date = parseDateString(row[dateIndex] || "");
+    if (!date) {
+      throw dataError("data.error.date", { path, value: row[dateIndex] });
+    }
+    const weekKey = getWeekKey(date);
+    const day = getDayName(date);
+    weeks[weekKey] = weeks[weekKey] || createEmptyWeek();
+    const entry = { ...weeks[weekKey][day] };
+    fields.forEach((field) => {
+      entry[field] = toAmount(row[columns.indexOf(field)], {
+        key: "data.path.field",
+        params: { path, field: { key: `data.field.${field}` } },
+      });
+    });
+    weeks[weekKey][day] = entry;
+  });
+  return { weeks };
+};
+
+const hasEntryData = (entry) =>
+  !!entry &&
+  (ENTRY_FIELDS.some((field) => entry[field] && entry[field] !== "") ||
+    (Array.isArray(entry.items) && entry.items.length > 0));
+
+const sameEntry = (a, b) =>
+  ENTRY_FIELDS.every(
+    (field) => String((a && a[field]) || "") === String((b && b[field]) || "")
+  ) &&
+  JSON.stringify((a && a.items) || []) === JSON.stringify((b && b.items) || []);
+
+// Imported days with data replace the same day; other days are kept
+const mergeWeeks = (current, imported) =>
+  Object.keys(imported).reduce(
+    (acc, weekKey) => {
+      const week = { ...createEmptyWeek(), ...acc[weekKey] };
+      DAYS.forEach((day) => {
+        if (hasEntryData(imported[weekKey][day])) {
+          week[day] = imported[weekKey][day];
+        }
+      });
+      acc[weekKey] = week;
+      return acc;
+    },
+    { ...current }
+  );
+
+// What an import would change. In "merge" mode imported days are laid over the
+// existing weeks; in "replace" mode each part of the state the file contains
+// replaces the current one. Budget and settings are replaced in both modes,
+// except saved foods, which are combined when merging. Settings that would
+// change are listed by key.
+export const previewImport = (current, imported, mode) => {
+  const preview = { budget: null, days: null, settings: [] };
+
+  if (
+    imported.dailyBudget &&
+    JSON.stringify(imported.dailyBudget) !== JSON.stringify(current.dailyBudget)
+  ) {
+    preview.budget = { from: current.dailyBudget, to: imported.dailyBudget };
+  }
+
+  if (imported.weeks) {
+    const days = { added: 0, changed: 0, unchanged: 0, removed: 0 };
+    const next = applyImport(current, imported, mode).weeks;
+    const weekKeys = new Set([
+      ...Object.keys(current.weeks),
+      ...Object.keys(next),
+    ]);
+    weekKeys.forEach((weekKey) => {
+      DAYS.forEach((day) => {
+        const before = current.weeks[weekKey] && current.weeks[weekKey][day];
+        const after = next[weekKey] && next[weekKey][day];
+        if (!hasEntryData(before) && !hasEntryData(after)) return;
+        if (!hasEntryData(after)) days.removed++;
+        else if (!hasEntryData(before)) days.added++;
+        else if (sameEntry(before, after)) days.unchanged++;
+        else days.changed++;
+      });
+    });
+    preview.days = days;
+  }
+
+  preview.settings = SETTINGS.filter(
+    ({ key }) =>
+      imported[key] !== undefined &&
+      JSON.stringify(imported[key]) !== JSON.stringify(current[key])
+  ).map(({ key }) => key);
+
+  return preview;
+};
+
+// The app state after an import
+export const applyImport = (current, imported, mode) => {
+  const next = { ...current, ...imported };
+  if (imported.weeks && mode === "merge") {
+    next.weeks = mergeWeeks(current.weeks, imported.weeks);
+  }
+  if (imported.foods && mode === "merge") {
+    const importedIds = new Set(imported.foods.map((food) => food.id));
+    next.foods = [
+      ...current.foods.filter((food) => !importedIds.has(food.id)),
+      ...imported.foods,
+    ];
+  }
+  return next;
+};
+
+export const readFileAsText = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(dataError("data.error.unreadable"));
+    reader.readAsText(file);
+  });
+
+// Let the browser save generated content as a file
+export const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,197 @@
+import { KCAL_PER_GRAM, MACROS } from "./macroSplit";
+
+// Distribution of what's left of the weekly budget over the days that haven't
+// been logged yet. Each macro is shared out in proportion to the days'
+// targets, but never outside the per-day limits; calories then follow from
+// the macros (4/4/9), and carbs shift between days to keep calories within
+// their limits too. When the remaining budget can't be fitted within the
+// limits, the days get the nearest limit and the problem is reported.
+
+export const LIMIT_FIELDS = ["calories", "carbs", "protein", "fat"];
+
+// Minimum and maximum per day; "" means no limit
+export const DEFAULT_DAY_LIMITS = LIMIT_FIELDS.reduce((acc, field) => {
+  acc[field] = { min: "", max: "" };
+  return acc;
+}, {});
+
+const parseLimits = (limits, field) => {
+  const min = parseFloat(limits[field] && limits[field].min) || 0;
+  const max = parseFloat(limits[field] && limits[field].max) || Infinity;
+  return { min, max: Math.max(min, max) };
+};
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+const clamp = (value, low, high) => Math.max(low, Math.min(high, value));
+
+// Share `total` out in proportion to `weights`, keeping each share within
+// its bounds. Returns the shares, or the nearest bounds plus how far off they
+// are (`off` < 0: total is below the minimums, > 0: above the maximums).
+export const fillWithinBounds = (total, weights, lows, highs) => {
+  if (total <= sum(lows)) return { values: lows, off: total - sum(lows) };
+  if (total >= sum(highs)) return { values: highs, off: total - sum(highs) };
+
+  const shares = weights.every((weight) => weight <= 0)
+    ? weights.map(() => 1)
+    : weights.map((weight) => Math.max(0, weight));
+  const fill = (scale) =>
+    shares.map((share, i) => clamp(share * scale, lows[i], highs[i]));
+
+  // The filled amount grows with the scale; find the scale that fits
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 100 && sum(fill(high)) < total; i++) high *= 2;
+  for (let i = 0; i < 60; i++) {
+    const middle = (low + high) / 2;
+    if (sum(fill(middle)) < total) low = middle;
+    else high = middle;
+  }
+  return { values: fill(high), off: 0 };
+};
+
+// Problems are the key of their text in the translation catalogs (see
+// locales) plus its values: the field, and amounts in grams or kcal
+const describeProblem = (field, off, days, limit) => {
+  const amount = Math.round(Math.abs(off));
+  if (off > 0) {
+    return { key: "limits.problem.tooMuch", params: { field, amount, limit } };
+  }
+  if (limit <= 0) {
+    return { key: "limits.problem.over", params: { field, amount } };
+  }
+  return {
+    key: "limits.problem.tooLittle",
+    params: { field, amount, limit, count: days.length },
+  };
+};
+
+// Round to whole grams without drift: every day is rounded down, then the
+// grams that rounding lost go to the days with the largest remainders, as
+// far as the limits allow, so the days still add up to the (rounded) total
+const roundKeepingTotal = (values, min, max) => {
+  const low = Math.ceil(min);
+  const high = Math.floor(max);
+  const rounded = values.map((value) => clamp(Math.floor(value), low, high));
+  const byRemainder = values
+    .map((value, i) => i)
+    .sort(
+      (a, b) =>
+        values[b] - Math.floor(values[b]) - (values[a] - Math.floor(values[a]))
+    );
+  let missing = Math.round(sum(values)) - sum(rounded);
+  byRemainder.forEach((i) => {
+    if (missing > 0 && rounded[i] < high) {
+      rounded[i] += 1;
+      missing -= 1;
+    }
+  });
+  byRemainder.reverse().forEach((i) => {
+    if (missing < 0 && rounded[i] > low) {
+      rounded[i] -= 1;
+      missing += 1;
+    }
+  });
+  return rounded;
+};
+
+// Suggested amounts for each open day, plus the problems that kept the
+// suggestions from adding up to what's left. `remaining` holds the grams
+// left of each macro; `targets` the target of each day by field.
+export const distributeRemaining = ({ days, remaining, targets, limits }) => {
+  const problems = [];
+  const result = days.reduce((acc, day) => {
+    acc[day] = {};
+    return acc;
+  }, {});
+  if (days.length === 0) return { days: result, problems };
+
+  MACROS.forEach((macro) => {
+    const { min, max } = parseLimits(limits, macro);
+    const { values, off } = fillWithinBounds(
+      remaining[macro],
+      days.map((day) => targets[day][macro]),
+      days.map(() => min),
+      days.map(() => max)
+    );
+    if (off !== 0 && Math.abs(off) >= 1) {
+      problems.push(describeProblem(macro, off, days, off < 0 ? min : max));
+    }
+    days.forEach((day, i) => {
+      result[day][macro] = values[i];
+    });
+  });
+
+  // Let carbs move between days so each day's calories stay within limits
+  const kcal = parseLimits(limits, "calories");
+  if (kcal.min > 0 || kcal.max < Infinity) {
+    const otherKcal = days.map(
+      (day) =>
+        result[day].protein * KCAL_PER_GRAM.protein +
+        result[day].fat * KCAL_PER_GRAM.fat
+    );
+    const carbLimits = parseLimits(limits, "carbs");
+    const lows = otherKcal.map((other) =>
+      Math.max(carbLimits.min, (kcal.min - other) / KCAL_PER_GRAM.carbs)
+    );
+    const highs = otherKcal.map((other) =>
+      Math.max(
+        Math.min(carbLimits.max, (kcal.max - other) / KCAL_PER_GRAM.carbs),
+        0
+      )
+    );
+    const carbs = sum(days.map((day) => result[day].carbs));
+    if (lows.every((low, i) => low <= highs[i])) {
+      const { values, off } = fillWithinBounds(
+        carbs,
+        days.map((day) => targets[day].carbs),
+        lows,
+        highs
+      );
+      if (off !== 0 && Math.abs(off) >= 1) {
+        problems.push(
+          describeProblem(
+            "calories",
+            off * KCAL_PER_GRAM.carbs,
+            days,
+            off < 0 ? kcal.min : kcal.max
+          )
+        );
+      }
+      days.forEach((day, i) => {
+        result[day].carbs = values[i];
+      });
+    } else {
+      problems.push(
+        kcal.max < Infinity
+          ? {
+              key: "limits.problem.unreachable",
+              params: { field: "calories", min: kcal.min, max: kcal.max },
+            }
+          : {
+              key: "limits.problem.unreachableMin",
+              params: { field: "calories", min: kcal.min },
+            }
+      );
+    }
+  }
+
+  // Whole grams; calories follow from the rounded macros
+  MACROS.forEach((macro) => {
+    const { min, max } = parseLimits(limits, macro);
+    const rounded = roundKeepingTotal(
+      days.map((day) => result[day][macro]),
+      min,
+      max
+    );
+    days.forEach((day, i) => {
+      result[day][macro] = rounded[i];
+    });
+  });
+  days.forEach((day) => {
+    result[day].calories = sum(
+      MACROS.map((macro) => result[day][macro] * KCAL_PER_GRAM[macro])
+    );
+  });
+
+  return { days: result, problems };
+};
@@ -0,0 +1,134 @@
+// Simple arithmetic typed into an amount field, like "45+32+18" or "2*27".
+// Numbers (with "." or "," for decimals), + - * / and parentheses; × and ÷
+// work too. Parsed by hand rather than with eval, so nothing typed can run
+// as code.
+
+// Errors carry the key and values of their text in the translation
+// catalogs (see locales), with the English text as the message
+const sumError = (key, message, params = {}) =>
+  Object.assign(new Error(message), { key, params });
+
+// Whether text is meant as an expression rather than a plain amount
+export const isExpression = (text) => /[+\-*/×÷()]/.test(text);
+
+const tokenize = (text) => {
+  const tokens = [];
+  let index = 0;
+  while (index < text.length) {
+    const char = text[index];
+    if (char === " ") {
+      index += 1;
+    } else if ("+-*/×÷()".includes(char)) {
+      tokens.push({ type: char === "×" ? "*" : char === "÷" ? "/" : char });
+      index += 1;
+    } else {
+      const number = text.slice(index).match(/^(\d+[.,]?\d*|[.,]\d+)/);
+      if (!number) {
+        throw sumError("sum.badCharacter", `"${char}" can't be used in a sum`, {
+          char,
+        });
+      }
+      tokens.push({
+        type: "number",
+        text: number[0],
+        value: parseFloat(number[0].replace(",", ".")),
+      });
+      index += number[0].length;
+    }
+  }
+  return tokens;
+};
+
+const unexpected = (token) =>
+  sumError("sum.unexpected", `Unexpected "${token.type}"`, {
+    token: token.type,
+  });
+
+// Recursive descent over
+//   sum     = product (("+" | "-") product)*
+//   product = factor (("*" | "/") factor)*
+//   factor  = ("+" | "-") factor | number | "(" sum ")"
+const parse = (tokens) => {
+  let position = 0;
+  const peek = () => tokens[position] && tokens[position].type;
+  const take = () => tokens[position++];
+
+  const factor = () => {
+    const token = take();
+    if (!token) throw sumError("sum.incomplete", "The sum is incomplete");
+    if (token.type === "number") return token.value;
+    if (token.type === "-") return -factor();
+    if (token.type === "+") return factor();
+    if (token.type === "(") {
+      const value = sum();
+      if (peek() !== ")") {
+        throw sumError("sum.unclosed", "A bracket isn't closed");
+      }
+      take();
+      return value;
+    }
+    throw unexpected(token);
+  };
+
+  const product = () => {
+    let value = factor();
+    while (peek() === "*" || peek() === "/") {
+      const operator = take().type;
+      const next = factor();
+      if (operator === "/" && next === 0) {
+        throw sumError("sum.divideByZero", "Can't divide by 0");
+      }
+      value = operator === "*" ? value * next : value / next;
+    }
+    return value;
+  };
+
+  const sum = () => {
+    let value = product();
+    while (peek() === "+" || peek() === "-") {
+      value = take().type === "+" ? value + product() : value - product();
+    }
+    return value;
+  };
+
+  const value = sum();
+  if (position < tokens.length) {
+    throw unexpected(tokens[position]);
+  }
+  return value;
+};
+
+// The value of an expression; throws an Error saying what's wrong with it
+export const evaluateExpression = (text) => {
+  const tokens = tokenize(text.trim());
+  if (tokens.length === 0) throw sumError("sum.empty", "The sum is empty");
+  const value = parse(tokens);
+  if (!isFinite(value)) {
+    throw sumError("sum.noAnswer", "The sum has no answer");
+  }
+  return value;
+};
+
+// The expression as it is kept and shown, with spaces around operators
+export const formatExpression = (text) =>
+  tokenize(text.trim())
+    .map((token, index, tokens) => {
+      if (token.type === "number") return token.text;
+      if (token.type === "(" || token.type === ")") return token.type;
+      const previous = tokens[index - 1];
+      const unary =
+        !previous || (previous.type !== "number" && previous.type !== ")");
+      return unary ? token.type : ` ${token.type} `;
+    })
+    .join("");
+
+// Each day keeps the sums typed into it, newest last, so its totals can be
+// traced back later. A working is { field, expression, result, unit }, with
+// the result stored like any amount (kcal for energy) and the unit the sum
+// was typed in.
+export const MAX_WORKINGS = 30;
+
+export const addWorking = (entry, working) => ({
+  ...entry,
+  workings: [...(entry.workings || []), working].slice(-MAX_WORKINGS),
+});
@@ -0,0 +1,127 @@
+import {
+  MAX_WORKINGS,
+  addWorking,
+  evaluateExpression,
+  formatExpression,
+  isExpression,
+} from "./expressions";
+
+// The translation key of the error an expression throws
+const errorKey = (text) => {
+  try {
+    evaluateExpression(text);
+  } catch (e) {
+    return e.key;
+  }
+  return null;
+};
+
+describe("evaluateExpression", () => {
+  it("adds up a list of amounts", () => {
+    expect(evaluateExpression("45+32+18")).toBe(95);
+    expect(evaluateExpression(" 45 + 32 + 18 ")).toBe(95);
+  });
+
+  it("multiplies and divides before adding and subtracting", () => {
+    expect(evaluateExpression("2+3*4")).toBe(14);
+    expect(evaluateExpression("20-6/2")).toBe(17);
+    expect(evaluateExpression("10-4-3")).toBe(3);
+    expect(evaluateExpression("24/4/2")).toBe(3);
+  });
+
+  it("works out brackets first", () => {
+    expect(evaluateExpression("(2+3)*4")).toBe(20);
+    expect(evaluateExpression("2*(3+(4-1))")).toBe(12);
+  });
+
+  it("takes × and ÷ for multiplying and dividing", () => {
+    expect(evaluateExpression("2×27")).toBe(54);
+    expect(evaluateExpression("54÷2")).toBe(27);
+  });
+
+  it("takes a minus or plus in front of a number", () => {
+    expect(evaluateExpression("-5+20")).toBe(15);
+    expect(evaluateExpression("10*-2")).toBe(-20);
+    expect(evaluateExpression("-(2+3)")).toBe(-5);
+    expect(evaluateExpression("+4")).toBe(4);
+  });
+
+  it("takes either decimal separator", () => {
+    expect(evaluateExpression("1,5+2,5")).toBe(4);
+    expect(evaluateExpression("1.5*2")).toBe(3);
+    expect(evaluateExpression(",5+.5")).toBe(1);
+  });
+
+  it("rejects brackets that aren't closed", () => {
+    expect(errorKey("(2+3")).toBe("sum.unclosed");
+    expect(errorKey("2*(3+(4-1)")).toBe("sum.unclosed");
+    expect(errorKey("2+3)")).toBe("sum.unexpected");
+  });
+
+  it("rejects dividing by zero", () => {
+    expect(errorKey("5/0")).toBe("sum.divideByZero");
+    expect(errorKey("5/(2-2)")).toBe("sum.divideByZero");
+  });
+
+  it("rejects sums that are empty or incomplete", () => {
+    expect(errorKey("")).toBe("sum.empty");
+    expect(errorKey("   ")).toBe("sum.empty");
+    expect(errorKey("2+")).toBe("sum.incomplete");
+    expect(errorKey("2**3")).toBe("sum.unexpected");
+  });
+
+  it("rejects anything that isn't a number or an operator", () => {
+    expect(errorKey("2+a")).toBe("sum.badCharacter");
+    expect(errorKey("Math.max(1,2)")).toBe("sum.badCharacter");
+    expect(errorKey("2^3")).toBe("sum.badCharacter");
+    expect(errorKey("1e3+1")).toBe("sum.badCharacter");
+  });
+
+  it("gives the key and values of the error's text", () => {
+    let error;
+    try {
+      evaluateExpression("2+x");
+    } catch (e) {
+      error = e;
+    }
+    expect(error.key).toBe("sum.badCharacter");
+    expect(error.params).toEqual({ char: "x" });
+    expect(error.message).toBe('"x" can\'t be used in a sum');
+  });
+});
+
+describe("isExpression", () => {
+  it("tells sums from plain amounts", () => {
+    expect(isExpression("45+32")).toBe(true);
+    expect(isExpression("(12)")).toBe(true);
+    expect(isExpression("2×3")).toBe(true);
+    expect(isExpression("45")).toBe(false);
+    expect(isExpression("1,5")).toBe(false);
+  });
+});
+
+describe("formatExpression", () => {
+  it("puts spaces around operators but not around signs", () => {
+    expect(formatExpression("45+32*2")).toBe("45 + 32 * 2");
+    expect(formatExpression("-5+(2×3)")).toBe("-5 + (2 * 3)");
+    expect(formatExpression("1,5+2")).toBe("1,5 + 2");
+  });
+});
+
+describe("addWorking", () => {
+  it("keeps the latest sums of a day", () => {
+    const working = (index) => ({
+      field: "carbs",
+      expression: `${index} + 1`,
+      result: String(index + 1),
+      unit: "g",
+    });
+    let entry = { carbs: "" };
+    for (let index = 0; index < MAX_WORKINGS + 2; index++) {
+      entry = addWorking(entry, working(index));
+    }
+    expect(entry.workings).toHaveLength(MAX_WORKINGS);
+    expect(entry.workings[0]).toEqual(working(2));
+    expect(entry.workings[MAX_WORKINGS - 1]).toEqual(working(MAX_WORKINGS + 1));
+  });
+});
@@ -0,0 +1,70 @@
+import commonFoods from "./data/commonFoods.json";
+import { MACRO_FIELDS, createFoodItem } from "./foodLog";
+
+// Saved foods have their macros either per 100 g ("100g") or per serving
+// ("serving"). The library starts out with a bundled list of common foods so
+// it works offline from the first visit.
+export const SEED_FOODS = commonFoods;
+
+const createId = () =>
+  "food-" + Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+
+export const createFood = (values = {}) => ({
+  id: createId(),
+  name: "",
+  basis: "100g",
+  calories: "",
+  carbs: "",
+  protein: "",
+  fat: "",
+  ...values,
+});
+
+// Case-insensitive search on every word of the query. Names starting with the
+// query are listed first.
+export const searchFoods = (foods, query, limit = 8) => {
+  const normalized = query.trim().toLowerCase();
+  if (!normalized) return [];
+  const words = normalized.split(/\s+/);
+  return foods
+    .filter((food) => {
+      const name = food.name.toLowerCase();
+      return words.every((word) => name.includes(word));
+    })
+    .sort((a, b) => {
+      const aStarts = a.name.toLowerCase().startsWith(normalized);
+      const bStarts = b.name.toLowerCase().startsWith(normalized);
+      if (aStarts !== bStarts) return aStarts ? -1 : 1;
+      return a.name.localeCompare(b.name);
+    })
+    .slice(0, limit);
+};
+
+// Amount is in grams for "100g" foods and in servings for "serving" foods.
+// Values keep `decimals` decimals, the precision amounts are typed with.
+export const scaleFood = (food, amount, decimals) => {
+  const factor = food.basis === "serving" ? amount : amount / 100;
+  return MACRO_FIELDS.reduce((acc, field) => {
+    const value = (parseFloat(food[field]) || 0) * factor;
+    acc[field] = parseFloat(value.toFixed(decimals));
+    return acc;
+  }, {});
+};
+
+// `serving` names a serving of a food without a serving label
+export const formatAmount = (food, amount, serving = "serving") =>
+  food.basis === "serving"
+    ? `${amount} × ${food.servingLabel || serving}`
+    : `${amount} g`;
+
+// Food log item for an amount of a saved food
+export const createFoodItemFromFood = (food, amount, serving, decimals) => {
+  const scaled = scaleFood(food, amount, decimals);
+  return createFoodItem({
+    name: `${food.name} (${formatAmount(food, amount, serving)})`,
+    calories: String(scaled.calories),
+    carbs: String(scaled.carbs),
+    protein: String(scaled.protein),
+    fat: String(scaled.fat),
+  });
+};
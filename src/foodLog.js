@@ -0,0 +1,63 @@
+// Food log helpers. A day can hold a list of logged foods/meals; when it does,
+// the day's calories/carbs/protein/fat are the sum of those items.
+
+export const MACRO_FIELDS = ["calories", "carbs", "protein", "fat"];
+
+const createId = () =>
+  Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+
+export const createFoodItem = (values = {}) => ({
+  id: createId(),
+  name: "",
+  calories: "",
+  carbs: "",
+  protein: "",
+  fat: "",
+  ...values,
+});
+
+// Sum the items per field. Fields no item has a value for stay empty.
+export const sumFoodItems = (items) =>
+  MACRO_FIELDS.reduce((acc, field) => {
+    const values = items
+      .map((item) => parseFloat(item[field]))
+      .filter((value) => !isNaN(value));
+    // Rounded so decimals like 0.1 + 0.2 don't add up to 0.30000000000000004
+    acc[field] = values.length
+      ? String(
+          Math.round(values.reduce((sum, value) => sum + value, 0) * 1000) /
+            1000
+        )
+      : "";
+    return acc;
+  }, {});
+
+export const hasFoodItems = (dayEntry) =>
+  Array.isArray(dayEntry.items) && dayEntry.items.length > 0;
+
+// Replace a day's items and keep its totals in sync with them
+export const setDayFoodItems = (dayEntry, items) => {
+  if (items.length === 0) {
+    const { items: _items, ...rest } = dayEntry;
+    return { ...rest, ...sumFoodItems([]) };
+  }
+  return { ...dayEntry, ...sumFoodItems(items), items };
+};
+
+// Totals typed before the first item was logged become an item of their own,
+// so switching a day to a food log doesn't lose them. It gets the given name,
+// in the interface's language.
+export const getStartingItems = (dayEntry, name) => {
+  if (hasFoodItems(dayEntry)) return dayEntry.items;
+  const hasTotals = MACRO_FIELDS.some((field) => dayEntry[field] !== "");
+  if (!hasTotals) return [];
+  return [
+    createFoodItem({
+      name,
+      calories: dayEntry.calories,
+      carbs: dayEntry.carbs,
+      protein: dayEntry.protein,
+      fat: dayEntry.fat,
+    }),
+  ];
+};
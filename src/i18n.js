@@ -0,0 +1,28 @@
+import { createContext, useContext } from "react";
+import { formatDayName, getLanguage, getLocale, translate } from "./locales";
+import { DAYS } from "./weeks";
+
+// The interface language and week settings, the same for every profile on
+// the device. Components get the translation helpers with useI18n().
+export const DEFAULT_LOCALE_SETTINGS = {
+  language: "auto", // or a language id from LANGUAGES
+  firstDay: "Monday", // first day of the Weekly Plan
+};
+
+export const createI18n = (settings = DEFAULT_LOCALE_SETTINGS) => {
+  const language = getLanguage(settings.language);
+  const locale = getLocale(language);
+  return {
+    language,
+    locale,
+    firstDay: DAYS.includes(settings.firstDay) ? settings.firstDay : "Monday",
+    t: (key, params) => translate(language, key, params),
+    dayName: (day, width) => formatDayName(day, locale, width),
+  };
+};
+
+const I18nContext = createContext(createI18n());
+
+export const I18nProvider = I18nContext.Provider;
+
+export const useI18n = () => useContext(I18nContext);
@@ -0,0 +1,511 @@
+// English texts of the interface, and the fallback for every other language.
+// Keys are grouped by the part of the app they belong to.
+
+export const en = {
+  "app.title": "Macros Calculator",
+  "app.undo": "Undo",
+  "app.undoTitle": "Undo (Ctrl+Z)",
+  "app.redo": "Redo",
+  "app.redoTitle": "Redo (Ctrl+Shift+Z)",
+  "app.clearAll": "Clear All",
+
+  "budget.daily": "Daily Budget",
+  "budget.restDay": "Rest Day Budget",
+  "budget.helpMeChoose": "Help me choose",
+  "budget.inputMode": "Budget input mode",
+  "budget.grams": "Grams",
+  "budget.percent": "Calories & %",
+  "budget.fromMacros": "Calculated from macros",
+  "budget.carbsPlaceholder": "Daily carbs",
+  "budget.proteinPlaceholder": "Daily protein",
+  "budget.fatPlaceholder": "Daily fat",
+  "budget.weekly": "Weekly Budget: {energy}",
+  "budget.carried": "({amount} carried from last week)",
+  "budget.remaining": "Remaining: {summary}",
+  "budget.remainingWeek": "Remaining this week: {summary}",
+  "budget.limitProblems":
+    "The rest of the week can't stay within your daily limits:",
+  "budget.dayLimits": "Daily limits",
+
+  "weekly.title": "Weekly Plan",
+  "weekly.previous": "Previous",
+  "weekly.next": "Next",
+  "weekly.thisWeek": "This week",
+  "weekly.pastWeek": "Past week",
+  "weekly.upcomingWeek": "Upcoming week",
+  "weekly.calorieCheck": "Calorie check",
+  "weekly.units": "Units",
+  "weekly.locale": "Language and week",
+  "weekly.help":
+    "Arrow keys and Enter move between cells. Cells take sums like 45+32+18, worked out when you leave the cell. Ctrl+D copies yesterday into a day and Ctrl+Enter fills its empty fields with the suggestion.",
+  "weekly.caption": "Entries for {week}",
+  "weekly.quickFill": "Quick fill",
+  "weekly.training": "Training",
+  "weekly.cell": "{field}, {day}",
+  "weekly.workedOut": "Worked out as {expression}",
+  "weekly.copyYesterday": "Copy yesterday",
+  "weekly.copyYesterdayTitle": "Copy yesterday's entry (Ctrl+D)",
+  "weekly.copyYesterdayLabel": "Copy yesterday into {day}",
+  "weekly.useSuggestion": "Use suggestion",
+  "weekly.useSuggestionTitle":
+    "Fill empty fields with the suggestion (Ctrl+Enter)",
+  "weekly.useSuggestionLabel": "Fill {day} with the suggestion",
+
+  "mismatch.fromMacros": "{amount} from macros",
+  "mismatch.above": "Typed calories are {amount} above 4/4/9 × macros",
+  "mismatch.below": "Typed calories are {amount} below 4/4/9 × macros",
+  "mismatch.fix": "{title}. Click to use the macro calories.",
+
+  "sections.stats": "Stats",
+  "sections.share": "Share",
+  "sections.foods": "Saved Foods ({count})",
+  "sections.reminders": "Reminders",
+  "sections.sync": "Sync",
+  "sections.backup": "Backup & Restore",
+
+  "common.cancel": "Cancel",
+  "common.delete": "Delete",
+  "common.dismiss": "Dismiss",
+  "common.restore": "Restore",
+  "common.downloadImage": "Download image",
+  "common.imageFailed": "This browser can't create the image.",
+
+  "update.available": "A new version of the app is available.",
+  "update.reload": "Reload",
+  "update.later": "Later",
+
+  "storage.problems":
+    "Some saved data couldn't be loaded and was set aside instead of being used:",
+  "storage.download": "Download a copy",
+  "storage.notJson": "Not valid JSON",
+  "storage.value.profiles": "Profiles",
+  "storage.value.locale": "Language and week settings",
+  "storage.value.dailyBudget": "Daily budget",
+  "storage.value.weeks": "Weekly entries",
+  "storage.value.dayTargets": "Training day targets",
+  "storage.value.bodyProfile": "Body stats",
+  "storage.value.budgetInputMode": "Budget input mode",
+  "storage.value.calorieCheck": "Calorie check settings",
+  "storage.value.units": "Units",
+  "storage.value.foods": "Saved foods",
+  "storage.value.importMappings": "Saved import mappings",
+  "storage.value.reminders": "Reminder settings",
+  "storage.value.dayLimits": "Daily limits",
+  "storage.value.rollover": "Carry-over settings",
+  "storage.value.budgetReview": "Budget suggestion status",
+  "storage.value.sync": "Sync settings",
+  "storage.value.editStamps": "Edit times for sync",
+  "storage.value.clearSnapshots": "Recently cleared data",
+
+  "suggestion.trend": "Your weight trend is {actual}; your goal is {goal}.",
+  "suggestion.intake": "Over the last weeks you ate {energy} a day on average.",
+  "suggestion.raise": "Raise your budget by about {energy} a day:",
+  "suggestion.lower": "Lower your budget by about {energy} a day:",
+  "suggestion.budget":
+    "{carbs}g carbs, {protein}g protein, {fat}g fat ({energy}).",
+  "suggestion.accept": "Use this budget",
+  "suggestion.ignore": "Ignore",
+
+  "field.day": "Day",
+  "field.calories.kcal": "Calories",
+  "field.calories.kJ": "Energy (kJ)",
+  "field.carbs": "Carbs (g)",
+  "field.protein": "Protein (g)",
+  "field.fat": "Fat (g)",
+  "field.alcohol": "Alcohol (g)",
+  "field.fiber": "Fiber (g)",
+  "field.weight": "Weight (kg)",
+
+  "calorieCheck.tolerance":
+    "Flag calories that differ from the macros by more than",
+  "calorieCheck.toleranceLabel": "Calorie tolerance in percent",
+  "calorieCheck.autoFill": "Fill in blank calories from the macros",
+  "calorieCheck.trackAlcohol": "Track alcohol (7 kcal/g)",
+  "calorieCheck.trackFiber": "Track fiber",
+  "calorieCheck.fiberIs": "Fiber is",
+  "calorieCheck.fiberIncluded": "included in carbs",
+  "calorieCheck.fiberSeparate": "separate from carbs (2 kcal/g)",
+
+  "limits.help":
+    "Suggestions for the days you haven't logged stay within these limits. Leave a field empty for no limit.",
+  "limits.calories.kcal": "Calories (kcal)",
+  "limits.calories.kJ": "Energy (kJ)",
+  "limits.min": "Minimum",
+  "limits.max": "Maximum",
+  "limits.minLabel": "{field} minimum per day",
+  "limits.maxLabel": "{field} maximum per day",
+
+  "limits.problem.tooMuch":
+    "{field}: {amount} {unit} of the week's budget won't fit within the maximum of {limit} {unit} a day.",
+  "limits.problem.over":
+    "{field}: the week is already {amount} {unit} over budget.",
+  "limits.problem.tooLittle_one":
+    "{field}: the day left needs at least {limit} {unit} a day, {amount} {unit} more than the week's budget has left.",
+  "limits.problem.tooLittle_other":
+    "{field}: the {count} days left need at least {limit} {unit} a day, {amount} {unit} more than the week's budget has left.",
+  "limits.problem.unreachable":
+    "{field}: {min}–{max} {unit} a day can't be reached within the limits for the macros.",
+  "limits.problem.unreachableMin":
+    "{field}: at least {min} {unit} a day can't be reached within the limits for the macros.",
+
+  "summary.macros": "{carbs}g carbs, {protein}g protein, {fat}g fat",
+
+  "sum.negative": "Comes out below 0",
+  "sum.badCharacter": '"{char}" can\'t be used in a sum',
+  "sum.incomplete": "The sum is incomplete",
+  "sum.unclosed": "A bracket isn't closed",
+  "sum.unexpected": 'Unexpected "{token}"',
+  "sum.divideByZero": "Can't divide by 0",
+  "sum.empty": "The sum is empty",
+  "sum.noAnswer": "The sum has no answer",
+
+  "split.dailyCalories": "Daily calories",
+  "split.complete": "Split adds up to 100%",
+  "split.incomplete": "Split adds up to {total}%, must be 100%",
+  "split.carbs": "Carbs (%)",
+  "split.protein": "Protein (%)",
+  "split.fat": "Fat (%)",
+  "split.carbsPlaceholder": "% carbs",
+  "split.proteinPlaceholder": "% protein",
+  "split.fatPlaceholder": "% fat",
+
+  "foodLog.unnamed": "Unnamed item",
+  "foodLog.itemName": "{day} item name",
+  "foodLog.remove": "Remove {name}",
+  "foodLog.namePlaceholder": "Food or meal",
+  "foodLog.newItemName": "New {day} item name",
+  "foodLog.newItemField": "New {day} item {field}",
+  "foodLog.add": "Add",
+  "foodLog.total": "Total: {calories}, {macros}",
+  "foodLog.earlierTotal": "Earlier total",
+
+  "dayTargets.enable": "Separate budget for training days",
+  "dayTargets.training": "Training {field}",
+  "dayTargets.carbsPlaceholder": "Training day carbs",
+  "dayTargets.proteinPlaceholder": "Training day protein",
+  "dayTargets.fatPlaceholder": "Training day fat",
+  "dayTargets.days": "Training days",
+
+  "food.serving": "serving",
+  "food.servings": "Number of servings",
+  "food.servingsUnit": "servings",
+  "food.grams": "Amount in grams",
+  "food.search": "Search saved foods",
+  "food.searchFor": "Search saved foods for {day}",
+  "food.caloriesPer": "{energy} per {basis}",
+  "food.per": "per {basis}",
+  "food.values": "{energy}, {macros}",
+  "food.addTo": "Add to {day}",
+  "food.remove": "Remove {name} from saved foods",
+  "food.none": "No saved foods found",
+  "food.name": "Food name",
+  "food.newName": "New food name",
+  "food.basis": "Macros are given",
+  "food.servingPlaceholder": "Serving, e.g. slice (35 g)",
+  "food.servingLabel": "Serving description",
+  "food.newField": "New food {field}",
+  "food.save": "Save food",
+
+  "workings.title": "Sums",
+  "workings.calories": "Energy",
+  "workings.carbs": "Carbs",
+  "workings.protein": "Protein",
+  "workings.fat": "Fat",
+  "workings.alcohol": "Alcohol",
+  "workings.fiber": "Fiber",
+  "workings.weight": "Weight",
+
+  "units.energy": "Energy in",
+  "units.decimals": "Decimals in amounts",
+  "units.whole": "Whole numbers",
+  "units.kgPerWeek": "{rate} kg/week",
+
+  "rollover.balance": "Last week's balance:",
+  "rollover.off": "Don't carry over",
+  "rollover.all": "Carry everything",
+  "rollover.capped": "Carry up to a limit",
+  "rollover.deficits": "Only carry going over budget",
+  "rollover.capLabel": "Carry-over limit in {unit}",
+  "rollover.upTo": "up to ±",
+
+  "clear.dialogLabel": "Clear data",
+  "clear.title": "What do you want to clear?",
+  "clear.scope.week": "This week only",
+  "clear.scope.week.description": "The entries of {week}",
+  "clear.scope.budget": "Budget only",
+  "clear.scope.budget.description": "The daily budget and training day targets",
+  "clear.scope.all": "Everything",
+  "clear.scope.all.description":
+    "The budget, training day targets and all weeks",
+  "clear.kept_one": "A copy is kept for {count} day so you can restore it.",
+  "clear.kept_other": "A copy is kept for {count} days so you can restore it.",
+  "clear.confirm": "Clear",
+  "clear.recent": "Recently cleared",
+  "clear.clearedAt": "cleared {time}",
+  "clear.snapshot.week": "Week of {range}",
+  "clear.snapshot.budget": "Budget and training day targets",
+  "clear.snapshot.all": "Everything",
+  "clear.notice": "Cleared: {what}.",
+  "clear.notSaved":
+    "There was no room on this device to keep a copy. Restore it now if you need it; after a reload it is gone.",
+
+  "profiles.unnamed": "Unnamed",
+  "profiles.me": "Me",
+  "profiles.profile": "Profile",
+  "profiles.title": "Profiles",
+  "profiles.help":
+    "Each profile has its own budget, entries and reminders. Saved foods are shared.",
+  "profiles.confirmDelete": "Delete {name} and all of its data?",
+  "profiles.name": "Name of {name}",
+  "profiles.delete": "Delete {name}",
+  "profiles.namePlaceholder": "Name",
+  "profiles.newName": "New profile name",
+  "profiles.add": "Add profile",
+
+  "wizard.title": "Budget Setup",
+  "wizard.help":
+    "Estimates your energy needs with the Mifflin–St Jeor formula and splits them into macros. You can fine-tune the numbers afterwards.",
+  "wizard.example": "e.g. {value}",
+  "wizard.weight": "Weight (kg)",
+  "wizard.height": "Height (cm)",
+  "wizard.age": "Age",
+  "wizard.sex": "Sex",
+  "wizard.female": "Female",
+  "wizard.male": "Male",
+  "wizard.activity": "Activity level",
+  "wizard.activity.sedentary": "Sedentary (little or no exercise)",
+  "wizard.activity.light": "Lightly active (1–3 days/week)",
+  "wizard.activity.moderate": "Moderately active (3–5 days/week)",
+  "wizard.activity.active": "Very active (6–7 days/week)",
+  "wizard.activity.extra": "Extra active (physical job + training)",
+  "wizard.goal": "Goal",
+  "wizard.goal.cut": "Lose weight",
+  "wizard.goal.maintain": "Maintain",
+  "wizard.goal.bulk": "Gain weight",
+  "wizard.rate": "Rate (kg per week)",
+  "wizard.proteinPerKg": "Protein (g per kg)",
+  "wizard.fatPercent": "Fat (% of calories)",
+  "wizard.energy": "BMR {bmr}, maintenance {tdee}, target {calories}",
+  "wizard.suggested": "Suggested: {macros}",
+  "wizard.incomplete": "Fill in weight, height and age to see a suggestion.",
+
+  "reminders.enable": "Send reminders",
+  "reminders.permission": "Reminders need permission to show notifications.",
+  "reminders.allow": "Allow notifications",
+  "reminders.blocked":
+    "Notifications are blocked for this site. Allow them in your browser settings to get reminders.",
+  "reminders.unsupported": "This browser does not support notifications.",
+  "reminders.at": "At",
+  "reminders.time": "Reminder time",
+  "reminders.condition": "Reminder condition",
+  "reminders.always": "Always",
+  "reminders.empty": "If nothing is logged for the day",
+  "reminders.protein": "If protein is under a share of the target",
+  "reminders.under": "under",
+  "reminders.percent": "Protein share of target in percent",
+  "reminders.remove": "Remove reminder",
+  "reminders.days": "Reminder days",
+  "reminders.add": "Add reminder",
+  "reminders.title": "Macros Reminder",
+  "reminders.titleFor": "Macros Reminder for {name}",
+  "reminders.logNow": "Log now",
+  "reminders.message.empty": "Don't forget to fill in your macros for {day}!",
+  "reminders.message.protein":
+    "Protein for {day} is at {protein}g of {target}g. Time for a protein-rich meal?",
+  "reminders.message.always": "Time to log your macros for {day}.",
+
+  "stats.days_one": "{count} day",
+  "stats.days_other": "{count} days",
+  "stats.adherence": "Adherence this week",
+  "stats.noDays": "No days logged yet",
+  "stats.onTarget":
+    "{onTarget} of {logged} logged within ±{tolerance}% of the calorie target",
+  "stats.currentStreak": "Current streak",
+  "stats.longestStreak": "Longest streak",
+  "stats.streakHelp": "Days logged in a row",
+  "stats.calories": "Calories",
+  "stats.carbs": "Carbs",
+  "stats.protein": "Protein",
+  "stats.fat": "Fat",
+  "stats.weight": "Body weight",
+  "stats.noWeight":
+    "Enter your weight in the Weekly Plan to see its trend here.",
+  "stats.noRate":
+    "The rate of change shows once you have weighed in regularly for a few weeks.",
+  "stats.rate": "Trend over the last {weeks} weeks: {rate} (goal {goal}).",
+  "stats.averages": "Average per logged day, last {weeks} weeks",
+  "stats.week": "Week",
+  "stats.logged": "Logged",
+  "stats.average": "{weeks}-week average",
+  "stats.target": "Target",
+  "stats.chartLabel": "{field} per day against target",
+  "stats.chartDay": "{day}: {value} of {target}",
+  "stats.notLogged": "not logged",
+  "stats.weightChart": "Body weight (kg)",
+  "stats.weightChartLabel": "Body weight and trend",
+  "stats.weighIn": "{date}: {weight} kg (trend {trend} kg)",
+
+  "sync.settings": "Budget and settings",
+  "sync.nothingLogged": "nothing logged",
+  "sync.help":
+    "Keep this profile's entries and budget the same on several devices through a server you run yourself (see server/sync-server.js). Leave the address empty to keep everything on this device.",
+  "sync.endpoint": "Server address",
+  "sync.token": "Access token (optional)",
+  "sync.syncing": "Syncing…",
+  "sync.now": "Sync now",
+  "sync.failed": "Sync failed: {message}",
+  "sync.last": "Last synced {time}",
+  "sync.never": "Not synced yet",
+  "sync.skipped":
+    "Some records on the server couldn't be read and were left out of the sync:",
+  "sync.conflicts": "Edited on two devices",
+  "sync.keptLocal": "kept this device's version ({kept}) over {other}.",
+  "sync.keptRemote": "kept the other version ({kept}) over {other}.",
+  "sync.useOther": "Use the other version",
+  "sync.settingsRecord": "Settings",
+  "sync.error.record": "{path} from the server is malformed",
+  "sync.error.day": '"{key}" from the server is not a day',
+  "sync.error.setting": "{setting} from the server can't be used: {reason}",
+
+  "backup.exportJson": "Export everything (JSON)",
+  "backup.exportCsv": "Export this week (CSV)",
+  "backup.import": "Import JSON or CSV…",
+  "backup.failed": "Import failed: {message}",
+  "backup.importFile": "Import {name}",
+  "backup.merge": "Merge: add imported days to the existing weeks",
+  "backup.replace": "Replace: the file replaces what is stored here",
+  "backup.budgetChange": "Daily budget: {from} → {to}",
+  "backup.days":
+    "Days: {added} added, {changed} changed, {removed} removed, {unchanged} unchanged",
+  "backup.settingReplaced": "{setting} will be replaced",
+  "backup.setting.dayTargets": "Training day targets",
+  "backup.setting.bodyProfile": "Body stats",
+  "backup.setting.calorieCheck": "Calorie check settings",
+  "backup.setting.units": "Units",
+  "backup.setting.budgetInputMode": "Budget input mode",
+  "backup.setting.foods": "Saved foods",
+  "backup.setting.importMappings": "Saved import mappings",
+  "backup.setting.reminders": "Reminder settings",
+  "backup.setting.rollover": "Carry-over settings",
+  "backup.setting.dayLimits": "Daily limits",
+  "backup.noChanges": "Nothing would change.",
+  "backup.apply": "Apply import",
+
+  "tracker.notInFile": "— not in file —",
+  "tracker.import": "Import from another tracker (CSV)…",
+  "tracker.saved": "Saved mappings: {names}",
+  "tracker.title": "Map the columns of {name}",
+  "tracker.date": "Date",
+  "tracker.column": "{field} column",
+  "tracker.unit": "{field} unit",
+  "tracker.dateFormat": "Date format",
+  "tracker.format.ymd": "Year-month-day (2026-01-31)",
+  "tracker.format.dmy": "Day-month-year (31/01/2026)",
+  "tracker.format.mdy": "Month-day-year (01/31/2026)",
+  "tracker.found_one": "{count} day found",
+  "tracker.found_other": "{count} days found",
+  "tracker.skipped_one": "{count} line skipped (line {line}: {reason})",
+  "tracker.skipped_other": "{count} lines skipped (line {line}: {reason})",
+  "tracker.namePlaceholder": "Name to remember this mapping (optional)",
+  "tracker.name": "Mapping name",
+  "tracker.continue": "Continue",
+  "tracker.error.noDate": "Choose the column with the date",
+  "tracker.error.noFields": "Choose at least one column for calories or macros",
+  "tracker.error.date": '"{value}" is not a date',
+  "tracker.error.number": "{field} is not a number",
+
+  "share.eaten": "Eaten",
+  "share.budget": "Weekly budget",
+  "share.remaining": "Remaining",
+  "share.selectLink": "Select the link and copy it.",
+  "share.copied": "Link copied.",
+  "share.help":
+    "Anyone with the link sees {week} as it is now, without being able to change it. The data is in the link itself; nothing is uploaded.",
+  "share.link": "Link to this week",
+  "share.copy": "Copy link",
+  "share.title": "Shared week: {week}",
+  "share.readOnly":
+    "This is a read-only copy of someone's week, as it was when the link was made.",
+  "share.weight": "Weight",
+  "share.target": "Target",
+  "share.weeklyBudget": "Weekly Budget: {totals}",
+  "share.eatenTotals": "Eaten: {totals}",
+  "share.remainingTotals": "Remaining: {totals}",
+  "share.totals": "{energy}, {macros}",
+  "share.openTracker": "Open my own tracker",
+
+  "locale.language": "Language",
+  "locale.auto": "Same as the browser",
+  "locale.firstDay": "Weeks start on",
+
+  "data.path.field": "{path} {field}",
+  "data.path.item": "{path} item {number}",
+  "data.path.sum": "{path} sum {number}",
+  "data.path.week": "Week {week}",
+  "data.path.budget": "Daily budget",
+  "data.path.trainingBudget": "Training day budget",
+  "data.path.trainingDays": "Training days",
+  "data.path.limit": "Daily limit of {field}",
+  "data.path.limitMin": "Daily minimum of {field}",
+  "data.path.limitMax": "Daily maximum of {field}",
+  "data.path.profile": "Profile {number}",
+  "data.path.food": "Saved food {number}",
+  "data.path.reminder": "Reminder {number}",
+  "data.path.line": "Line {line}",
+  "data.path.tolerance": "Calorie tolerance",
+  "data.path.rolloverCap": "Carry-over limit",
+  "data.path.importMapping": "Saved import mapping {number}",
+  "data.field.calories": "calories",
+  "data.field.carbs": "carbs",
+  "data.field.protein": "protein",
+  "data.field.fat": "fat",
+  "data.field.alcohol": "alcohol",
+  "data.field.fiber": "fiber",
+  "data.field.weight": "body weight",
+  "data.field.result": "result",
+  "data.field.proteinPercent": "protein share",
+  "data.error.amount": '{path}: "{value}" is not a valid amount',
+  "data.error.object": "Expected an object",
+  "data.error.list": "Expected a list",
+  "data.error.days": "{path}: not a list of days",
+  "data.error.entry": "{path} is not a day entry",
+  "data.error.foodLog": "{path} food log is not a list",
+  "data.error.food": "{path} is not a food",
+  "data.error.sums": "{path} sums are not a list",
+  "data.error.malformed": "{path} is malformed",
+  "data.error.weeks": "Weeks are missing or malformed",
+  "data.error.weekKey": '"{week}" is not a week',
+  "data.error.budget": "Daily budget is malformed",
+  "data.error.inputMode": 'Unknown input mode "{mode}"',
+  "data.error.profiles": "Profiles are malformed",
+  "data.error.noProfiles": "There are no profiles",
+  "data.error.units": "Units are malformed",
+  "data.error.energyUnit": 'Unknown energy unit "{unit}"',
+  "data.error.decimals": 'Decimals must be 0, 1 or 2, not "{decimals}"',
+  "data.error.dayTargets": "Training day targets are malformed",
+  "data.error.dayLimits": "Daily limits are malformed",
+  "data.error.foods": "Saved foods are not a list",
+  "data.error.noName": "{path} has no name",
+  "data.error.basis": '{path} has an unknown basis "{basis}"',
+  "data.error.reminders": "Reminder settings are malformed",
+  "data.error.time": "{path} has no valid time",
+  "data.error.condition": '{path} has an unknown condition "{condition}"',
+  "data.error.calorieCheck": "Calorie check settings are malformed",
+  "data.error.fiberCalories": 'Unknown fiber setting "{value}"',
+  "data.error.rollover": "Carry-over settings are malformed",
+  "data.error.rolloverMode": 'Unknown carry-over rule "{mode}"',
+  "data.error.budgetReview": "Budget suggestion status is malformed",
+  "data.error.sync": "Sync settings are malformed",
+  "data.error.editStamps": "Edit times for sync are malformed",
+  "data.error.importMappings": "Saved import mappings are not a list",
+  "data.error.json": "The file is not valid JSON",
+  "data.error.format": "The file is not a Macros Calculator export",
+  "data.error.newer":
+    "The file was exported by a newer version of the app. Update the app and try again.",
+  "data.error.setting": "{setting} in the file can't be used: {reason}",
+  "data.error.empty": "The file is empty",
+  "data.error.noDateColumn": 'The file has no "date" column',
+  "data.error.noColumns": "The file has none of the columns {columns}",
+  "data.error.date": '{path}: "{value}" is not a YYYY-MM-DD date',
+  "data.error.unreadable": "The file could not be read",
+};
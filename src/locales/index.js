@@ -0,0 +1,68 @@
+import { DAYS } from "../weeks";
+import { en } from "./en";
+import { nl } from "./nl";
+
+// Translations of the interface, kept apart from React so the service
+// worker can use them for reminders too. Each catalog maps keys to texts;
+// texts can hold {name} placeholders, and a key with a count has a "_one"
+// and an "_other" form. Missing texts fall back to English. A placeholder's
+// value can itself be a message ({ key, params }, like the errors of the
+// data checks), which is translated too.
+
+export const LANGUAGES = [
+  { id: "en", name: "English" },
+  { id: "nl", name: "Nederlands" },
+];
+
+const CATALOGS = { en, nl };
+
+// "auto" follows the browser, English when it prefers none we have
+export const getLanguage = (setting) => {
+  if (CATALOGS[setting]) return setting;
+  const preferred =
+    typeof navigator !== "undefined"
+      ? navigator.languages || [navigator.language]
+      : [];
+  const match = preferred
+    .filter(Boolean)
+    .map((tag) => tag.slice(0, 2).toLowerCase())
+    .find((language) => CATALOGS[language]);
+  return match || "en";
+};
+
+// The locale for numbers and dates: the browser's own when it is a variant
+// of the language (like en-GB), otherwise the language itself
+export const getLocale = (language) => {
+  const browser = typeof navigator !== "undefined" ? navigator.language : "";
+  return browser && browser.slice(0, 2).toLowerCase() === language
+    ? browser
+    : language;
+};
+
+const lookup = (language, key) =>
+  CATALOGS[language][key] !== undefined ? CATALOGS[language][key] : en[key];
+
+export const translate = (language, key, params = {}) => {
+  let text;
+  if (params.count !== undefined) {
+    const form = new Intl.PluralRules(language).select(params.count);
+    text = lookup(language, `${key}_${form === "one" ? "one" : "other"}`);
+  }
+  if (text === undefined) text = lookup(language, key);
+  if (text === undefined) return key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined) return match;
+    if (value !== null && typeof value === "object" && value.key) {
+      return translate(language, value.key, value.params);
+    }
+    return value instanceof Error ? value.message : String(value);
+  });
+};
+
+// Name of a day ("Monday") in a locale, long ("maandag") or short ("ma")
+export const formatDayName = (day, locale, width = "long") => {
+  // 2024-01-01 was a Monday
+  const date = new Date(2024, 0, 1 + DAYS.indexOf(day));
+  return new Intl.DateTimeFormat(locale, { weekday: width }).format(date);
+};
@@ -0,0 +1,522 @@
+// Dutch texts of the interface. Keys missing here show in English.
+
+export const nl = {
+  "app.title": "Macrocalculator",
+  "app.undo": "Ongedaan maken",
+  "app.undoTitle": "Ongedaan maken (Ctrl+Z)",
+  "app.redo": "Opnieuw",
+  "app.redoTitle": "Opnieuw (Ctrl+Shift+Z)",
+  "app.clearAll": "Alles wissen",
+
+  "budget.daily": "Dagbudget",
+  "budget.restDay": "Budget voor rustdagen",
+  "budget.helpMeChoose": "Help me kiezen",
+  "budget.inputMode": "Invoer van het budget",
+  "budget.grams": "Grammen",
+  "budget.percent": "Calorieën & %",
+  "budget.fromMacros": "Berekend uit de macro's",
+  "budget.carbsPlaceholder": "Koolhydraten per dag",
+  "budget.proteinPlaceholder": "Eiwit per dag",
+  "budget.fatPlaceholder": "Vet per dag",
+  "budget.weekly": "Weekbudget: {energy}",
+  "budget.carried": "({amount} meegenomen van vorige week)",
+  "budget.remaining": "Over: {summary}",
+  "budget.remainingWeek": "Over deze week: {summary}",
+  "budget.limitProblems":
+    "De rest van de week past niet binnen je daglimieten:",
+  "budget.dayLimits": "Daglimieten",
+
+  "weekly.title": "Weekplan",
+  "weekly.previous": "Vorige",
+  "weekly.next": "Volgende",
+  "weekly.thisWeek": "Deze week",
+  "weekly.pastWeek": "Vorige week",
+  "weekly.upcomingWeek": "Komende week",
+  "weekly.calorieCheck": "Caloriecontrole",
+  "weekly.units": "Eenheden",
+  "weekly.locale": "Taal en week",
+  "weekly.help":
+    "Met de pijltjestoetsen en Enter ga je van cel naar cel. Cellen nemen sommen als 45+32+18, uitgerekend zodra je de cel verlaat. Ctrl+D kopieert gisteren naar een dag en Ctrl+Enter vult de lege velden met de suggestie.",
+  "weekly.caption": "Invoer voor {week}",
+  "weekly.quickFill": "Snel invullen",
+  "weekly.training": "Training",
+  "weekly.cell": "{field}, {day}",
+  "weekly.workedOut": "Uitgerekend als {expression}",
+  "weekly.copyYesterday": "Gisteren kopiëren",
+  "weekly.copyYesterdayTitle": "Invoer van gisteren kopiëren (Ctrl+D)",
+  "weekly.copyYesterdayLabel": "Gisteren kopiëren naar {day}",
+  "weekly.useSuggestion": "Suggestie gebruiken",
+  "weekly.useSuggestionTitle":
+    "Lege velden vullen met de suggestie (Ctrl+Enter)",
+  "weekly.useSuggestionLabel": "{day} vullen met de suggestie",
+
+  "mismatch.fromMacros": "{amount} uit macro's",
+  "mismatch.above":
+    "De ingevulde calorieën liggen {amount} boven 4/4/9 × macro's",
+  "mismatch.below":
+    "De ingevulde calorieën liggen {amount} onder 4/4/9 × macro's",
+  "mismatch.fix": "{title}. Klik om de calorieën uit de macro's te gebruiken.",
+
+  "sections.stats": "Statistieken",
+  "sections.share": "Delen",
+  "sections.foods": "Opgeslagen voedingsmiddelen ({count})",
+  "sections.reminders": "Herinneringen",
+  "sections.sync": "Synchronisatie",
+  "sections.backup": "Back-up & herstel",
+
+  "common.cancel": "Annuleren",
+  "common.delete": "Verwijderen",
+  "common.dismiss": "Sluiten",
+  "common.restore": "Herstellen",
+  "common.downloadImage": "Afbeelding downloaden",
+  "common.imageFailed": "Deze browser kan de afbeelding niet maken.",
+
+  "update.available": "Er is een nieuwe versie van de app.",
+  "update.reload": "Herladen",
+  "update.later": "Later",
+
+  "storage.problems":
+    "Sommige opgeslagen gegevens konden niet worden geladen en zijn apart gezet in plaats van gebruikt:",
+  "storage.download": "Een kopie downloaden",
+  "storage.notJson": "Geen geldige JSON",
+  "storage.value.profiles": "Profielen",
+  "storage.value.locale": "Taal- en weekinstellingen",
+  "storage.value.dailyBudget": "Dagbudget",
+  "storage.value.weeks": "Weekinvoer",
+  "storage.value.dayTargets": "Doelen voor trainingsdagen",
+  "storage.value.bodyProfile": "Lichaamsgegevens",
+  "storage.value.budgetInputMode": "Invoer van het budget",
+  "storage.value.calorieCheck": "Instellingen voor caloriecontrole",
+  "storage.value.units": "Eenheden",
+  "storage.value.foods": "Opgeslagen voedingsmiddelen",
+  "storage.value.importMappings": "Opgeslagen koppelingen voor importeren",
+  "storage.value.reminders": "Instellingen voor herinneringen",
+  "storage.value.dayLimits": "Daglimieten",
+  "storage.value.rollover": "Instellingen voor meenemen",
+  "storage.value.budgetReview": "Status van budgetsuggestie",
+  "storage.value.sync": "Sync-instellingen",
+  "storage.value.editStamps": "Bewerkingstijden voor sync",
+  "storage.value.clearSnapshots": "Onlangs gewiste gegevens",
+
+  "suggestion.trend": "Je gewichtstrend is {actual}; je doel is {goal}.",
+  "suggestion.intake": "De afgelopen weken at je gemiddeld {energy} per dag.",
+  "suggestion.raise": "Verhoog je budget met ongeveer {energy} per dag:",
+  "suggestion.lower": "Verlaag je budget met ongeveer {energy} per dag:",
+  "suggestion.budget":
+    "{carbs}g koolhydraten, {protein}g eiwit, {fat}g vet ({energy}).",
+  "suggestion.accept": "Dit budget gebruiken",
+  "suggestion.ignore": "Negeren",
+
+  "field.day": "Dag",
+  "field.calories.kcal": "Calorieën",
+  "field.calories.kJ": "Energie (kJ)",
+  "field.carbs": "Koolhydraten (g)",
+  "field.protein": "Eiwit (g)",
+  "field.fat": "Vet (g)",
+  "field.alcohol": "Alcohol (g)",
+  "field.fiber": "Vezels (g)",
+  "field.weight": "Gewicht (kg)",
+
+  "calorieCheck.tolerance":
+    "Markeer calorieën die meer afwijken van de macro's dan",
+  "calorieCheck.toleranceLabel": "Marge voor calorieën in procenten",
+  "calorieCheck.autoFill": "Lege calorieën invullen uit de macro's",
+  "calorieCheck.trackAlcohol": "Alcohol bijhouden (7 kcal/g)",
+  "calorieCheck.trackFiber": "Vezels bijhouden",
+  "calorieCheck.fiberIs": "Vezels zijn",
+  "calorieCheck.fiberIncluded": "inbegrepen in koolhydraten",
+  "calorieCheck.fiberSeparate": "los van koolhydraten (2 kcal/g)",
+
+  "limits.help":
+    "Suggesties voor de dagen die je nog niet hebt ingevuld blijven binnen deze limieten. Laat een veld leeg voor geen limiet.",
+  "limits.calories.kcal": "Calorieën (kcal)",
+  "limits.calories.kJ": "Energie (kJ)",
+  "limits.min": "Minimum",
+  "limits.max": "Maximum",
+  "limits.minLabel": "Minimum {field} per dag",
+  "limits.maxLabel": "Maximum {field} per dag",
+
+  "limits.problem.tooMuch":
+    "{field}: {amount} {unit} van het weekbudget past niet binnen het maximum van {limit} {unit} per dag.",
+  "limits.problem.over":
+    "{field}: de week zit al {amount} {unit} boven het budget.",
+  "limits.problem.tooLittle_one":
+    "{field}: de resterende dag heeft minstens {limit} {unit} nodig, {amount} {unit} meer dan er nog in het weekbudget zit.",
+  "limits.problem.tooLittle_other":
+    "{field}: de {count} resterende dagen hebben minstens {limit} {unit} per dag nodig, {amount} {unit} meer dan er nog in het weekbudget zit.",
+  "limits.problem.unreachable":
+    "{field}: {min}–{max} {unit} per dag is niet te halen binnen de limieten voor de macro's.",
+  "limits.problem.unreachableMin":
+    "{field}: minstens {min} {unit} per dag is niet te halen binnen de limieten voor de macro's.",
+
+  "summary.macros": "{carbs}g koolhydraten, {protein}g eiwit, {fat}g vet",
+
+  "sum.negative": "Komt uit onder 0",
+  "sum.badCharacter": '"{char}" kan niet in een som',
+  "sum.incomplete": "De som is niet af",
+  "sum.unclosed": "Er is een haakje niet gesloten",
+  "sum.unexpected": 'Onverwachte "{token}"',
+  "sum.divideByZero": "Kan niet delen door 0",
+  "sum.empty": "De som is leeg",
+  "sum.noAnswer": "De som heeft geen uitkomst",
+
+  "split.dailyCalories": "Calorieën per dag",
+  "split.complete": "De verdeling komt op 100%",
+  "split.incomplete": "De verdeling komt op {total}%, dat moet 100% zijn",
+  "split.carbs": "Koolhydraten (%)",
+  "split.protein": "Eiwit (%)",
+  "split.fat": "Vet (%)",
+  "split.carbsPlaceholder": "% koolhydraten",
+  "split.proteinPlaceholder": "% eiwit",
+  "split.fatPlaceholder": "% vet",
+
+  "foodLog.unnamed": "Naamloos item",
+  "foodLog.itemName": "Naam van item op {day}",
+  "foodLog.remove": "{name} verwijderen",
+  "foodLog.namePlaceholder": "Voedingsmiddel of maaltijd",
+  "foodLog.newItemName": "Naam van nieuw item op {day}",
+  "foodLog.newItemField": "{field} van nieuw item op {day}",
+  "foodLog.add": "Toevoegen",
+  "foodLog.total": "Totaal: {calories}, {macros}",
+  "foodLog.earlierTotal": "Eerder totaal",
+
+  "dayTargets.enable": "Apart budget voor trainingsdagen",
+  "dayTargets.training": "{field} op trainingsdagen",
+  "dayTargets.carbsPlaceholder": "Koolhydraten op trainingsdagen",
+  "dayTargets.proteinPlaceholder": "Eiwit op trainingsdagen",
+  "dayTargets.fatPlaceholder": "Vet op trainingsdagen",
+  "dayTargets.days": "Trainingsdagen",
+
+  "food.serving": "portie",
+  "food.servings": "Aantal porties",
+  "food.servingsUnit": "porties",
+  "food.grams": "Hoeveelheid in grammen",
+  "food.search": "Opgeslagen voedingsmiddelen zoeken",
+  "food.searchFor": "Opgeslagen voedingsmiddelen zoeken voor {day}",
+  "food.caloriesPer": "{energy} per {basis}",
+  "food.per": "per {basis}",
+  "food.values": "{energy}, {macros}",
+  "food.addTo": "Toevoegen aan {day}",
+  "food.remove": "{name} verwijderen uit opgeslagen voedingsmiddelen",
+  "food.none": "Geen opgeslagen voedingsmiddelen gevonden",
+  "food.name": "Naam van het voedingsmiddel",
+  "food.newName": "Naam van nieuw voedingsmiddel",
+  "food.basis": "Macro's gelden",
+  "food.servingPlaceholder": "Portie, bijv. snee (35 g)",
+  "food.servingLabel": "Omschrijving van de portie",
+  "food.newField": "{field} van nieuw voedingsmiddel",
+  "food.save": "Voedingsmiddel opslaan",
+
+  "workings.title": "Sommen",
+  "workings.calories": "Energie",
+  "workings.carbs": "Koolhydraten",
+  "workings.protein": "Eiwit",
+  "workings.fat": "Vet",
+  "workings.alcohol": "Alcohol",
+  "workings.fiber": "Vezels",
+  "workings.weight": "Gewicht",
+
+  "units.energy": "Energie in",
+  "units.decimals": "Decimalen in hoeveelheden",
+  "units.whole": "Hele getallen",
+  "units.kgPerWeek": "{rate} kg per week",
+
+  "rollover.balance": "Saldo van vorige week:",
+  "rollover.off": "Niet meenemen",
+  "rollover.all": "Alles meenemen",
+  "rollover.capped": "Meenemen tot een limiet",
+  "rollover.deficits": "Alleen overschrijdingen meenemen",
+  "rollover.capLabel": "Limiet voor meenemen in {unit}",
+  "rollover.upTo": "tot ±",
+
+  "clear.dialogLabel": "Gegevens wissen",
+  "clear.title": "Wat wil je wissen?",
+  "clear.scope.week": "Alleen deze week",
+  "clear.scope.week.description": "De invoer van {week}",
+  "clear.scope.budget": "Alleen het budget",
+  "clear.scope.budget.description":
+    "Het dagbudget en de doelen voor trainingsdagen",
+  "clear.scope.all": "Alles",
+  "clear.scope.all.description":
+    "Het budget, de doelen voor trainingsdagen en alle weken",
+  "clear.kept_one":
+    "Er wordt {count} dag een kopie bewaard, zodat je het kunt herstellen.",
+  "clear.kept_other":
+    "Er wordt {count} dagen een kopie bewaard, zodat je het kunt herstellen.",
+  "clear.confirm": "Wissen",
+  "clear.recent": "Onlangs gewist",
+  "clear.clearedAt": "gewist {time}",
+  "clear.snapshot.week": "Week van {range}",
+  "clear.snapshot.budget": "Budget en doelen voor trainingsdagen",
+  "clear.snapshot.all": "Alles",
+  "clear.notice": "Gewist: {what}.",
+  "clear.notSaved":
+    "Er was op dit apparaat geen ruimte om een kopie te bewaren. Zet het nu terug als je het nodig hebt; na opnieuw laden is het weg.",
+
+  "profiles.unnamed": "Naamloos",
+  "profiles.me": "Ik",
+  "profiles.profile": "Profiel",
+  "profiles.title": "Profielen",
+  "profiles.help":
+    "Elk profiel heeft een eigen budget, invoer en herinneringen. Opgeslagen voedingsmiddelen zijn gedeeld.",
+  "profiles.confirmDelete": "{name} en alle bijbehorende gegevens verwijderen?",
+  "profiles.name": "Naam van {name}",
+  "profiles.delete": "{name} verwijderen",
+  "profiles.namePlaceholder": "Naam",
+  "profiles.newName": "Naam van nieuw profiel",
+  "profiles.add": "Profiel toevoegen",
+
+  "wizard.title": "Budget instellen",
+  "wizard.help":
+    "Schat je energiebehoefte met de formule van Mifflin–St Jeor en verdeelt die over de macro's. Je kunt de getallen daarna nog bijstellen.",
+  "wizard.example": "bijv. {value}",
+  "wizard.weight": "Gewicht (kg)",
+  "wizard.height": "Lengte (cm)",
+  "wizard.age": "Leeftijd",
+  "wizard.sex": "Geslacht",
+  "wizard.female": "Vrouw",
+  "wizard.male": "Man",
+  "wizard.activity": "Activiteitsniveau",
+  "wizard.activity.sedentary": "Zittend (weinig of geen beweging)",
+  "wizard.activity.light": "Licht actief (1–3 dagen/week)",
+  "wizard.activity.moderate": "Matig actief (3–5 dagen/week)",
+  "wizard.activity.active": "Zeer actief (6–7 dagen/week)",
+  "wizard.activity.extra": "Extra actief (lichamelijk werk + training)",
+  "wizard.goal": "Doel",
+  "wizard.goal.cut": "Afvallen",
+  "wizard.goal.maintain": "Op gewicht blijven",
+  "wizard.goal.bulk": "Aankomen",
+  "wizard.rate": "Tempo (kg per week)",
+  "wizard.proteinPerKg": "Eiwit (g per kg)",
+  "wizard.fatPercent": "Vet (% van de calorieën)",
+  "wizard.energy": "BMR {bmr}, onderhoud {tdee}, doel {calories}",
+  "wizard.suggested": "Suggestie: {macros}",
+  "wizard.incomplete":
+    "Vul gewicht, lengte en leeftijd in om een suggestie te zien.",
+
+  "reminders.enable": "Herinneringen sturen",
+  "reminders.permission":
+    "Voor herinneringen is toestemming nodig om meldingen te tonen.",
+  "reminders.allow": "Meldingen toestaan",
+  "reminders.blocked":
+    "Meldingen zijn geblokkeerd voor deze site. Sta ze toe in de instellingen van je browser om herinneringen te krijgen.",
+  "reminders.unsupported": "Deze browser ondersteunt geen meldingen.",
+  "reminders.at": "Om",
+  "reminders.time": "Tijd van de herinnering",
+  "reminders.condition": "Voorwaarde van de herinnering",
+  "reminders.always": "Altijd",
+  "reminders.empty": "Als er niets is ingevuld voor de dag",
+  "reminders.protein": "Als eiwit onder een deel van het doel zit",
+  "reminders.under": "onder",
+  "reminders.percent": "Deel van het eiwitdoel in procenten",
+  "reminders.remove": "Herinnering verwijderen",
+  "reminders.days": "Dagen van de herinnering",
+  "reminders.add": "Herinnering toevoegen",
+  "reminders.title": "Macroherinnering",
+  "reminders.titleFor": "Macroherinnering voor {name}",
+  "reminders.logNow": "Nu invullen",
+  "reminders.message.empty": "Vergeet je macro's voor {day} niet in te vullen!",
+  "reminders.message.protein":
+    "Eiwit voor {day} staat op {protein}g van {target}g. Tijd voor een eiwitrijke maaltijd?",
+  "reminders.message.always": "Tijd om je macro's voor {day} in te vullen.",
+
+  "stats.days_one": "{count} dag",
+  "stats.days_other": "{count} dagen",
+  "stats.adherence": "Op koers deze week",
+  "stats.noDays": "Nog geen dagen ingevuld",
+  "stats.onTarget":
+    "{onTarget} van {logged} ingevuld binnen ±{tolerance}% van het caloriedoel",
+  "stats.currentStreak": "Huidige reeks",
+  "stats.longestStreak": "Langste reeks",
+  "stats.streakHelp": "Dagen op rij ingevuld",
+  "stats.calories": "Calorieën",
+  "stats.carbs": "Koolhydraten",
+  "stats.protein": "Eiwit",
+  "stats.fat": "Vet",
+  "stats.weight": "Lichaamsgewicht",
+  "stats.noWeight":
+    "Vul je gewicht in het weekplan in om hier de trend te zien.",
+  "stats.noRate":
+    "Het tempo verschijnt zodra je een paar weken regelmatig hebt gewogen.",
+  "stats.rate": "Trend over de afgelopen {weeks} weken: {rate} (doel {goal}).",
+  "stats.averages": "Gemiddelde per ingevulde dag, afgelopen {weeks} weken",
+  "stats.week": "Week",
+  "stats.logged": "Ingevuld",
+  "stats.average": "Gemiddelde over {weeks} weken",
+  "stats.target": "Doel",
+  "stats.chartLabel": "{field} per dag tegenover het doel",
+  "stats.chartDay": "{day}: {value} van {target}",
+  "stats.notLogged": "niet ingevuld",
+  "stats.weightChart": "Lichaamsgewicht (kg)",
+  "stats.weightChartLabel": "Lichaamsgewicht en trend",
+  "stats.weighIn": "{date}: {weight} kg (trend {trend} kg)",
+
+  "sync.settings": "Budget en instellingen",
+  "sync.nothingLogged": "niets ingevuld",
+  "sync.help":
+    "Houd de invoer en het budget van dit profiel gelijk op meerdere apparaten via een server die je zelf draait (zie server/sync-server.js). Laat het adres leeg om alles op dit apparaat te houden.",
+  "sync.endpoint": "Serveradres",
+  "sync.token": "Toegangstoken (optioneel)",
+  "sync.syncing": "Synchroniseren…",
+  "sync.now": "Nu synchroniseren",
+  "sync.failed": "Synchroniseren mislukt: {message}",
+  "sync.last": "Laatst gesynchroniseerd {time}",
+  "sync.never": "Nog niet gesynchroniseerd",
+  "sync.skipped":
+    "Sommige records op de server konden niet worden gelezen en zijn buiten de synchronisatie gelaten:",
+  "sync.conflicts": "Bewerkt op twee apparaten",
+  "sync.keptLocal":
+    "de versie van dit apparaat ({kept}) is gehouden boven {other}.",
+  "sync.keptRemote": "de andere versie ({kept}) is gehouden boven {other}.",
+  "sync.useOther": "De andere versie gebruiken",
+  "sync.settingsRecord": "Instellingen",
+  "sync.error.record": "{path} van de server is onleesbaar",
+  "sync.error.day": '"{key}" van de server is geen dag',
+  "sync.error.setting": "{setting} van de server: {reason}",
+
+  "backup.exportJson": "Alles exporteren (JSON)",
+  "backup.exportCsv": "Deze week exporteren (CSV)",
+  "backup.import": "JSON of CSV importeren…",
+  "backup.failed": "Importeren mislukt: {message}",
+  "backup.importFile": "{name} importeren",
+  "backup.merge":
+    "Samenvoegen: geïmporteerde dagen aan de bestaande weken toevoegen",
+  "backup.replace": "Vervangen: het bestand vervangt wat hier is opgeslagen",
+  "backup.budgetChange": "Dagbudget: {from} → {to}",
+  "backup.days":
+    "Dagen: {added} toegevoegd, {changed} gewijzigd, {removed} verwijderd, {unchanged} ongewijzigd",
+  "backup.settingReplaced": "{setting} wordt vervangen",
+  "backup.setting.dayTargets": "Doelen voor trainingsdagen",
+  "backup.setting.bodyProfile": "Lichaamsgegevens",
+  "backup.setting.calorieCheck": "Instellingen voor caloriecontrole",
+  "backup.setting.units": "Eenheden",
+  "backup.setting.budgetInputMode": "Invoer van het budget",
+  "backup.setting.foods": "Opgeslagen voedingsmiddelen",
+  "backup.setting.importMappings": "Opgeslagen koppelingen voor importeren",
+  "backup.setting.reminders": "Instellingen voor herinneringen",
+  "backup.setting.rollover": "Instellingen voor meenemen",
+  "backup.setting.dayLimits": "Daglimieten",
+  "backup.noChanges": "Er zou niets veranderen.",
+  "backup.apply": "Import toepassen",
+
+  "tracker.notInFile": "— niet in bestand —",
+  "tracker.import": "Importeren uit een andere tracker (CSV)…",
+  "tracker.saved": "Opgeslagen koppelingen: {names}",
+  "tracker.title": "Koppel de kolommen van {name}",
+  "tracker.date": "Datum",
+  "tracker.column": "Kolom voor {field}",
+  "tracker.unit": "Eenheid van {field}",
+  "tracker.dateFormat": "Datumnotatie",
+  "tracker.format.ymd": "Jaar-maand-dag (2026-01-31)",
+  "tracker.format.dmy": "Dag-maand-jaar (31/01/2026)",
+  "tracker.format.mdy": "Maand-dag-jaar (01/31/2026)",
+  "tracker.found_one": "{count} dag gevonden",
+  "tracker.found_other": "{count} dagen gevonden",
+  "tracker.skipped_one": "{count} regel overgeslagen (regel {line}: {reason})",
+  "tracker.skipped_other":
+    "{count} regels overgeslagen (regel {line}: {reason})",
+  "tracker.namePlaceholder": "Naam om deze koppeling te onthouden (optioneel)",
+  "tracker.name": "Naam van de koppeling",
+  "tracker.continue": "Doorgaan",
+  "tracker.error.noDate": "Kies de kolom met de datum",
+  "tracker.error.noFields": "Kies minstens één kolom voor calorieën of macro's",
+  "tracker.error.date": '"{value}" is geen datum',
+  "tracker.error.number": "{field} is geen getal",
+
+  "share.eaten": "Gegeten",
+  "share.budget": "Weekbudget",
+  "share.remaining": "Over",
+  "share.selectLink": "Selecteer de link en kopieer hem.",
+  "share.copied": "Link gekopieerd.",
+  "share.help":
+    "Iedereen met de link ziet {week} zoals die nu is, zonder iets te kunnen wijzigen. De gegevens zitten in de link zelf; er wordt niets geüpload.",
+  "share.link": "Link naar deze week",
+  "share.copy": "Link kopiëren",
+  "share.title": "Gedeelde week: {week}",
+  "share.readOnly":
+    "Dit is een alleen-lezen kopie van iemands week, zoals die was toen de link werd gemaakt.",
+  "share.weight": "Gewicht",
+  "share.target": "Doel",
+  "share.weeklyBudget": "Weekbudget: {totals}",
+  "share.eatenTotals": "Gegeten: {totals}",
+  "share.remainingTotals": "Over: {totals}",
+  "share.totals": "{energy}, {macros}",
+  "share.openTracker": "Mijn eigen tracker openen",
+
+  "locale.language": "Taal",
+  "locale.auto": "Zelfde als de browser",
+  "locale.firstDay": "Weken beginnen op",
+
+  "data.path.field": "{path} {field}",
+  "data.path.item": "{path} item {number}",
+  "data.path.sum": "{path} som {number}",
+  "data.path.week": "Week {week}",
+  "data.path.budget": "Dagbudget",
+  "data.path.trainingBudget": "Budget voor trainingsdagen",
+  "data.path.trainingDays": "Trainingsdagen",
+  "data.path.limit": "Daglimiet voor {field}",
+  "data.path.limitMin": "Dagminimum voor {field}",
+  "data.path.limitMax": "Dagmaximum voor {field}",
+  "data.path.profile": "Profiel {number}",
+  "data.path.food": "Opgeslagen voedingsmiddel {number}",
+  "data.path.reminder": "Herinnering {number}",
+  "data.path.line": "Regel {line}",
+  "data.path.tolerance": "Marge voor calorieën",
+  "data.path.rolloverCap": "Limiet voor meenemen",
+  "data.path.importMapping": "Opgeslagen koppeling voor importeren {number}",
+  "data.field.calories": "calorieën",
+  "data.field.carbs": "koolhydraten",
+  "data.field.protein": "eiwit",
+  "data.field.fat": "vet",
+  "data.field.alcohol": "alcohol",
+  "data.field.fiber": "vezels",
+  "data.field.weight": "lichaamsgewicht",
+  "data.field.result": "uitkomst",
+  "data.field.proteinPercent": "aandeel eiwit",
+  "data.error.amount": '{path}: "{value}" is geen geldige hoeveelheid',
+  "data.error.object": "Een object verwacht",
+  "data.error.list": "Een lijst verwacht",
+  "data.error.days": "{path}: geen lijst van dagen",
+  "data.error.entry": "{path} is geen daginvoer",
+  "data.error.foodLog": "{path}: voedingslog is geen lijst",
+  "data.error.food": "{path} is geen voedingsmiddel",
+  "data.error.sums": "{path}: sommen zijn geen lijst",
+  "data.error.malformed": "{path} is onleesbaar",
+  "data.error.weeks": "Weken ontbreken of zijn onleesbaar",
+  "data.error.weekKey": '"{week}" is geen week',
+  "data.error.budget": "Dagbudget is onleesbaar",
+  "data.error.inputMode": 'Onbekende invoer "{mode}"',
+  "data.error.profiles": "Profielen zijn onleesbaar",
+  "data.error.noProfiles": "Er zijn geen profielen",
+  "data.error.units": "Eenheden zijn onleesbaar",
+  "data.error.energyUnit": 'Onbekende energie-eenheid "{unit}"',
+  "data.error.decimals": 'Decimalen moeten 0, 1 of 2 zijn, niet "{decimals}"',
+  "data.error.dayTargets": "Doelen voor trainingsdagen zijn onleesbaar",
+  "data.error.dayLimits": "Daglimieten zijn onleesbaar",
+  "data.error.foods": "Opgeslagen voedingsmiddelen zijn geen lijst",
+  "data.error.noName": "{path} heeft geen naam",
+  "data.error.basis": '{path} heeft een onbekende basis "{basis}"',
+  "data.error.reminders": "Instellingen voor herinneringen zijn onleesbaar",
+  "data.error.time": "{path} heeft geen geldige tijd",
+  "data.error.condition": '{path} heeft een onbekende voorwaarde "{condition}"',
+  "data.error.calorieCheck":
+    "Instellingen voor caloriecontrole zijn onleesbaar",
+  "data.error.fiberCalories": 'Onbekende instelling voor vezels "{value}"',
+  "data.error.rollover": "Instellingen voor meenemen zijn onleesbaar",
+  "data.error.rolloverMode": 'Onbekende regel voor meenemen "{mode}"',
+  "data.error.budgetReview": "Status van budgetsuggestie is onleesbaar",
+  "data.error.sync": "Sync-instellingen zijn onleesbaar",
+  "data.error.editStamps": "Bewerkingstijden voor sync zijn onleesbaar",
+  "data.error.importMappings":
+    "Opgeslagen koppelingen voor importeren zijn geen lijst",
+  "data.error.json": "Het bestand is geen geldige JSON",
+  "data.error.format": "Het bestand is geen export van Macros Calculator",
+  "data.error.newer":
+    "Het bestand is geëxporteerd door een nieuwere versie van de app. Werk de app bij en probeer het opnieuw.",
+  "data.error.setting": "{setting} in het bestand: {reason}",
+  "data.error.empty": "Het bestand is leeg",
+  "data.error.noDateColumn": 'Het bestand heeft geen kolom "date"',
+  "data.error.noColumns": "Het bestand heeft geen van de kolommen {columns}",
+  "data.error.date": '{path}: "{value}" is geen datum als JJJJ-MM-DD',
+  "data.error.unreadable": "Het bestand kon niet worden gelezen",
+};
@@ -0,0 +1,58 @@
+// Conversion between a gram budget and "calories + percentage split"
+// (e.g. 2200 kcal, 40/30/30), the way most coaching plans are written.
+
+export const KCAL_PER_GRAM = { carbs: 4, protein: 4, fat: 9 };
+
+export const MACROS = ["carbs", "protein", "fat"];
+
+const roundTo = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+// Calories and the share of each macro, in percent with one decimal. Fat
+// takes the rounding difference so the split always adds up to 100%.
+export const budgetToSplit = (budget) => {
+  const kcal = MACROS.reduce(
+    (acc, macro) => ({
+      ...acc,
+      [macro]: (parseFloat(budget[macro]) || 0) * KCAL_PER_GRAM[macro],
+    }),
+    {}
+  );
+  const calories = kcal.carbs + kcal.protein + kcal.fat;
+  if (!calories) return { calories: "", carbs: "", protein: "", fat: "" };
+
+  const carbs = roundTo((kcal.carbs / calories) * 100, 1);
+  const protein = roundTo((kcal.protein / calories) * 100, 1);
+  return {
+    calories: String(calories),
+    carbs: String(carbs),
+    protein: String(protein),
+    fat: String(roundTo(100 - carbs - protein, 1)),
+  };
+};
+
+export const getSplitTotal = (split) =>
+  roundTo(
+    MACROS.reduce((sum, macro) => sum + (parseFloat(split[macro]) || 0), 0),
+    1
+  );
+
+// Whole gram budget for a calorie target and a split that adds up to 100%
+export const splitToBudget = (split) => {
+  const calories = parseFloat(split.calories) || 0;
+  return MACROS.reduce(
+    (acc, macro) => ({
+      ...acc,
+      [macro]: String(
+        Math.round(
+          (calories * (parseFloat(split[macro]) || 0)) /
+            100 /
+            KCAL_PER_GRAM[macro]
+        )
+      ),
+    }),
+    {}
+  );
+};
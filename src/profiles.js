@@ -0,0 +1,57 @@
+// Profiles let several people share one device. Each profile has its own
+// budget, entries and settings (see storage.js for what is stored per
+// profile); the food library is shared. The default profile keeps the
+// storage keys the app used before profiles existed.
+
+export const DEFAULT_PROFILE_ID = "default";
+
+export const DEFAULT_PROFILES = {
+  list: [{ id: DEFAULT_PROFILE_ID, name: "" }],
+  selected: DEFAULT_PROFILE_ID,
+};
+
+export const createProfile = (name) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  name,
+});
+
+export const getProfile = (profiles, id) =>
+  profiles.list.find((profile) => profile.id === id) || null;
+
+// The name to show; profiles without one get a name in the interface's
+// language, "Me" for the default profile
+export const getProfileName = (profile, t) =>
+  profile.name.trim() ||
+  t(profile.id === DEFAULT_PROFILE_ID ? "profiles.me" : "profiles.unnamed");
+
+// Select a profile, falling back to the current selection or the first
+// profile when it doesn't exist
+export const selectProfile = (profiles, id) => {
+  if (getProfile(profiles, id)) return { ...profiles, selected: id };
+  if (getProfile(profiles, profiles.selected)) return profiles;
+  return { ...profiles, selected: profiles.list[0].id };
+};
+
+export const addProfile = (profiles, profile) => ({
+  list: [...profiles.list, profile],
+  selected: profile.id,
+});
+
+export const renameProfile = (profiles, id, name) => ({
+  ...profiles,
+  list: profiles.list.map((profile) =>
+    profile.id === id ? { ...profile, name } : profile
+  ),
+});
+
+// The last profile can't be removed
+export const removeProfile = (profiles, id) => {
+  if (profiles.list.length <= 1) return profiles;
+  return selectProfile(
+    {
+      ...profiles,
+      list: profiles.list.filter((profile) => profile.id !== id),
+    },
+    profiles.selected
+  );
+};
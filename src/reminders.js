@@ -0,0 +1,108 @@
+import {
+  DAYS,
+  createEmptyWeek,
+  getDayName,
+  getWeekKey,
+  toDateString,
+} from "./weeks";
+
+// Reminder settings and the page's side of reminder scheduling. The service
+// worker (src/service-worker.js) decides when a reminder is due and shows
+// it; the page hands it the settings plus a summary of what has been logged
+// on each day, and keeps that summary up to date.
+
+// Their names are in the translation catalogs, as "reminders.<condition>"
+export const REMINDER_CONDITIONS = ["always", "empty", "protein"];
+
+export const createReminderRule = (rule = {}) => ({
+  id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  time: "22:00",
+  days: [...DAYS],
+  condition: "empty",
+  proteinPercent: "50",
+  ...rule,
+});
+
+// Matches the reminder the app always had: 22:00 on days with nothing logged
+export const DEFAULT_REMINDERS = {
+  enabled: true,
+  rules: [
+    {
+      id: "default",
+      time: "22:00",
+      days: [...DAYS],
+      condition: "empty",
+      proteinPercent: "50",
+    },
+  ],
+};
+
+// What the service worker needs to know about today and the days after it,
+// as far ahead as it schedules reminders
+export const getReminderStatus = (
+  weeks,
+  isDayFilled,
+  getDayTarget,
+  today = new Date()
+) =>
+  DAYS.reduce((acc, _, offset) => {
+    const date = new Date(today);
+    date.setDate(date.getDate() + offset);
+    const day = getDayName(date);
+    const entry = { ...createEmptyWeek(), ...weeks[getWeekKey(date)] }[day];
+    acc[toDateString(date)] = {
+      filled: isDayFilled(entry),
+      protein: parseFloat(entry.protein) || 0,
+      proteinTarget: getDayTarget(day).protein,
+    };
+    return acc;
+  }, {});
+
+export const getNotificationPermission = () =>
+  "Notification" in window ? Notification.permission : "unsupported";
+
+// Send a profile's settings and day summary to the service worker, which
+// schedules the reminders of every profile that has them turned on. The ids
+// of all profiles let it forget profiles that were deleted, and the
+// interface language is the one reminders are written in. Periodic
+// background sync, where the browser offers it, lets the worker check for
+// due reminders while the app is closed.
+export const syncReminders = ({
+  profile,
+  profileIds,
+  settings,
+  status,
+  language,
+}) => {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => {
+      registration.active.postMessage({
+        type: "reminders",
+        profile,
+        profileIds,
+        settings,
+        status,
+        language,
+      });
+      if (settings.enabled && "periodicSync" in registration) {
+        return registration.periodicSync
+          .register("macro-reminders", { minInterval: 60 * 60 * 1000 })
+          .catch(() => {
+            // Not allowed unless the app is installed; reminders then only
+            // run while the app is open or where notification triggers exist
+          });
+      }
+    })
+    .catch((error) => console.error("Error syncing reminders:", error));
+};
+
+// Ask the service worker to show any reminders that are due now
+export const checkReminders = () => {
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) =>
+      registration.active.postMessage({ type: "check-reminders" })
+    )
+    .catch((error) => console.error("Error checking reminders:", error));
+};
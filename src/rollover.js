@@ -0,0 +1,70 @@
+import { getDayCalories } from "./stats";
+import { KCAL_PER_GRAM } from "./macroSplit";
+import { DAYS, createEmptyWeek, getPlanEntries, shiftWeek } from "./weeks";
+
+// Carry-over of calories from one week to the next. Last week's balance is
+// what its logged days were under (positive) or over (negative) their
+// targets; a rule decides how much of it moves into this week's budget.
+// Days that weren't logged don't count, and balances don't chain: only last
+// week's own days are looked at, not what it carried itself.
+
+// Their names are in the translation catalogs, as "rollover.<mode>"
+export const ROLLOVER_MODES = ["off", "all", "capped", "deficits"];
+
+export const DEFAULT_ROLLOVER = {
+  mode: "off",
+  cap: "500", // kcal, for "capped"
+};
+
+// Calories the logged days of a week were under (+) or over (-) target
+export const getWeekBalance = (week, isDayFilled, getDayTarget) => {
+  const entries = { ...createEmptyWeek(), ...week };
+  return DAYS.filter((day) => isDayFilled(entries[day])).reduce(
+    (sum, day) =>
+      sum + getDayTarget(day).calories - getDayCalories(entries[day]),
+    0
+  );
+};
+
+// How much of a balance the rule carries
+export const applyRolloverRule = (balance, { mode, cap }) => {
+  if (mode === "all") return balance;
+  if (mode === "capped") {
+    const limit = parseFloat(cap) || 0;
+    return Math.max(-limit, Math.min(limit, balance));
+  }
+  if (mode === "deficits") return Math.min(0, balance);
+  return 0;
+};
+
+// Calories and grams carried into a week. Carried calories are spread over
+// carbs and fat in the proportion they have in the weekly budget; protein
+// stays as planned. Weeks are plan weeks starting on `firstDay`.
+export const getCarryOver = ({
+  weeks,
+  weekKey,
+  firstDay,
+  settings,
+  weeklyBudget,
+  isDayFilled,
+  getDayTarget,
+}) => {
+  const previous = getPlanEntries(weeks, shiftWeek(weekKey, -1), firstDay);
+  const calories = Math.round(
+    applyRolloverRule(
+      getWeekBalance(previous, isDayFilled, getDayTarget),
+      settings
+    )
+  );
+
+  const carbsKcal = weeklyBudget.carbs * KCAL_PER_GRAM.carbs;
+  const fatKcal = weeklyBudget.fat * KCAL_PER_GRAM.fat;
+  const carbsShare =
+    carbsKcal + fatKcal > 0 ? carbsKcal / (carbsKcal + fatKcal) : 0.5;
+  return {
+    calories,
+    carbs: Math.round((calories * carbsShare) / KCAL_PER_GRAM.carbs),
+    protein: 0,
+    fat: Math.round((calories * (1 - carbsShare)) / KCAL_PER_GRAM.fat),
+  };
+};
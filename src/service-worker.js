@@ -0,0 +1,297 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker for Macros Calculator. It is compiled with the production
+// build (react-scripts picks up src/service-worker.js), which replaces
+// self.__WB_MANIFEST with the list of built files and their revisions.
+// Hashed assets are served from that precache; the app shell is served
+// stale-while-revalidate so a new deployment shows up on the next load.
+// A new worker waits until the app asks it to take over ("SKIP_WAITING"),
+// which the app does when the user accepts the update prompt.
+
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import {
+  cleanupOutdatedCaches,
+  matchPrecache,
+  precacheAndRoute,
+} from "workbox-precaching";
+import { registerRoute, setCatchHandler } from "workbox-routing";
+import { StaleWhileRevalidate } from "workbox-strategies";
+import { getDayName, toDateString } from "./weeks";
+import { formatDayName, getLocale, translate } from "./locales";
+
+clientsClaim();
+cleanupOutdatedCaches();
+precacheAndRoute(self.__WB_MANIFEST);
+
+// The app shell: page navigations, plus files from public/ that aren't
+// hashed (manifest and icons)
+registerRoute(
+  ({ request }) => request.mode === "navigate",
+  new StaleWhileRevalidate({ cacheName: "app-shell" })
+);
+registerRoute(
+  ({ request, url }) =>
+    url.origin === self.location.origin &&
+    ["manifest", "image"].includes(request.destination) &&
+    !url.pathname.startsWith("/static/"),
+  new StaleWhileRevalidate({
+    cacheName: "public-files",
+    plugins: [new ExpirationPlugin({ maxEntries: 20 })],
+  })
+);
+
+// Offline and not cached yet: fall back to the precached index.html
+setCatchHandler(({ request }) =>
+  request.mode === "navigate"
+    ? matchPrecache(`${process.env.PUBLIC_URL}/index.html`)
+    : Response.error()
+);
+
+// Reminders. For each profile the app sends its reminder settings and a
+// summary of what has been logged per day ("reminders" message); these are
+// kept in IndexedDB so they are still there when the worker is started
+// again later. Only profiles with reminders turned on get any. Where the
+// browser supports notification triggers, upcoming reminders are scheduled
+// ahead of time. Otherwise due reminders are shown when the worker is woken
+// by a periodic sync or by the open app ("check-reminders" message).
+const DB_NAME = "macro-budget";
+const STORE_NAME = "reminders";
+const SCHEDULE_DAYS = 7;
+
+const openDb = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () =>
+      request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const dbRequest = (mode, run) =>
+  openDb().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const request = run(
+          db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)
+        );
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      })
+  );
+
+const dbGet = (key) => dbRequest("readonly", (store) => store.get(key));
+const dbSet = (key, value) =>
+  dbRequest("readwrite", (store) => store.put(value, key));
+
+// When a rule fires on the given date
+const getRuleTime = (rule, date) => {
+  const [hours, minutes] = rule.time.split(":").map(Number);
+  const time = new Date(date);
+  time.setHours(hours, minutes, 0, 0);
+  return time;
+};
+
+// Notification text for a rule on a day in the given language, or null if
+// its condition isn't met. Days the app has sent nothing for count as empty.
+const getReminderMessage = (rule, date, status, language) => {
+  const dayName = formatDayName(getDayName(date), getLocale(language));
+  const day = status[toDateString(date)] || {
+    filled: false,
+    protein: 0,
+    proteinTarget: 0,
+  };
+  if (rule.condition === "empty") {
+    return day.filled
+      ? null
+      : translate(language, "reminders.message.empty", { day: dayName });
+  }
+  if (rule.condition === "protein") {
+    const percent = parseFloat(rule.proteinPercent) || 0;
+    if (
+      !day.proteinTarget ||
+      day.protein >= (day.proteinTarget * percent) / 100
+    ) {
+      return null;
+    }
+    return translate(language, "reminders.message.protein", {
+      day: dayName,
+      protein: Math.round(day.protein),
+      target: Math.round(day.proteinTarget),
+    });
+  }
+  return translate(language, "reminders.message.always", { day: dayName });
+};
+
+// The profile's name is only shown when there is more than one
+const showReminder = (
+  profile,
+  named,
+  rule,
+  date,
+  body,
+  language,
+  showTrigger
+) => {
+  const dateString = toDateString(date);
+  const options = {
+    body,
+    icon: "/icon-block.svg",
+    badge: "/icon-block.svg",
+    vibrate: [200, 100, 200],
+    tag: `macro-reminder-${profile.id}-${rule.id}-${dateString}`,
+    data: { date: dateString, profile: profile.id, scheduled: !!showTrigger },
+    actions: [
+      { action: "log", title: translate(language, "reminders.logNow") },
+    ],
+  };
+  if (showTrigger) options.showTrigger = showTrigger;
+  return self.registration.showNotification(
+    named
+      ? translate(language, "reminders.titleFor", { name: profile.name })
+      : translate(language, "reminders.title"),
+    options
+  );
+};
+
+const supportsTriggers = () =>
+  "TimestampTrigger" in self && "showTrigger" in Notification.prototype;
+
+// Stored reminder state of every profile, by profile id
+const getProfiles = async () => (await dbGet("profiles")) || {};
+
+// Store what the app sent for one profile, dropping deleted profiles. Each
+// profile keeps the language its reminders were last sent in.
+const updateProfiles = async ({
+  profile,
+  profileIds,
+  settings,
+  status,
+  language,
+}) => {
+  const stored = await getProfiles();
+  const profiles = profileIds.reduce((acc, id) => {
+    if (stored[id]) acc[id] = stored[id];
+    return acc;
+  }, {});
+  profiles[profile.id] = { ...profile, settings, status, language };
+  await dbSet("profiles", profiles);
+  return profiles;
+};
+
+// Replace the scheduled reminders with ones for the coming days
+const scheduleReminders = async (profiles) => {
+  const pending = await self.registration.getNotifications({
+    includeTriggered: true,
+  });
+  pending
+    .filter((notification) => notification.data && notification.data.scheduled)
+    .forEach((notification) => notification.close());
+
+  const named = Object.keys(profiles).length > 1;
+  const now = new Date();
+  const reminders = [];
+  Object.values(profiles)
+    .filter(({ settings }) => settings.enabled)
+    .forEach(({ settings, status, language = "en", ...profile }) => {
+      for (let offset = 0; offset < SCHEDULE_DAYS; offset++) {
+        const date = new Date(now);
+        date.setDate(date.getDate() + offset);
+        settings.rules
+          .filter((rule) => rule.days.includes(getDayName(date)))
+          .forEach((rule) => {
+            const time = getRuleTime(rule, date);
+            const body = getReminderMessage(rule, date, status, language);
+            if (time > now && body) {
+              reminders.push(
+                showReminder(
+                  profile,
+                  named,
+                  rule,
+                  date,
+                  body,
+                  language,
+                  new self.TimestampTrigger(time.getTime())
+                )
+              );
+            }
+          });
+      }
+    });
+  await Promise.all(reminders);
+};
+
+// Show today's reminders that are due and haven't been shown yet
+const checkReminders = async () => {
+  const profiles = await getProfiles();
+  const named = Object.keys(profiles).length > 1;
+  const now = new Date();
+  const today = toDateString(now);
+  const shown = ((await dbGet("shown")) || []).filter((key) =>
+    key.endsWith(today)
+  );
+  const reminders = [];
+  Object.values(profiles)
+    .filter(({ settings }) => settings.enabled)
+    .forEach(({ settings, status, language = "en", ...profile }) => {
+      settings.rules
+        .filter(
+          (rule) =>
+            rule.days.includes(getDayName(now)) &&
+            getRuleTime(rule, now) <= now &&
+            !shown.includes(`${profile.id}-${rule.id}-${today}`)
+        )
+        .forEach((rule) => {
+          shown.push(`${profile.id}-${rule.id}-${today}`);
+          const body = getReminderMessage(rule, now, status, language);
+          if (body) {
+            reminders.push(
+              showReminder(profile, named, rule, now, body, language)
+            );
+          }
+        });
+    });
+  await dbSet("shown", shown);
+  await Promise.all(reminders);
+};
+
+self.addEventListener("message", (event) => {
+  const { type } = event.data || {};
+  if (type === "SKIP_WAITING") {
+    self.skipWaiting();
+  } else if (type === "reminders") {
+    event.waitUntil(
+      updateProfiles(event.data).then((profiles) =>
+        supportsTriggers() ? scheduleReminders(profiles) : checkReminders()
+      )
+    );
+  } else if (type === "check-reminders" && !supportsTriggers()) {
+    event.waitUntil(checkReminders());
+  }
+});
+
+self.addEventListener("periodicsync", (event) => {
+  if (event.tag === "macro-reminders" && !supportsTriggers()) {
+    event.waitUntil(checkReminders());
+  }
+});
+
+// Opening a reminder goes to its profile and day: an open window is focused
+// and told which day to show, otherwise the app opens with both in the URL
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const { date, profile } = event.notification.data || {};
+  const url = `${process.env.PUBLIC_URL}/${
+    date ? `?day=${date}${profile ? `&profile=${profile}` : ""}` : ""
+  }`;
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window", includeUncontrolled: true })
+      .then((windowClients) => {
+        const client = windowClients[0];
+        if (!client) return self.clients.openWindow(url);
+        if (date) client.postMessage({ type: "open-day", date, profile });
+        return client.focus();
+      })
+  );
+});
@@ -0,0 +1,78 @@
+// Registration of the service worker (src/service-worker.js), which only
+// exists in production builds. When a new version has been installed and is
+// waiting, subscribers are told so the app can offer to reload.
+
+let waitingWorker = null;
+const listeners = new Set();
+
+const setWaitingWorker = (worker) => {
+  waitingWorker = worker;
+  listeners.forEach((listener) => listener(worker));
+};
+
+// Call `listener` with the waiting worker when an update is ready; returns a
+// function that unsubscribes
+export const subscribeToUpdates = (listener) => {
+  listeners.add(listener);
+  if (waitingWorker) listener(waitingWorker);
+  return () => listeners.delete(listener);
+};
+
+// Let the waiting worker take over and reload once it controls the page
+export const applyUpdate = (worker) => {
+  navigator.serviceWorker.addEventListener("controllerchange", () =>
+    window.location.reload()
+  );
+  worker.postMessage({ type: "SKIP_WAITING" });
+};
+
+const watchForUpdates = (registration) => {
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    setWaitingWorker(registration.waiting);
+  }
+  registration.addEventListener("updatefound", () => {
+    const installing = registration.installing;
+    if (!installing) return;
+    installing.addEventListener("statechange", () => {
+      // Without a controller this is the first install, not an update
+      if (
+        installing.state === "installed" &&
+        navigator.serviceWorker.controller
+      ) {
+        setWaitingWorker(installing);
+      }
+    });
+  });
+
+  // Look for a new version whenever the app comes back into view
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") {
+      registration.update().catch(() => {
+        // Offline; try again next time
+      });
+    }
+  });
+};
+
+export const register = () => {
+  if (
+    process.env.NODE_ENV !== "production" ||
+    !("serviceWorker" in navigator)
+  ) {
+    return;
+  }
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then((registration) => {
+        console.log(
+          "ServiceWorker registration successful:",
+          registration.scope
+        );
+        watchForUpdates(registration);
+      })
+      .catch((error) => {
+        console.log("ServiceWorker registration failed:", error);
+      });
+  });
+};
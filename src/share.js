@@ -0,0 +1,156 @@
+import { TOTAL_FIELDS, calculateWeek } from "./budget";
+import { validateBudget, validateEntry } from "./validation";
+import { DAYS, createEmptyWeek, getPlanDays, isWeekKey } from "./weeks";
+
+// Read-only sharing of a week without accounts or a server. The week's
+// budget and entries are packed into the URL fragment (#share=...), which
+// browsers never send to a server; opening such a link shows the week
+// instead of the tracker. The packed text is plain and URL-safe:
+//
+//   version ~ week ~ budget ~ training budget ~ training days ~ carried
+//     ~ Monday ~ ... ~ Sunday
+//
+// with the values of each section separated by commas, trailing empty
+// values left out, and training days as digits (0 = Monday). A plan week
+// that doesn't start on Monday has its first day added to the week as a
+// digit too ("2026-W43.6" starts on Sunday); the days stay Monday first.
+
+const SHARE_VERSION = "1";
+const SHARE_PREFIX = "#share=";
+
+const BUDGET_FIELDS = ["carbs", "protein", "fat"];
+const CARRIED_FIELDS = ["calories", "carbs", "protein", "fat"];
+const SHARED_ENTRY_FIELDS = ["calories", "carbs", "protein", "fat", "weight"];
+
+const packValues = (object, fields) => {
+  const values = fields.map((field) =>
+    object[field] === undefined ? "" : String(object[field])
+  );
+  while (values.length > 0 && values[values.length - 1] === "") values.pop();
+  return values.join(",");
+};
+
+const unpackValues = (text, fields) => {
+  const values = text.split(",");
+  return fields.reduce((acc, field, i) => {
+    acc[field] = values[i] || "";
+    return acc;
+  }, {});
+};
+
+export const encodeShare = ({
+  weekKey,
+  firstDay = "Monday",
+  dailyBudget,
+  dayTargets,
+  carried,
+  entries,
+}) => {
+  const training = dayTargets.enabled && dayTargets.trainingBudget;
+  const hasCarried = CARRIED_FIELDS.some((field) => carried[field]);
+  const start = DAYS.indexOf(firstDay);
+  return [
+    SHARE_VERSION,
+    start > 0 ? `${weekKey}.${start}` : weekKey,
+    packValues(dailyBudget, BUDGET_FIELDS),
+    training ? packValues(dayTargets.trainingBudget, BUDGET_FIELDS) : "",
+    training
+      ? dayTargets.trainingDays.map((day) => DAYS.indexOf(day)).join("")
+      : "",
+    hasCarried ? packValues(carried, CARRIED_FIELDS) : "",
+    ...DAYS.map((day) => packValues(entries[day], SHARED_ENTRY_FIELDS)),
+  ].join("~");
+};
+
+// The shared week, or null when the text isn't a valid share
+export const decodeShare = (text) => {
+  const sections = text.split("~");
+  if (sections[0] !== SHARE_VERSION || sections.length !== 6 + DAYS.length) {
+    return null;
+  }
+  const [, week, budget, training, trainingDays, carried, ...days] = sections;
+  const [weekKey, start = "0"] = week.split(".");
+  if (
+    !isWeekKey(weekKey) ||
+    !/^[0-6]$/.test(start) ||
+    !/^[0-6]*$/.test(trainingDays)
+  ) {
+    return null;
+  }
+  try {
+    const dailyBudget = validateBudget(unpackValues(budget, BUDGET_FIELDS));
+    const carriedValues = unpackValues(carried, CARRIED_FIELDS);
+    return {
+      weekKey,
+      firstDay: DAYS[start],
+      dailyBudget,
+      dayTargets: {
+        enabled: training !== "",
+        trainingBudget: training
+          ? validateBudget(unpackValues(training, BUDGET_FIELDS))
+          : null,
+        trainingDays: [...trainingDays].map((index) => DAYS[index]),
+      },
+      carried: CARRIED_FIELDS.reduce((acc, field) => {
+        acc[field] = parseFloat(carriedValues[field]) || 0;
+        return acc;
+      }, {}),
+      entries: DAYS.reduce((acc, day, i) => {
+        acc[day] = validateEntry(
+          unpackValues(days[i], SHARED_ENTRY_FIELDS),
+          day
+        );
+        return acc;
+      }, createEmptyWeek()),
+    };
+  } catch (e) {
+    return null;
+  }
+};
+
+export const getShareLink = (shared) =>
+  `${window.location.origin}${
+    window.location.pathname
+  }${SHARE_PREFIX}${encodeShare(shared)}`;
+
+// The week shared in the current URL, if any; null for links that were cut
+// short or mangled
+export const readSharedWeek = () => {
+  const { hash } = window.location;
+  if (!hash.startsWith(SHARE_PREFIX)) return null;
+  try {
+    return decodeShare(decodeURIComponent(hash.slice(SHARE_PREFIX.length)));
+  } catch (e) {
+    return null;
+  }
+};
+
+// Targets, totals and what's left of a shared week, the way the tracker
+// works them out (see budget.js). The budget includes what was carried over.
+// Days are in the order of the plan week.
+export const getShareSummary = ({
+  firstDay = "Monday",
+  dailyBudget,
+  dayTargets,
+  carried,
+  entries,
+}) => {
+  const week = calculateWeek({
+    entries,
+    budgets: { dailyBudget, dayTargets },
+    carried,
+  });
+  return {
+    days: getPlanDays(firstDay).map((day) => ({
+      day,
+      entry: entries[day],
+      target: week.targets[day],
+    })),
+    budget: TOTAL_FIELDS.reduce((acc, field) => {
+      acc[field] = week.weeklyBudget[field] + carried[field];
+      return acc;
+    }, {}),
+    totals: week.totals,
+    remaining: week.remaining,
+  };
+};
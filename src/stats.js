@@ -0,0 +1,150 @@
+import { getMacroCalories } from "./calorieCheck";
+import { MACRO_FIELDS } from "./foodLog";
+import {
+  DAYS,
+  createEmptyWeek,
+  getDayName,
+  getPlanDays,
+  getPlanEntries,
+  getWeekKey,
+  getWeekStartFromKey,
+  shiftWeek,
+} from "./weeks";
+
+// Numbers for the Stats view: per-day intake against targets, adherence,
+// rolling averages and logging streaks. Targets come from the current budget
+// settings, also for past weeks, since earlier budgets aren't kept.
+
+// A logged day is on target when its calories are within this share of the
+// day's calorie target
+export const ADHERENCE_TOLERANCE = 10; // percent
+
+export const AVERAGE_WEEKS = 4;
+
+// Calories of a day: as typed, or implied by the macros when left blank
+export const getDayCalories = (entry) =>
+  parseFloat(entry.calories) > 0
+    ? parseFloat(entry.calories)
+    : getMacroCalories(entry);
+
+const getDayValues = (entry) =>
+  MACRO_FIELDS.reduce((acc, field) => {
+    acc[field] =
+      field === "calories"
+        ? getDayCalories(entry)
+        : parseFloat(entry[field]) || 0;
+    return acc;
+  }, {});
+
+// Intake and target per day of a week, with the days in the given order
+export const getWeekDays = (week, isDayFilled, getDayTarget, days = DAYS) => {
+  const entries = { ...createEmptyWeek(), ...week };
+  return days.map((day) => ({
+    day,
+    filled: isDayFilled(entries[day]),
+    values: getDayValues(entries[day]),
+    target: getDayTarget(day),
+  }));
+};
+
+const isOnTarget = ({ values, target }) =>
+  target.calories > 0 &&
+  Math.abs(values.calories - target.calories) <=
+    (target.calories * ADHERENCE_TOLERANCE) / 100;
+
+// Share of the logged days of a week that were on target
+export const getAdherence = (days) => {
+  const logged = days.filter((day) => day.filled);
+  const onTarget = logged.filter(isOnTarget).length;
+  return {
+    logged: logged.length,
+    onTarget,
+    percent:
+      logged.length > 0 ? Math.round((onTarget / logged.length) * 100) : null,
+  };
+};
+
+// Average daily intake over the logged days of the given weeks, with the
+// average daily target for comparison
+const averageDays = (days) => {
+  const logged = days.filter((day) => day.filled);
+  return MACRO_FIELDS.reduce(
+    (acc, field) => {
+      acc.values[field] =
+        logged.length > 0
+          ? Math.round(
+              logged.reduce((sum, day) => sum + day.values[field], 0) /
+                logged.length
+            )
+          : null;
+      acc.target[field] = Math.round(
+        days.reduce((sum, day) => sum + day.target[field], 0) / days.length
+      );
+      return acc;
+    },
+    { logged: logged.length, values: {}, target: {} }
+  );
+};
+
+// Each of the last AVERAGE_WEEKS plan weeks up to `weekKey`, oldest first,
+// plus the average over all of them
+export const getRollingAverages = (
+  weeks,
+  weekKey,
+  isDayFilled,
+  getDayTarget,
+  firstDay = "Monday"
+) => {
+  const weekKeys = [];
+  for (let offset = AVERAGE_WEEKS - 1; offset >= 0; offset--) {
+    weekKeys.push(shiftWeek(weekKey, -offset));
+  }
+  const daysByWeek = weekKeys.map((key) =>
+    getWeekDays(
+      getPlanEntries(weeks, key, firstDay),
+      isDayFilled,
+      getDayTarget,
+      getPlanDays(firstDay)
+    )
+  );
+  return {
+    weeks: weekKeys.map((key, index) => ({
+      weekKey: key,
+      ...averageDays(daysByWeek[index]),
+    })),
+    average: averageDays(daysByWeek.flat()),
+  };
+};
+
+// Runs of consecutive logged days. The current streak still counts when
+// today hasn't been logged yet, as the day isn't over.
+export const getStreaks = (weeks, isDayFilled, today = new Date()) => {
+  const isFilled = (date) => {
+    const week = weeks[getWeekKey(date)];
+    const entry = week && week[getDayName(date)];
+    return !!entry && isDayFilled(entry);
+  };
+
+  const weekKeys = Object.keys(weeks).sort();
+  if (weekKeys.length === 0) return { current: 0, longest: 0 };
+
+  let longest = 0;
+  let run = 0;
+  const date = getWeekStartFromKey(weekKeys[0]);
+  const end = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  while (date <= end) {
+    run = isFilled(date) ? run + 1 : 0;
+    longest = Math.max(longest, run);
+    date.setDate(date.getDate() + 1);
+  }
+
+  let current = 0;
+  const day = new Date(end);
+  if (!isFilled(day)) day.setDate(day.getDate() - 1);
+  while (isFilled(day)) {
+    current++;
+    day.setDate(day.getDate() - 1);
+  }
+
+  return { current, longest };
+};
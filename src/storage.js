@@ -0,0 +1,306 @@
+import { translate } from "./locales";
+import { getWeekKey } from "./weeks";
+import {
+  dataError,
+  expectArray,
+  expectObject,
+  isObject,
+  validateBudget,
+  validateBudgetInputMode,
+  validateBudgetReview,
+  validateCalorieCheck,
+  validateDayLimits,
+  validateDayTargets,
+  validateEditStamps,
+  validateFoods,
+  validateImportMappings,
+  validateProfiles,
+  validateReminders,
+  validateRollover,
+  validateSync,
+  validateUnits,
+  validateWeeks,
+} from "./validation";
+import { DEFAULT_PROFILE_ID } from "./profiles";
+
+// All persistence goes through this module. Stored data carries a schema
+// version; on load, migrations bring older data up to date one version at a
+// time, then every value is validated. Values that can't be read are moved to
+// a quarantine key instead of being thrown away, so they can be reported to
+// the user and recovered by hand. Most values are kept per profile; shared
+// ones are the same for every profile on the device.
+
+export const SCHEMA_VERSION = 1;
+
+const VERSION_KEY = "macroSchemaVersion";
+const QUARANTINE_KEY = "macroQuarantine";
+
+// Stored values: localStorage key, validator and whether the value is shared
+// by all profiles. The user knows them by "storage.value.<name>" in the
+// translation catalogs. Validators get a second
+// argument, `setAside(error, part)`, to quarantine part of a value and keep
+// the rest; weeks use it so one bad day doesn't hide every other.
+const VALUES = {
+  profiles: {
+    key: "macroProfiles",
+    validate: validateProfiles,
+    shared: true,
+  },
+  locale: {
+    key: "macroLocale",
+    validate: (value) => expectObject(value),
+    shared: true,
+  },
+  dailyBudget: {
+    key: "macroDailyBudget",
+    validate: validateBudget,
+  },
+  weeks: {
+    key: "macroWeeks",
+    validate: (value, setAside) => validateWeeks(value, setAside),
+  },
+  dayTargets: {
+    key: "macroDayTargets",
+    validate: validateDayTargets,
+  },
+  bodyProfile: {
+    key: "macroBodyProfile",
+    validate: (value) => expectObject(value),
+  },
+  budgetInputMode: {
+    key: "macroBudgetInputMode",
+    validate: validateBudgetInputMode,
+  },
+  calorieCheck: {
+    key: "macroCalorieCheck",
+    validate: validateCalorieCheck,
+  },
+  units: {
+    key: "macroUnits",
+    validate: validateUnits,
+  },
+  foods: {
+    key: "macroFoods",
+    validate: validateFoods,
+    shared: true,
+  },
+  importMappings: {
+    key: "macroImportMappings",
+    validate: validateImportMappings,
+    shared: true,
+  },
+  reminders: {
+    key: "macroReminders",
+    validate: validateReminders,
+  },
+  dayLimits: {
+    key: "macroDayLimits",
+    validate: validateDayLimits,
+  },
+  rollover: {
+    key: "macroRollover",
+    validate: validateRollover,
+  },
+  budgetReview: {
+    key: "macroBudgetReview",
+    validate: validateBudgetReview,
+  },
+  sync: {
+    key: "macroSync",
+    validate: validateSync,
+  },
+  editStamps: {
+    key: "macroEditStamps",
+    validate: validateEditStamps,
+  },
+  clearSnapshots: {
+    key: "macroClearSnapshots",
+    validate: (value) => expectArray(value),
+  },
+};
+
+// The default profile uses the keys from before there were profiles; other
+// profiles add their id
+const getKey = (name, profileId) => {
+  const { key, shared } = VALUES[name];
+  return shared || profileId === DEFAULT_PROFILE_ID
+    ? key
+    : `${key}:${profileId}`;
+};
+
+// Raw localStorage access
+const readRaw = (key) => {
+  try {
+    return localStorage.getItem(key);
+  } catch (e) {
+    console.error("Error reading from localStorage:", e);
+    return null;
+  }
+};
+
+// Returns whether the value was written; it isn't when storage is full
+const writeRaw = (key, value) => {
+  try {
+    localStorage.setItem(key, value);
+    return true;
+  } catch (e) {
+    console.error("Error saving to localStorage:", e);
+    return false;
+  }
+};
+
+const removeRaw = (key) => {
+  try {
+    localStorage.removeItem(key);
+  } catch (e) {
+    console.error("Error removing from localStorage:", e);
+  }
+};
+
+const readJson = (key) => {
+  const raw = readRaw(key);
+  return raw === null ? null : JSON.parse(raw);
+};
+
+export const getQuarantine = () => {
+  try {
+    return readJson(QUARANTINE_KEY) || [];
+  } catch (e) {
+    return [];
+  }
+};
+
+export const clearQuarantine = () => removeRaw(QUARANTINE_KEY);
+
+// Move a value that can't be used out of the way, keeping the raw text.
+// With `part` given only that part is set aside and the value stays. The
+// label and reason are kept in English for the downloaded copy; `name` and
+// `error` let the report show them in the interface's language.
+const quarantine = (key, name, error, part) => {
+  const raw = part === undefined ? readRaw(key) : JSON.stringify(part);
+  const item = {
+    key,
+    name,
+    label: translate("en", `storage.value.${name}`),
+    reason: error.message,
+    error: error.key ? { key: error.key, params: error.params } : null,
+    raw,
+    quarantinedAt: new Date().toISOString(),
+  };
+  writeRaw(QUARANTINE_KEY, JSON.stringify([...getQuarantine(), item]));
+  if (part === undefined) removeRaw(key);
+};
+
+// Migrations by the version they upgrade to, applied in order. Each one works
+// on localStorage directly and must leave readable data behind.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Drop stored budget calories; keep weeks by ISO week",
+    migrate: () => {
+      // Calories are calculated from the macros, not stored
+      const budget = readJson("macroDailyBudget");
+      if (isObject(budget) && "calories" in budget) {
+        const { calories, ...rest } = budget;
+        writeRaw("macroDailyBudget", JSON.stringify(rest));
+      }
+      // The single rolling week becomes the current ISO week
+      let legacy;
+      try {
+        legacy = readJson("macroWeeklyEntries");
+      } catch (e) {
+        quarantine("macroWeeklyEntries", "weeks", dataError("storage.notJson"));
+        return;
+      }
+      if (legacy && readRaw("macroWeeks") === null) {
+        writeRaw("macroWeeks", JSON.stringify({ [getWeekKey()]: legacy }));
+      }
+      removeRaw("macroWeeklyEntries");
+    },
+  },
+];
+
+export const getStoredVersion = () => {
+  const version = parseInt(readRaw(VERSION_KEY), 10);
+  if (!isNaN(version)) return version;
+  // Data written before versioning started counts as version 0
+  const hasData = Object.values(VALUES).some(
+    ({ key }) => readRaw(key) !== null
+  );
+  return hasData || readRaw("macroWeeklyEntries") !== null ? 0 : SCHEMA_VERSION;
+};
+
+// Bring stored data up to the current schema version
+export const migrateStorage = () => {
+  const from = getStoredVersion();
+  MIGRATIONS.filter(({ version }) => version > from).forEach(
+    ({ version, description, migrate }) => {
+      try {
+        migrate();
+      } catch (e) {
+        // Continue with whatever is readable; validation quarantines the rest
+        console.error(
+          `Migration to version ${version} failed (${description}):`,
+          e
+        );
+      }
+      writeRaw(VERSION_KEY, String(version));
+    }
+  );
+  writeRaw(VERSION_KEY, String(SCHEMA_VERSION));
+};
+
+// Read and validate one stored value. Returns null when it is missing or
+// unreadable; unreadable values are quarantined. When only parts were set
+// aside, the rest is saved back so they aren't reported again.
+export const loadStoredValue = (name, profileId = DEFAULT_PROFILE_ID) => {
+  const { validate } = VALUES[name];
+  const key = getKey(name, profileId);
+  let value;
+  try {
+    value = readJson(key);
+  } catch (e) {
+    quarantine(key, name, dataError("storage.notJson"));
+    return null;
+  }
+  if (value === null) return null;
+  let setAside = false;
+  try {
+    const valid = validate(value, (error, part) => {
+      quarantine(key, name, error, part);
+      setAside = true;
+    });
+    if (setAside) writeRaw(key, JSON.stringify(valid));
+    return valid;
+  } catch (e) {
+    quarantine(key, name, e);
+    return null;
+  }
+};
+
+// Migrate, then read and validate every value of a profile, plus the shared
+// ones. Missing values are left out of the result; unreadable ones are
+// quarantined.
+export const loadStoredState = (profileId = DEFAULT_PROFILE_ID) => {
+  migrateStorage();
+  return Object.keys(VALUES).reduce((acc, name) => {
+    const value = loadStoredValue(name, profileId);
+    if (value !== null) acc[name] = value;
+    return acc;
+  }, {});
+};
+
+// Returns whether the value could be saved
+export const saveStoredValue = (name, value, profileId = DEFAULT_PROFILE_ID) =>
+  writeRaw(getKey(name, profileId), JSON.stringify(value));
+
+export const removeStoredValue = (name, profileId = DEFAULT_PROFILE_ID) => {
+  removeRaw(getKey(name, profileId));
+};
+
+// Remove everything stored for a profile that is deleted
+export const removeProfileData = (profileId) => {
+  Object.keys(VALUES)
+    .filter((name) => !VALUES[name].shared)
+    .forEach((name) => removeStoredValue(name, profileId));
+};
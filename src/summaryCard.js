@@ -0,0 +1,150 @@
+import { downloadFile } from "./dataTransfer";
+import { getShareSummary } from "./share";
+import { toEnergyUnit } from "./units";
+import { DAYS, formatWeekRange } from "./weeks";
+
+// A PNG image of a week's summary, drawn on a canvas in the browser so it
+// works offline and nothing is uploaded anywhere. Its texts come from the
+// interface's translation helpers (see i18n.js); energy is in the unit of
+// the unit settings.
+
+const WIDTH = 720;
+const PADDING = 32;
+const ROW_HEIGHT = 36;
+const SCALE = 2; // sharp on high-density screens
+
+const COLUMNS = [
+  { field: "day", label: "field.day", x: PADDING },
+  { field: "calories", label: "field.calories", x: 220 }, // plus the unit
+  { field: "carbs", label: "stats.carbs", x: 340 },
+  { field: "protein", label: "stats.protein", x: 450 },
+  { field: "fat", label: "stats.fat", x: 560 },
+];
+
+const formatAmount = (value, field, units) =>
+  field === "calories"
+    ? String(Math.round(toEnergyUnit(value, units.energy)))
+    : `${Math.round(value)}g`;
+
+const drawRow = (context, y, values, { bold = false, color = "#333" } = {}) => {
+  context.font = `${bold ? "600" : "400"} 16px sans-serif`;
+  context.fillStyle = color;
+  COLUMNS.forEach(({ field, x }) => {
+    if (values[field] !== undefined) context.fillText(values[field], x, y);
+  });
+};
+
+// Resolves with the image, or null where the browser can't draw it
+export const createSummaryCard = ({ summary, weekLabel, units, t, dayName }) =>
+  new Promise((resolve) => {
+    const canvas = document.createElement("canvas");
+    const context = canvas.getContext && canvas.getContext("2d");
+    if (!context) {
+      resolve(null);
+      return;
+    }
+
+    const height = 120 + ROW_HEIGHT * (DAYS.length + 5) + PADDING;
+    canvas.width = WIDTH * SCALE;
+    canvas.height = height * SCALE;
+    context.scale(SCALE, SCALE);
+    context.textBaseline = "middle";
+
+    context.fillStyle = "white";
+    context.fillRect(0, 0, WIDTH, height);
+    const gradient = context.createLinearGradient(0, 0, WIDTH, 90);
+    gradient.addColorStop(0, "#667eea");
+    gradient.addColorStop(1, "#764ba2");
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, WIDTH, 90);
+    context.fillStyle = "white";
+    context.font = "700 26px sans-serif";
+    context.fillText(t("app.title"), PADDING, 34);
+    context.font = "400 16px sans-serif";
+    context.fillText(weekLabel, PADDING, 66);
+
+    let y = 120;
+    drawRow(
+      context,
+      y,
+      COLUMNS.reduce((acc, { field, label }) => {
+        acc[field] = t(
+          field === "calories" ? `${label}.${units.energy}` : label
+        );
+        return acc;
+      }, {}),
+      { bold: true, color: "#555" }
+    );
+
+    summary.days.forEach(({ day, entry }, i) => {
+      y += ROW_HEIGHT;
+      if (i % 2 === 0) {
+        context.fillStyle = "#f8f9fa";
+        context.fillRect(
+          PADDING / 2,
+          y - ROW_HEIGHT / 2,
+          WIDTH - PADDING,
+          ROW_HEIGHT
+        );
+      }
+      drawRow(
+        context,
+        y,
+        COLUMNS.reduce(
+          (acc, { field }) => {
+            if (field !== "day") {
+              acc[field] = entry[field]
+                ? formatAmount(entry[field], field, units)
+                : "–";
+            }
+            return acc;
+          },
+          { day: dayName(day) }
+        )
+      );
+    });
+
+    y += ROW_HEIGHT / 2;
+    context.fillStyle = "#e0e0e0";
+    context.fillRect(PADDING, y, WIDTH - PADDING * 2, 2);
+
+    const summaryRow = (label, values, options) => {
+      y += ROW_HEIGHT;
+      drawRow(
+        context,
+        y,
+        COLUMNS.reduce(
+          (acc, { field }) => {
+            if (field !== "day")
+              acc[field] = formatAmount(values[field], field, units);
+            return acc;
+          },
+          { day: label }
+        ),
+        options
+      );
+    };
+    summaryRow(t("share.eaten"), summary.totals, { bold: true });
+    summaryRow(t("share.budget"), summary.budget);
+    summaryRow(t("share.remaining"), summary.remaining, {
+      bold: true,
+      color: summary.remaining.calories < 0 ? "#dc3545" : "#28a745",
+    });
+
+    canvas.toBlob(resolve, "image/png");
+  });
+
+// Save the summary card of a shared week; resolves with whether it could be
+// made
+export const downloadSummaryCard = (shared, units, { t, locale, dayName }) =>
+  createSummaryCard({
+    summary: getShareSummary(shared),
+    weekLabel: formatWeekRange(shared.weekKey, shared.firstDay, locale),
+    units,
+    t,
+    dayName,
+  }).then((image) => {
+    if (!image) return false;
+    downloadFile(`macros-${shared.weekKey}.png`, image, "image/png");
+    return true;
+  });
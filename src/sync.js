@@ -0,0 +1,345 @@
+import {
+  dataError,
+  expectObject,
+  isObject,
+  validateBudget,
+  validateBudgetInputMode,
+  validateCalorieCheck,
+  validateDayLimits,
+  validateDayTargets,
+  validateEntry,
+  validateRollover,
+} from "./validation";
+import { DAYS, createEmptyWeek } from "./weeks";
+
+// Optional sync with a self-hosted server (a reference server is in
+// server/sync-server.js). Every day of every week is a record stamped with
+// when it was last edited, and the settings are one more record. A side
+// that hasn't changed a record since the last sync takes the other side's;
+// when both changed it, the later edit wins and the pair is reported as a
+// conflict, so the other version can still be picked by hand.
+//
+// The endpoint holds one profile's data:
+//   GET  -> { days: { "2026-W43/Monday": record }, settings: record | null }
+//   PUT  <- { days: { key: record }, settings?: record }, answers like GET
+// where a record is { entry | value, updatedAt (ms), device }. The server
+// keeps the record with the later updatedAt.
+
+export const SYNC_DELAY = 5000; // ms after the last edit
+
+// Settings that sync; reminders, units and the food library stay on the
+// device
+export const SYNCED_SETTINGS = [
+  "dailyBudget",
+  "dayTargets",
+  "bodyProfile",
+  "budgetInputMode",
+  "calorieCheck",
+  "rollover",
+  "dayLimits",
+];
+
+// How each synced setting is checked when it comes from the server
+const SETTING_VALIDATORS = {
+  dailyBudget: validateBudget,
+  dayTargets: validateDayTargets,
+  bodyProfile: expectObject,
+  budgetInputMode: validateBudgetInputMode,
+  calorieCheck: validateCalorieCheck,
+  rollover: validateRollover,
+  dayLimits: validateDayLimits,
+};
+
+export const DEFAULT_SYNC = {
+  endpoint: "",
+  token: "",
+  deviceId: "",
+  lastSyncAt: 0, // when the last successful sync started, by this clock
+  // The server's updatedAt of each record as of the last sync
+  base: { days: {}, settings: 0 },
+};
+
+// When days and the settings were last edited on this device
+export const DEFAULT_EDIT_STAMPS = { days: {}, settings: 0 };
+
+export const createDeviceId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const getDayKey = (weekKey, day) => `${weekKey}/${day}`;
+
+const getEntry = (weeks, key) => {
+  const [weekKey, day] = key.split("/");
+  return { ...createEmptyWeek(), ...weeks[weekKey] }[day];
+};
+
+const toText = (value) => JSON.stringify(value);
+const sameEntry = (a, b, key) =>
+  toText(validateEntry(a, key)) === toText(validateEntry(b, key));
+const isEmptyEntry = (entry, key) =>
+  sameEntry(entry, createEmptyWeek()[key.split("/")[1]], key);
+
+// Days whose entries differ between two versions of `weeks`
+export const getChangedDays = (previous, next) =>
+  [...new Set([...Object.keys(previous), ...Object.keys(next)])].flatMap(
+    (weekKey) =>
+      previous[weekKey] === next[weekKey]
+        ? []
+        : DAYS.map((day) => getDayKey(weekKey, day)).filter(
+            (key) =>
+              toText(getEntry(previous, key)) !== toText(getEntry(next, key))
+          )
+  );
+
+export const stampDays = (stamps, keys, time) => ({
+  ...stamps,
+  days: keys.reduce((acc, key) => ({ ...acc, [key]: time }), stamps.days),
+});
+
+// Put entries that came from the server into `weeks`
+export const applyIncomingDays = (weeks, incoming) =>
+  Object.keys(incoming).reduce((acc, key) => {
+    const [weekKey, day] = key.split("/");
+    return {
+      ...acc,
+      [weekKey]: {
+        ...createEmptyWeek(),
+        ...acc[weekKey],
+        [day]: incoming[key],
+      },
+    };
+  }, weeks);
+
+// Which side keeps a record. Unchanged sides give way; when both changed,
+// the later edit wins, with the device id settling exact ties.
+const resolve = ({ local, remote, localChanged, remoteChanged }) => {
+  if (!localChanged) return "remote";
+  if (!remoteChanged) return "local";
+  if (local.updatedAt !== remote.updatedAt) {
+    return local.updatedAt > remote.updatedAt ? "local" : "remote";
+  }
+  return local.device > remote.device ? "local" : "remote";
+};
+
+// Compare this device's data with the server's. Returns the records to
+// push, the days and settings to take from the server, and the conflicts.
+// `defaultSettings` are the settings of a device nobody has set up yet.
+export const mergeWithRemote = ({
+  weeks,
+  settings,
+  defaultSettings,
+  stamps,
+  sync,
+  remote,
+}) => {
+  const device = sync.deviceId;
+  const result = { push: { days: {} }, incoming: {}, conflicts: [] };
+  // Pushed records must be newer than the server's, whatever the clocks say
+  const pushTime = (stamp, theirs) =>
+    Math.max(stamp, theirs ? theirs.updatedAt + 1 : 0);
+
+  const keys = new Set([
+    ...Object.keys(remote.days),
+    ...Object.keys(stamps.days),
+    ...Object.keys(weeks).flatMap((weekKey) =>
+      DAYS.map((day) => getDayKey(weekKey, day))
+    ),
+  ]);
+  keys.forEach((key) => {
+    const entry = getEntry(weeks, key);
+    const stamp = stamps.days[key] || 0;
+    const theirs = remote.days[key];
+    const localChanged =
+      key in stamps.days
+        ? stamp > sync.lastSyncAt
+        : !(key in sync.base.days) && !isEmptyEntry(entry, key);
+    if (!theirs) {
+      if (localChanged || !isEmptyEntry(entry, key)) {
+        result.push.days[key] = { entry, updatedAt: stamp, device };
+      }
+      return;
+    }
+    if (sameEntry(entry, theirs.entry, key)) return;
+
+    const remoteChanged = theirs.updatedAt !== sync.base.days[key];
+    const local = { updatedAt: stamp, device };
+    const winner = resolve({
+      local,
+      remote: theirs,
+      localChanged,
+      remoteChanged,
+    });
+    if (localChanged && remoteChanged) {
+      result.conflicts.push({
+        key,
+        kept: winner,
+        local: entry,
+        remote: theirs.entry,
+      });
+    }
+    if (winner === "local") {
+      result.push.days[key] = {
+        entry,
+        updatedAt: pushTime(stamp, theirs),
+        device,
+      };
+    } else {
+      result.incoming[key] = theirs.entry;
+    }
+  });
+
+  // The settings work the same way, as a single record. Like empty days,
+  // unedited defaults never count as a change.
+  const theirs = remote.settings;
+  const localChanged = stamps.settings
+    ? stamps.settings > sync.lastSyncAt
+    : !sync.base.settings && toText(settings) !== toText(defaultSettings);
+  if (!theirs) {
+    result.push.settings = {
+      value: settings,
+      updatedAt: stamps.settings,
+      device,
+    };
+  } else if (toText(settings) !== toText(theirs.value)) {
+    const remoteChanged = theirs.updatedAt !== sync.base.settings;
+    const local = { updatedAt: stamps.settings, device };
+    const winner = resolve({
+      local,
+      remote: theirs,
+      localChanged,
+      remoteChanged,
+    });
+    if (localChanged && remoteChanged) {
+      result.conflicts.push({
+        key: "settings",
+        kept: winner,
+        local: settings,
+        remote: theirs.value,
+      });
+    }
+    if (winner === "local") {
+      result.push.settings = {
+        value: settings,
+        updatedAt: pushTime(stamps.settings, theirs),
+        device,
+      };
+    } else {
+      result.incomingSettings = theirs.value;
+    }
+  }
+  return result;
+};
+
+// Check the server's answer and clean its entries. Days and settings that
+// can't be used are skipped and listed as { key, reason }, with the reason an
+// Error from dataError, so one bad record doesn't stop every sync.
+const readRemote = (data) => {
+  if (!isObject(data) || !isObject(data.days)) {
+    throw new Error("The server's answer isn't sync data");
+  }
+  const record = (value, label) => {
+    if (!isObject(value) || typeof value.updatedAt !== "number") {
+      throw dataError("sync.error.record", { path: label });
+    }
+    return value;
+  };
+  const skipped = [];
+  const days = Object.keys(data.days).reduce((acc, key) => {
+    try {
+      if (
+        !/^\d{4}-W\d{2}\/\w+$/.test(key) ||
+        !DAYS.includes(key.split("/")[1])
+      ) {
+        throw dataError("sync.error.day", { key });
+      }
+      const theirs = record(data.days[key], key);
+      acc[key] = { ...theirs, entry: validateEntry(theirs.entry, key) };
+    } catch (e) {
+      skipped.push({ key, reason: e });
+    }
+    return acc;
+  }, {});
+  let settings = null;
+  try {
+    if (
+      data.settings &&
+      isObject(record(data.settings, { key: "sync.settingsRecord" }).value)
+    ) {
+      const value = SYNCED_SETTINGS.reduce((acc, name) => {
+        if (data.settings.value[name] === undefined) return acc;
+        try {
+          acc[name] = SETTING_VALIDATORS[name](data.settings.value[name]);
+        } catch (e) {
+          skipped.push({
+            key: `settings.${name}`,
+            reason: dataError("sync.error.setting", {
+              setting: { key: `storage.value.${name}` },
+              reason: e,
+            }),
+          });
+        }
+        return acc;
+      }, {});
+      settings = { ...data.settings, value };
+    }
+  } catch (e) {
+    skipped.push({ key: "settings", reason: e });
+  }
+  return { days, settings, skipped };
+};
+
+const request = (sync, method, body) =>
+  fetch(sync.endpoint, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(sync.token ? { Authorization: `Bearer ${sync.token}` } : {}),
+    },
+    body: body && JSON.stringify(body),
+  }).then((response) => {
+    if (!response.ok) {
+      throw new Error(
+        `The server answered ${response.status} ${response.statusText}`.trim()
+      );
+    }
+    return response.json();
+  });
+
+// Pull, merge and push. Resolves with what to apply locally, the new sync
+// state and the server's records that were skipped; rejects with an Error
+// explaining what went wrong.
+export const syncWithServer = async ({
+  sync,
+  weeks,
+  settings,
+  defaultSettings,
+  stamps,
+}) => {
+  const startedAt = Date.now();
+  const remote = readRemote(await request(sync, "GET"));
+  const merge = mergeWithRemote({
+    weeks,
+    settings,
+    defaultSettings,
+    stamps,
+    sync,
+    remote,
+  });
+  const pushed =
+    Object.keys(merge.push.days).length > 0 || merge.push.settings
+      ? readRemote(await request(sync, "PUT", merge.push))
+      : remote;
+  return {
+    incoming: merge.incoming,
+    incomingSettings: merge.incomingSettings || null,
+    conflicts: merge.conflicts,
+    skipped: pushed.skipped,
+    lastSyncAt: startedAt,
+    base: {
+      days: Object.keys(pushed.days).reduce((acc, key) => {
+        acc[key] = pushed.days[key].updatedAt;
+        return acc;
+      }, {}),
+      settings: pushed.settings ? pushed.settings.updatedAt : 0,
+    },
+  };
+};
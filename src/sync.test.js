@@ -0,0 +1,258 @@
+import { DEFAULT_SYNC, mergeWithRemote, syncWithServer } from "./sync";
+import { createEmptyWeek } from "./weeks";
+
+const DEFAULTS = { dailyBudget: { carbs: "270", protein: "110", fat: "65" } };
+const CHANGED = { dailyBudget: { carbs: "200", protein: "150", fat: "60" } };
+
+const entry = (values) => ({
+  calories: "",
+  carbs: "",
+  protein: "",
+  fat: "",
+  ...values,
+});
+
+const weekWith = (days) => ({ "2026-W43": { ...createEmptyWeek(), ...days } });
+
+const sync = (values) => ({ ...DEFAULT_SYNC, deviceId: "b", ...values });
+
+const merge = ({
+  weeks = {},
+  settings = DEFAULTS,
+  stamps = { days: {}, settings: 0 },
+  state = sync(),
+  remote = { days: {}, settings: null },
+}) =>
+  mergeWithRemote({
+    weeks,
+    settings,
+    defaultSettings: DEFAULTS,
+    stamps,
+    sync: state,
+    remote,
+  });
+
+describe("mergeWithRemote", () => {
+  describe("on the first sync of a new device", () => {
+    it("takes the server's settings without a conflict", () => {
+      const result = merge({
+        remote: {
+          days: {},
+          settings: { value: CHANGED, updatedAt: 1000, device: "a" },
+        },
+      });
+      expect(result.conflicts).toEqual([]);
+      expect(result.incomingSettings).toEqual(CHANGED);
+      expect(result.push.settings).toBeUndefined();
+    });
+
+    it("takes the server's days and pushes its own", () => {
+      const result = merge({
+        weeks: weekWith({ Tuesday: entry({ carbs: "40" }) }),
+        stamps: { days: { "2026-W43/Tuesday": 2000 }, settings: 0 },
+        remote: {
+          days: {
+            "2026-W43/Monday": {
+              entry: entry({ carbs: "50" }),
+              updatedAt: 1000,
+              device: "a",
+            },
+          },
+          settings: null,
+        },
+      });
+      expect(result.conflicts).toEqual([]);
+      expect(result.incoming["2026-W43/Monday"].carbs).toBe("50");
+      expect(result.push.days["2026-W43/Tuesday"].entry.carbs).toBe("40");
+      expect(result.push.days["2026-W43/Monday"]).toBeUndefined();
+    });
+
+    it("pushes its settings when the server has none", () => {
+      const result = merge({});
+      expect(result.push.settings.value).toEqual(DEFAULTS);
+    });
+
+    it("still counts settings changed before sync was set up", () => {
+      const result = merge({
+        settings: CHANGED,
+        remote: {
+          days: {},
+          settings: { value: DEFAULTS, updatedAt: 1000, device: "a" },
+        },
+      });
+      expect(result.conflicts).toHaveLength(1);
+    });
+  });
+
+  describe("when both sides changed a record", () => {
+    const state = sync({
+      lastSyncAt: 5000,
+      base: { days: { "2026-W43/Monday": 4000 }, settings: 4000 },
+    });
+
+    it("keeps the later edit of a day and reports the conflict", () => {
+      const result = merge({
+        weeks: weekWith({ Monday: entry({ carbs: "60" }) }),
+        stamps: { days: { "2026-W43/Monday": 7000 }, settings: 0 },
+        state,
+        remote: {
+          days: {
+            "2026-W43/Monday": {
+              entry: entry({ carbs: "50" }),
+              updatedAt: 6000,
+              device: "a",
+            },
+          },
+          settings: null,
+        },
+      });
+      expect(result.conflicts).toEqual([
+        {
+          key: "2026-W43/Monday",
+          kept: "local",
+          local: entry({ carbs: "60" }),
+          remote: entry({ carbs: "50" }),
+        },
+      ]);
+      expect(result.push.days["2026-W43/Monday"].updatedAt).toBe(7000);
+      expect(result.incoming).toEqual({});
+    });
+
+    it("takes the server's settings when they were edited later", () => {
+      const result = merge({
+        settings: CHANGED,
+        stamps: { days: {}, settings: 6000 },
+        state,
+        remote: {
+          days: {},
+          settings: { value: DEFAULTS, updatedAt: 8000, device: "a" },
+        },
+      });
+      expect(result.conflicts).toHaveLength(1);
+      expect(result.conflicts[0]).toMatchObject({
+        key: "settings",
+        kept: "remote",
+      });
+      expect(result.incomingSettings).toEqual(DEFAULTS);
+      expect(result.push.settings).toBeUndefined();
+    });
+
+    it("settles equal stamps by device id", () => {
+      const remote = {
+        days: {
+          "2026-W43/Monday": {
+            entry: entry({ carbs: "50" }),
+            updatedAt: 7000,
+            device: "a",
+          },
+        },
+        settings: null,
+      };
+      const args = {
+        weeks: weekWith({ Monday: entry({ carbs: "60" }) }),
+        stamps: { days: { "2026-W43/Monday": 7000 }, settings: 0 },
+        remote,
+      };
+      const higher = merge({ ...args, state: { ...state, deviceId: "b" } });
+      expect(higher.conflicts[0].kept).toBe("local");
+      // Pushed records must be newer than the server's
+      expect(higher.push.days["2026-W43/Monday"].updatedAt).toBe(7001);
+      const lower = merge({ ...args, state: { ...state, deviceId: "0" } });
+      expect(lower.conflicts[0].kept).toBe("remote");
+      expect(lower.incoming["2026-W43/Monday"].carbs).toBe("50");
+    });
+
+    it("reports nothing when both made the same edit", () => {
+      const result = merge({
+        weeks: weekWith({ Monday: entry({ carbs: "50" }) }),
+        stamps: { days: { "2026-W43/Monday": 7000 }, settings: 0 },
+        state,
+        remote: {
+          days: {
+            "2026-W43/Monday": {
+              entry: entry({ carbs: "50" }),
+              updatedAt: 6000,
+              device: "a",
+            },
+          },
+          settings: null,
+        },
+      });
+      expect(result.conflicts).toEqual([]);
+      expect(result.push.days).toEqual({});
+      expect(result.incoming).toEqual({});
+    });
+  });
+});
+
+describe("syncWithServer", () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it("skips records from the server that can't be used", async () => {
+    const answer = {
+      days: {
+        "../../x": { entry: {}, updatedAt: 1, device: "a" },
+        "2026-W43/Monday": {
+          entry: { carbs: "x" },
+          updatedAt: 1,
+          device: "a",
+        },
+        "2026-W43/Tuesday": {
+          entry: entry({ carbs: "50" }),
+          updatedAt: 1,
+          device: "a",
+        },
+      },
+      settings: { value: DEFAULTS, updatedAt: 1, device: "a" },
+    };
+    global.fetch = jest.fn(() =>
+      Promise.resolve({ ok: true, json: () => Promise.resolve(answer) })
+    );
+    const result = await syncWithServer({
+      sync: sync({ endpoint: "http://localhost:8787/profiles/me" }),
+      weeks: {},
+      settings: DEFAULTS,
+      defaultSettings: DEFAULTS,
+      stamps: { days: {}, settings: 0 },
+    });
+    expect(result.skipped.map(({ key }) => key)).toEqual([
+      "../../x",
+      "2026-W43/Monday",
+    ]);
+    expect(Object.keys(result.incoming)).toEqual(["2026-W43/Tuesday"]);
+    expect(result.conflicts).toEqual([]);
+  });
+
+  it("leaves out settings from the server that can't be used", async () => {
+    const answer = {
+      days: {},
+      settings: {
+        value: {
+          dailyBudget: null,
+          dayTargets: { enabled: true, trainingDays: "Monday" },
+          budgetInputMode: "percent",
+        },
+        updatedAt: 1,
+        device: "a",
+      },
+    };
+    global.fetch = jest.fn(() =>
+      Promise.resolve({ ok: true, json: () => Promise.resolve(answer) })
+    );
+    const result = await syncWithServer({
+      sync: sync({ endpoint: "http://localhost:8787/profiles/me" }),
+      weeks: {},
+      settings: DEFAULTS,
+      defaultSettings: DEFAULTS,
+      stamps: { days: {}, settings: 0 },
+    });
+    expect(result.skipped.map(({ key }) => key)).toEqual([
+      "settings.dailyBudget",
+      "settings.dayTargets",
+    ]);
+    expect(result.skipped[0].reason.key).toBe("sync.error.setting");
+    expect(result.incomingSettings).toEqual({ budgetInputMode: "percent" });
+  });
+});
@@ -0,0 +1,203 @@
+import { parseCsv } from "./csv";
+import { MACRO_FIELDS } from "./foodLog";
+import { KJ_PER_KCAL } from "./units";
+import { dataError } from "./validation";
+import { createEmptyWeek, getDayName, getWeekKey } from "./weeks";
+
+// Import of daily totals from other nutrition trackers' CSV exports. A mapping
+// says which column holds the date and which hold the macros, and in which
+// units. Rows with the same date (e.g. one row per meal) are added up.
+
+// Named in the translation catalogs, as "tracker.format.<format>"
+export const DATE_FORMATS = ["ymd", "dmy", "mdy"];
+
+// Decimals kept of converted totals, enough for kJ and mg
+const DECIMALS = 3;
+
+// Units per field, with the factor that converts them to kcal or grams
+export const UNITS = {
+  calories: [
+    { id: "kcal", label: "kcal", factor: 1 },
+    { id: "kj", label: "kJ", factor: 1 / KJ_PER_KCAL },
+  ],
+  grams: [
+    { id: "g", label: "g", factor: 1 },
+    { id: "mg", label: "mg", factor: 1 / 1000 },
+  ],
+};
+
+export const getUnits = (field) =>
+  field === "calories" ? UNITS.calories : UNITS.grams;
+
+// Header patterns used to guess a mapping, in English and Dutch
+const HEADER_PATTERNS = {
+  date: /date|day|datum|dag/,
+  calories: /calor|energy|energie|kcal|kj/,
+  carbs: /carb|koolhydra/,
+  protein: /protein|eiwit/,
+  fat: /^(total\s*)?fat\b|^(totaal\s*)?vet\b/,
+};
+
+const guessUnit = (field, header) => {
+  const name = header.toLowerCase();
+  if (field === "calories") return /kj/.test(name) ? "kj" : "kcal";
+  return /\bmg\b|\(mg\)/.test(name) ? "mg" : "g";
+};
+
+// Guess the date format from the values: a four-digit first part is a year,
+// and a part over 12 can only be the day
+export const guessDateFormat = (values) => {
+  let format = "dmy";
+  for (const value of values) {
+    const match = /^\s*(\d{1,4})\D(\d{1,2})\D(\d{1,4})/.exec(value || "");
+    if (!match) continue;
+    if (match[1].length === 4) return "ymd";
+    if (Number(match[1]) > 12) return "dmy";
+    if (Number(match[2]) > 12) format = "mdy";
+  }
+  return format;
+};
+
+// Guess a mapping from a file's headers and rows
+export const guessMapping = (headers, rows = []) => {
+  const find = (pattern) =>
+    headers.find((header) => pattern.test(header.trim().toLowerCase())) || "";
+  const dateColumn = find(HEADER_PATTERNS.date);
+  const dateIndex = headers.indexOf(dateColumn);
+  return {
+    name: "",
+    date: {
+      column: dateColumn,
+      format: guessDateFormat(rows.map((row) => row[dateIndex])),
+    },
+    fields: MACRO_FIELDS.reduce((acc, field) => {
+      const column = find(HEADER_PATTERNS[field]);
+      acc[field] = { column, unit: column ? guessUnit(field, column) : "" };
+      return acc;
+    }, {}),
+  };
+};
+
+// A saved mapping fits a file when all the columns it uses are present
+export const findSavedMapping = (mappings, headers) =>
+  mappings.find((mapping) =>
+    [
+      mapping.date.column,
+      ...MACRO_FIELDS.map((field) => mapping.fields[field].column),
+    ]
+      .filter(Boolean)
+      .every((column) => headers.includes(column))
+  ) || null;
+
+// Date in the given format; anything after the date (like a time) is ignored
+export const parseTrackerDate = (value, format) => {
+  const match = /^\s*(\d{1,4})\D(\d{1,2})\D(\d{1,4})/.exec(value || "");
+  if (!match) return null;
+  const [a, b, c] = match.slice(1).map(Number);
+  const [year, month, day] =
+    format === "dmy" ? [c, b, a] : format === "mdy" ? [c, a, b] : [a, b, c];
+  if (year < 1000) return null;
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+// A whole number grouped in thousands, as in "1,234" or "12.345.678"
+const THOUSANDS = /^[1-9]\d{0,2}([.,])\d{3}(\1\d{3})*$/;
+
+// Number with either "." or "," as the decimal separator and the other one
+// separating thousands. The last separator is the decimal one, unless it
+// only splits off groups of three digits.
+export const parseTrackerNumber = (value) => {
+  const text = String(value || "")
+    .trim()
+    .replace(/\s/g, "");
+  if (text === "") return null;
+  const last = THOUSANDS.test(text)
+    ? -1
+    : Math.max(text.lastIndexOf("."), text.lastIndexOf(","));
+  const whole = last === -1 ? text : text.slice(0, last);
+  if (last !== -1 && whole.includes(text[last])) return NaN;
+  const number = Number(
+    last === -1
+      ? whole.replace(/[.,]/g, "")
+      : `${whole.replace(/[.,]/g, "")}.${text.slice(last + 1)}`
+  );
+  return isFinite(number) && number >= 0 ? number : NaN;
+};
+
+export const readTrackerCsv = (text) => {
+  const [headers, ...rows] = parseCsv(text);
+  if (!headers) throw dataError("data.error.empty");
+  return { headers: headers.map((header) => header.trim()), rows };
+};
+
+// Apply a mapping to the rows. Returns the resulting weeks plus the lines that
+// were skipped and why, as { line, reason } with the reason a message
+// ({ key, params }) for the translation catalogs. Day totals keep their
+// decimals, as the weekly inputs do.
+export const applyTrackerMapping = ({ headers, rows }, mapping) => {
+  const dateIndex = headers.indexOf(mapping.date.column);
+  if (dateIndex === -1) throw dataError("tracker.error.noDate");
+  const fields = MACRO_FIELDS.filter(
+    (field) => headers.indexOf(mapping.fields[field].column) !== -1
+  );
+  if (fields.length === 0) {
+    throw dataError("tracker.error.noFields");
+  }
+
+  const totals = {};
+  const skipped = [];
+  rows.forEach((row, index) => {
+    const line = index + 2;
+    const date = parseTrackerDate(row[dateIndex], mapping.date.format);
+    if (!date) {
+      skipped.push({
+        line,
+        reason: {
+          key: "tracker.error.date",
+          params: { value: row[dateIndex] || "" },
+        },
+      });
+      return;
+    }
+    const values = {};
+    for (const field of fields) {
+      const { column, unit } = mapping.fields[field];
+      const number = parseTrackerNumber(row[headers.indexOf(column)]);
+      if (Number.isNaN(number)) {
+        skipped.push({
+          line,
+          reason: {
+            key: "tracker.error.number",
+            params: { field: { key: `data.field.${field}` } },
+          },
+        });
+        return;
+      }
+      const { factor } =
+        getUnits(field).find((u) => u.id === unit) || getUnits(field)[0];
+      values[field] = number === null ? 0 : number * factor;
+    }
+    const key = date.getTime();
+    totals[key] = totals[key] || { date, values: {} };
+    fields.forEach((field) => {
+      totals[key].values[field] =
+        (totals[key].values[field] || 0) + values[field];
+    });
+  });
+
+  const weeks = {};
+  Object.values(totals).forEach(({ date, values }) => {
+    const weekKey = getWeekKey(date);
+    weeks[weekKey] = weeks[weekKey] || createEmptyWeek();
+    const entry = { ...weeks[weekKey][getDayName(date)] };
+    fields.forEach((field) => {
+      entry[field] = values[field]
+        ? String(parseFloat(values[field].toFixed(DECIMALS)))
+        : "";
+    });
+    weeks[weekKey][getDayName(date)] = entry;
+  });
+
+  return { weeks, days: Object.keys(totals).length, skipped };
+};
@@ -0,0 +1,35 @@
+import { parseTrackerNumber } from "./trackerImport";
+
+describe("parseTrackerNumber", () => {
+  it("takes either decimal separator", () => {
+    expect(parseTrackerNumber("12.5")).toBe(12.5);
+    expect(parseTrackerNumber("12,5")).toBe(12.5);
+    expect(parseTrackerNumber("0,250")).toBe(0.25);
+    expect(parseTrackerNumber(" 8 ")).toBe(8);
+  });
+
+  it("reads thousands separated by commas", () => {
+    expect(parseTrackerNumber("1,234")).toBe(1234);
+    expect(parseTrackerNumber("1,234.5")).toBe(1234.5);
+    expect(parseTrackerNumber("12,345,678")).toBe(12345678);
+  });
+
+  it("reads thousands separated by dots", () => {
+    expect(parseTrackerNumber("1.234")).toBe(1234);
+    expect(parseTrackerNumber("1.234,5")).toBe(1234.5);
+    expect(parseTrackerNumber("12.345.678,25")).toBe(12345678.25);
+  });
+
+  it("reads thousands separated by spaces", () => {
+    expect(parseTrackerNumber("1 234,5")).toBe(1234.5);
+  });
+
+  it("gives null for empty cells and NaN for anything else", () => {
+    expect(parseTrackerNumber("")).toBeNull();
+    expect(parseTrackerNumber(undefined)).toBeNull();
+    expect(parseTrackerNumber("1.2.3")).toBeNaN();
+    expect(parseTrackerNumber("1,234,5")).toBeNaN();
+    expect(parseTrackerNumber("abc")).toBeNaN();
+    expect(parseTrackerNumber("-5")).toBeNaN();
+  });
+});
@@ -0,0 +1,82 @@
+// Units and number formats. Amounts are always stored the same way: grams,
+// and energy in kcal, as strings with a "." for decimals. The energy unit and
+// the decimal separator of the locale only change what is shown and typed.
+
+export const KJ_PER_KCAL = 4.184;
+
+export const ENERGY_UNITS = ["kcal", "kJ"];
+
+// Choices for the decimals allowed when typing amounts
+export const DECIMAL_CHOICES = [0, 1, 2];
+
+export const DEFAULT_UNITS = {
+  energy: "kcal",
+  decimals: 1, // decimals allowed when typing amounts
+};
+
+// Body weight keeps two decimals whatever the setting
+export const WEIGHT_DECIMALS = 2;
+
+// Stored kcal of energy typed in kJ keep this many decimals, enough to show
+// the same kJ again
+const KCAL_DECIMALS = 3;
+
+// The decimal separator of a locale ("." or ","); undefined is the browser's
+export const getDecimalSeparator = (locale) => {
+  const part = new Intl.NumberFormat(locale)
+    .formatToParts(1.5)
+    .find((part) => part.type === "decimal");
+  return part ? part.value : ".";
+};
+
+// Energy in the chosen unit from kcal, and back
+export const toEnergyUnit = (kcal, unit) =>
+  unit === "kJ" ? kcal * KJ_PER_KCAL : kcal;
+export const fromEnergyUnit = (value, unit) =>
+  unit === "kJ" ? value / KJ_PER_KCAL : value;
+
+// A number for display, rounded to `decimals` without trailing zeros
+export const formatNumber = (number, decimals, locale) =>
+  new Intl.NumberFormat(locale, {
+    maximumFractionDigits: decimals,
+    useGrouping: false,
+  }).format(number);
+
+// "2105 kcal" or "8807 kJ"; whole numbers, as energy is never that precise
+export const formatEnergy = (kcal, unit, locale) =>
+  `${formatNumber(toEnergyUnit(kcal, unit), 0, locale)} ${unit}`;
+
+// Text typed into an amount field, as a stored amount: "" when empty, null
+// when it isn't a number with at most `decimals` decimals. Both "." and ","
+// are taken as the decimal separator, so either keyboard works. A separator
+// on its own is not a number; a trailing one is dropped ("1," is 1).
+export const parseAmountInput = (text, decimals, unit) => {
+  const value = text.trim();
+  if (value === "") return "";
+  const match = value.match(/^(\d+)(?:[.,](\d*))?$|^[.,](\d+)$/);
+  if (!match) return null;
+  const whole = match[1] || "0";
+  const fraction = match[1] !== undefined ? match[2] || "" : match[3];
+  if (fraction.length > decimals) return null;
+  const amount = fraction ? `${whole}.${fraction}` : whole;
+  if (unit !== "kJ") return amount;
+  const number = parseFloat(amount) || 0;
+  return String(
+    parseFloat(fromEnergyUnit(number, unit).toFixed(KCAL_DECIMALS))
+  );
+};
+
+// A stored amount as it appears in an input
+export const formatAmountInput = (amount, decimals, unit, locale) => {
+  if (amount === "" || amount === undefined || amount === null) return "";
+  const text = String(amount);
+  const fraction = text.split(".")[1] || "";
+  if (unit === "kJ" || fraction.length > decimals) {
+    return formatNumber(
+      toEnergyUnit(parseFloat(text) || 0, unit),
+      decimals,
+      locale
+    );
+  }
+  return text.replace(".", getDecimalSeparator(locale));
+};
@@ -0,0 +1,76 @@
+import { formatAmountInput, parseAmountInput } from "./units";
+import { toAmount, validateUnits } from "./validation";
+
+describe("parseAmountInput", () => {
+  it("reads an empty field as no amount", () => {
+    expect(parseAmountInput("", 1, "g")).toBe("");
+    expect(parseAmountInput("  ", 1, "g")).toBe("");
+  });
+
+  it("rejects a decimal separator on its own", () => {
+    expect(parseAmountInput(".", 1, "g")).toBeNull();
+    expect(parseAmountInput(",", 1, "g")).toBeNull();
+    expect(parseAmountInput(".", 1, "kJ")).toBeNull();
+  });
+
+  it("drops a trailing separator", () => {
+    expect(parseAmountInput("1,", 1, "g")).toBe("1");
+    expect(parseAmountInput("1.", 0, "g")).toBe("1");
+  });
+
+  it("reads a leading separator as a fraction of one", () => {
+    expect(parseAmountInput(",5", 1, "g")).toBe("0.5");
+    expect(parseAmountInput(".5", 1, "g")).toBe("0.5");
+  });
+
+  it("takes either separator for decimals", () => {
+    expect(parseAmountInput("1,5", 1, "g")).toBe("1.5");
+    expect(parseAmountInput("1.5", 1, "g")).toBe("1.5");
+  });
+
+  it("rejects more decimals than allowed", () => {
+    expect(parseAmountInput("1,55", 1, "g")).toBeNull();
+    expect(parseAmountInput("1,5", 0, "g")).toBeNull();
+  });
+
+  it("rejects anything that isn't a plain number", () => {
+    expect(parseAmountInput("1,5,5", 2, "g")).toBeNull();
+    expect(parseAmountInput("-1", 1, "g")).toBeNull();
+    expect(parseAmountInput("1e3", 1, "g")).toBeNull();
+  });
+
+  it("stores kJ as kcal", () => {
+    expect(parseAmountInput("4184", 0, "kJ")).toBe("1000");
+  });
+
+  it("only returns amounts that pass validation", () => {
+    ["1,", ",5", "1,5", "12", "0"].forEach((text) => {
+      const amount = parseAmountInput(text, 1, "g");
+      expect(toAmount(amount, "test")).toBe(String(Number(amount)));
+    });
+  });
+});
+
+describe("formatAmountInput", () => {
+  it("shows the decimal separator of the locale", () => {
+    expect(formatAmountInput("1.5", 1, "g", "nl")).toBe("1,5");
+    expect(formatAmountInput("1.5", 1, "g", "en")).toBe("1.5");
+  });
+});
+
+describe("validateUnits", () => {
+  it("fills in missing units", () => {
+    expect(validateUnits({})).toEqual({ energy: "kcal", decimals: 1 });
+    expect(validateUnits({ energy: "kJ", decimals: 0 })).toEqual({
+      energy: "kJ",
+      decimals: 0,
+    });
+  });
+
+  it("rejects units the settings don't offer", () => {
+    expect(() => validateUnits({ energy: "cal" })).toThrow();
+    [25, -1, "abc", "1", 1.5].forEach((decimals) => {
+      expect(() => validateUnits({ decimals })).toThrow();
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const sameValues = (a, b) =>
+  Object.keys(a).length === Object.keys(b).length &&
+  Object.keys(a).every((key) => a[key] === b[key]);
+
+// Undo/redo over a set of state values. Every change to one of the values is
+// recorded; changes made within `mergeWindow` ms of each other (like typing
+// "250" one digit at a time) become a single step, unless the change was
+// announced with `separateStep()` (used for one-off actions like a clear).
+export const useUndoHistory = (
+  values,
+  restore,
+  { limit = 100, mergeWindow = 1000 } = {}
+) => {
+  const past = useRef([]);
+  const future = useRef([]);
+  const current = useRef(values);
+  const lastChange = useRef(0);
+  const restoring = useRef(false);
+  const separate = useRef(false);
+  const [, setVersion] = useState(0);
+
+  useEffect(() => {
+    if (sameValues(values, current.current)) return;
+    if (restoring.current) {
+      restoring.current = false;
+    } else {
+      const now = Date.now();
+      if (separate.current || now - lastChange.current > mergeWindow) {
+        past.current = [...past.current, current.current].slice(-limit);
+      }
+      lastChange.current = separate.current ? 0 : now;
+      separate.current = false;
+      future.current = [];
+    }
+    current.current = values;
+  });
+
+  const separateStep = useCallback(() => {
+    separate.current = true;
+  }, []);
+
+  const undo = useCallback(() => {
+    if (past.current.length === 0) return;
+    const previous = past.current[past.current.length - 1];
+    past.current = past.current.slice(0, -1);
+    future.current = [...future.current, current.current];
+    lastChange.current = 0;
+    restoring.current = true;
+    restore(previous);
+    setVersion((v) => v + 1);
+  }, [restore]);
+
+  const redo = useCallback(() => {
+    if (future.current.length === 0) return;
+    const next = future.current[future.current.length - 1];
+    future.current = future.current.slice(0, -1);
+    past.current = [...past.current, current.current];
+    lastChange.current = 0;
+    restoring.current = true;
+    restore(next);
+    setVersion((v) => v + 1);
+  }, [restore]);
+
+  // A change made in this render is only recorded by the effect above
+  const pending = !restoring.current && !sameValues(values, current.current);
+
+  return {
+    undo,
+    redo,
+    separateStep,
+    canUndo: pending || past.current.length > 0,
+    canRedo: !pending && future.current.length > 0,
+  };
+};
+
+// Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo
+export const useUndoShortcuts = (undo, redo) => {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key === "z") {
+        e.preventDefault();
+        if (e.shiftKey) redo();
+        else undo();
+      } else if (key === "y" && !e.shiftKey) {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [undo, redo]);
+};
@@ -0,0 +1,436 @@
+import { DEFAULT_CALORIE_CHECK } from "./calorieCheck";
+import { LIMIT_FIELDS } from "./distribution";
+import { MACRO_FIELDS } from "./foodLog";
+import { translate } from "./locales";
+import { REMINDER_CONDITIONS } from "./reminders";
+import { DEFAULT_ROLLOVER, ROLLOVER_MODES } from "./rollover";
+import { DECIMAL_CHOICES, DEFAULT_UNITS, ENERGY_UNITS } from "./units";
+import {
+  DAYS,
+  createEmptyWeek,
+  getDateForDay,
+  isWeekKey,
+  parseDateString,
+  toDateString,
+} from "./weeks";
+
+// Validation of stored and imported data. Validators return a cleaned copy
+// and throw an Error describing the first problem they find.
+
+// The Error has the English message, plus the key and params to show it in
+// the interface's language. Params can be messages themselves, like the
+// place in the data where the problem is.
+export const dataError = (key, params = {}) =>
+  Object.assign(new Error(translate("en", key, params)), { key, params });
+
+// A place in the data, as a message
+const at = (key, params = {}) => ({ key, params });
+
+const fieldPath = (path, field) =>
+  at("data.path.field", { path, field: at(`data.field.${field}`) });
+
+// Fields of a day entry; alcohol, fiber and body weight are optional
+export const ENTRY_FIELDS = [
+  "calories",
+  "carbs",
+  "protein",
+  "fat",
+  "alcohol",
+  "fiber",
+  "weight",
+];
+
+// Amounts are stored as strings of non-negative numbers, "" when empty
+export const toAmount = (value, path) => {
+  if (value === "" || value === null || value === undefined) return "";
+  const text = String(value).trim();
+  const number = Number(text);
+  if (text === "" || !isFinite(number) || number < 0) {
+    throw dataError("data.error.amount", { path, value });
+  }
+  return String(number);
+};
+
+export const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+export const expectObject = (value) => {
+  if (!isObject(value)) throw dataError("data.error.object");
+  return value;
+};
+
+export const expectArray = (value) => {
+  if (!Array.isArray(value)) throw dataError("data.error.list");
+  return value;
+};
+
+// A list of day names, e.g. training or reminder days
+const toDays = (days, path) => {
+  if (!Array.isArray(days) || days.some((day) => !DAYS.includes(day))) {
+    throw dataError("data.error.days", { path });
+  }
+  return days;
+};
+
+export const validateEntry = (entry, path) => {
+  if (!isObject(entry)) throw dataError("data.error.entry", { path });
+  const clean = {};
+  ENTRY_FIELDS.forEach((field) => {
+    const amount = toAmount(entry[field], fieldPath(path, field));
+    // Optional fields (alcohol, fiber, weight) are left out when empty
+    if (amount !== "" || MACRO_FIELDS.includes(field)) {
+      clean[field] = amount;
+    }
+  });
+  if (entry.items !== undefined) {
+    if (!Array.isArray(entry.items)) {
+      throw dataError("data.error.foodLog", { path });
+    }
+    clean.items = entry.items.map((item, index) => {
+      const itemPath = at("data.path.item", { path, number: index + 1 });
+      if (!isObject(item)) {
+        throw dataError("data.error.food", { path: itemPath });
+      }
+      return {
+        id: String(item.id || `${Date.now().toString(36)}-${index}`),
+        name: String(item.name || ""),
+        calories: toAmount(item.calories, fieldPath(itemPath, "calories")),
+        carbs: toAmount(item.carbs, fieldPath(itemPath, "carbs")),
+        protein: toAmount(item.protein, fieldPath(itemPath, "protein")),
+        fat: toAmount(item.fat, fieldPath(itemPath, "fat")),
+      };
+    });
+    if (clean.items.length === 0) delete clean.items;
+  }
+  if (entry.workings !== undefined) {
+    if (!Array.isArray(entry.workings)) {
+      throw dataError("data.error.sums", { path });
+    }
+    clean.workings = entry.workings.map((working, index) => {
+      const workingPath = at("data.path.sum", { path, number: index + 1 });
+      if (
+        !isObject(working) ||
+        !ENTRY_FIELDS.includes(working.field) ||
+        typeof working.expression !== "string"
+      ) {
+        throw dataError("data.error.malformed", { path: workingPath });
+      }
+      return {
+        field: working.field,
+        expression: working.expression,
+        result: toAmount(working.result, fieldPath(workingPath, "result")),
+        unit: String(working.unit || ""),
+      };
+    });
+    if (clean.workings.length === 0) delete clean.workings;
+  }
+  if (entry.caloriesAuto === true) clean.caloriesAuto = true;
+  return clean;
+};
+
+// Weeks throw on the first problem, unless `onProblem` is given: then a
+// week or day that can't be used is passed to it as (error, part), with
+// `part` the unusable data under its keys, and left out so the rest loads
+export const validateWeeks = (weeks, onProblem) => {
+  if (!isObject(weeks)) throw dataError("data.error.weeks");
+  const attempt = (check, part) => {
+    try {
+      return check();
+    } catch (e) {
+      if (!onProblem) throw e;
+      onProblem(e, part);
+      return null;
+    }
+  };
+  return Object.keys(weeks).reduce((acc, weekKey) => {
+    const week = weeks[weekKey];
+    const isWeek = attempt(
+      () => {
+        if (!isWeekKey(weekKey)) {
+          throw dataError("data.error.weekKey", { week: weekKey });
+        }
+        if (!isObject(week)) {
+          throw dataError("data.error.malformed", {
+            path: at("data.path.week", { week: weekKey }),
+          });
+        }
+        return true;
+      },
+      { [weekKey]: week }
+    );
+    if (!isWeek) return acc;
+    acc[weekKey] = DAYS.reduce((days, day) => {
+      const entry =
+        week[day] &&
+        attempt(
+          () =>
+            validateEntry(week[day], toDateString(getDateForDay(weekKey, day))),
+          { [weekKey]: { [day]: week[day] } }
+        );
+      days[day] = entry || createEmptyWeek()[day];
+      return days;
+    }, {});
+    return acc;
+  }, {});
+};
+
+export const validateBudget = (budget) => {
+  if (!isObject(budget)) throw dataError("data.error.budget");
+  const path = at("data.path.budget");
+  return {
+    carbs: toAmount(budget.carbs, fieldPath(path, "carbs")),
+    protein: toAmount(budget.protein, fieldPath(path, "protein")),
+    fat: toAmount(budget.fat, fieldPath(path, "fat")),
+  };
+};
+
+export const validateBudgetInputMode = (value) => {
+  if (value !== "grams" && value !== "percent") {
+    throw dataError("data.error.inputMode", { mode: value });
+  }
+  return value;
+};
+
+// Missing units fall back to the defaults; others must be one of the choices
+// the unit settings offer, as amounts are formatted with them on every render
+export const validateUnits = (units) => {
+  if (!isObject(units)) throw dataError("data.error.units");
+  const energy =
+    units.energy === undefined ? DEFAULT_UNITS.energy : units.energy;
+  if (!ENERGY_UNITS.includes(energy)) {
+    throw dataError("data.error.energyUnit", { unit: String(energy) });
+  }
+  const decimals =
+    units.decimals === undefined ? DEFAULT_UNITS.decimals : units.decimals;
+  if (!DECIMAL_CHOICES.includes(decimals)) {
+    throw dataError("data.error.decimals", { decimals: String(decimals) });
+  }
+  return { energy, decimals };
+};
+
+export const validateProfiles = (profiles) => {
+  if (!isObject(profiles) || !Array.isArray(profiles.list)) {
+    throw dataError("data.error.profiles");
+  }
+  const list = profiles.list.map((profile, index) => {
+    if (!isObject(profile) || !profile.id) {
+      throw dataError("data.error.malformed", {
+        path: at("data.path.profile", { number: index + 1 }),
+      });
+    }
+    return { id: String(profile.id), name: String(profile.name || "") };
+  });
+  if (list.length === 0) throw dataError("data.error.noProfiles");
+  const selected = list.some(({ id }) => id === profiles.selected)
+    ? profiles.selected
+    : list[0].id;
+  return { list, selected };
+};
+
+export const validateDayTargets = (dayTargets) => {
+  if (!isObject(dayTargets)) throw dataError("data.error.dayTargets");
+  const budget = dayTargets.trainingBudget;
+  const path = at("data.path.trainingBudget");
+  if (budget !== null && budget !== undefined && !isObject(budget)) {
+    throw dataError("data.error.malformed", { path });
+  }
+  return {
+    enabled: dayTargets.enabled === true,
+    trainingBudget: budget
+      ? {
+          carbs: toAmount(budget.carbs, fieldPath(path, "carbs")),
+          protein: toAmount(budget.protein, fieldPath(path, "protein")),
+          fat: toAmount(budget.fat, fieldPath(path, "fat")),
+        }
+      : null,
+    trainingDays: toDays(
+      dayTargets.trainingDays || [],
+      at("data.path.trainingDays")
+    ),
+  };
+};
+
+export const validateDayLimits = (limits) => {
+  if (!isObject(limits)) throw dataError("data.error.dayLimits");
+  return LIMIT_FIELDS.reduce((acc, field) => {
+    const limit = limits[field] || {};
+    const name = at(`data.field.${field}`);
+    if (!isObject(limit)) {
+      throw dataError("data.error.malformed", {
+        path: at("data.path.limit", { field: name }),
+      });
+    }
+    acc[field] = {
+      min: toAmount(limit.min, at("data.path.limitMin", { field: name })),
+      max: toAmount(limit.max, at("data.path.limitMax", { field: name })),
+    };
+    return acc;
+  }, {});
+};
+
+export const validateFoods = (foods) => {
+  if (!Array.isArray(foods)) throw dataError("data.error.foods");
+  return foods.map((food, index) => {
+    const path = at("data.path.food", { number: index + 1 });
+    if (!isObject(food)) throw dataError("data.error.food", { path });
+    if (typeof food.name !== "string") {
+      throw dataError("data.error.noName", { path });
+    }
+    if (food.basis !== "100g" && food.basis !== "serving") {
+      throw dataError("data.error.basis", { path, basis: food.basis });
+    }
+    const clean = {
+      id: String(food.id || `food-${Date.now().toString(36)}-${index}`),
+      name: food.name,
+      basis: food.basis,
+    };
+    MACRO_FIELDS.forEach((field) => {
+      clean[field] = toAmount(food[field], fieldPath(path, field));
+    });
+    if (food.basis === "serving" && typeof food.servingLabel === "string") {
+      clean.servingLabel = food.servingLabel;
+    }
+    return clean;
+  });
+};
+
+export const validateReminders = (reminders) => {
+  if (!isObject(reminders) || !Array.isArray(reminders.rules)) {
+    throw dataError("data.error.reminders");
+  }
+  return {
+    enabled: reminders.enabled === true,
+    rules: reminders.rules.map((rule, index) => {
+      const path = at("data.path.reminder", { number: index + 1 });
+      if (!isObject(rule)) throw dataError("data.error.malformed", { path });
+      if (
+        typeof rule.time !== "string" ||
+        !/^(\d{2}:\d{2})?$/.test(rule.time)
+      ) {
+        throw dataError("data.error.time", { path });
+      }
+      if (!REMINDER_CONDITIONS.includes(rule.condition)) {
+        throw dataError("data.error.condition", {
+          path,
+          condition: rule.condition,
+        });
+      }
+      return {
+        id: String(rule.id || `${Date.now()}-${index}`),
+        time: rule.time,
+        days: toDays(rule.days, path),
+        condition: rule.condition,
+        proteinPercent: toAmount(
+          rule.proteinPercent,
+          fieldPath(path, "proteinPercent")
+        ),
+      };
+    }),
+  };
+};
+
+// Options added later are missing from older settings and get the defaults
+export const validateCalorieCheck = (settings) => {
+  if (!isObject(settings)) throw dataError("data.error.calorieCheck");
+  const check = { ...DEFAULT_CALORIE_CHECK, ...settings };
+  if (
+    check.fiberCalories !== "included" &&
+    check.fiberCalories !== "separate"
+  ) {
+    throw dataError("data.error.fiberCalories", {
+      value: String(check.fiberCalories),
+    });
+  }
+  return {
+    tolerance: toAmount(check.tolerance, at("data.path.tolerance")),
+    autoFill: check.autoFill === true,
+    trackAlcohol: check.trackAlcohol === true,
+    trackFiber: check.trackFiber === true,
+    fiberCalories: check.fiberCalories,
+  };
+};
+
+export const validateRollover = (rollover) => {
+  if (!isObject(rollover)) throw dataError("data.error.rollover");
+  const { mode, cap } = { ...DEFAULT_ROLLOVER, ...rollover };
+  if (!ROLLOVER_MODES.includes(mode)) {
+    throw dataError("data.error.rolloverMode", { mode: String(mode) });
+  }
+  return { mode, cap: toAmount(cap, at("data.path.rolloverCap")) };
+};
+
+// When a budget suggestion was last accepted or ignored
+export const validateBudgetReview = (review) => {
+  if (
+    !isObject(review) ||
+    typeof review.date !== "string" ||
+    !parseDateString(review.date) ||
+    (review.action !== "accepted" && review.action !== "ignored")
+  ) {
+    throw dataError("data.error.budgetReview");
+  }
+  return { date: review.date, action: review.action };
+};
+
+// Sync stamps are times in ms, per day key and for the settings
+const isTime = (value) => typeof value === "number" && isFinite(value);
+const isStamps = (stamps) =>
+  isObject(stamps) &&
+  isObject(stamps.days) &&
+  Object.values(stamps.days).every(isTime) &&
+  isTime(stamps.settings);
+
+// Missing parts of the sync state are filled in with the defaults by the app
+export const validateSync = (sync) => {
+  if (
+    !isObject(sync) ||
+    ["endpoint", "token", "deviceId"].some(
+      (name) => sync[name] !== undefined && typeof sync[name] !== "string"
+    ) ||
+    (sync.lastSyncAt !== undefined && !isTime(sync.lastSyncAt)) ||
+    (sync.base !== undefined && !isStamps(sync.base))
+  ) {
+    throw dataError("data.error.sync");
+  }
+  return sync;
+};
+
+export const validateEditStamps = (stamps) => {
+  if (!isStamps(stamps)) throw dataError("data.error.editStamps");
+  return stamps;
+};
+
+// Import mappings name a file's date column and the columns of the macros
+export const validateImportMappings = (mappings) => {
+  if (!Array.isArray(mappings)) throw dataError("data.error.importMappings");
+  return mappings.map((mapping, index) => {
+    const path = at("data.path.importMapping", { number: index + 1 });
+    if (
+      !isObject(mapping) ||
+      !isObject(mapping.date) ||
+      !isObject(mapping.fields)
+    ) {
+      throw dataError("data.error.malformed", { path });
+    }
+    return {
+      name: String(mapping.name || ""),
+      date: {
+        column: String(mapping.date.column || ""),
+        format: String(mapping.date.format || ""),
+      },
+      fields: MACRO_FIELDS.reduce((acc, field) => {
+        const column = mapping.fields[field] || {};
+        if (!isObject(column)) {
+          throw dataError("data.error.malformed", {
+            path: fieldPath(path, field),
+          });
+        }
+        acc[field] = {
+          column: String(column.column || ""),
+          unit: String(column.unit || ""),
+        };
+        return acc;
+      }, {}),
+    };
+  });
+};
@@ -0,0 +1,95 @@
+import {
+  validateBudgetReview,
+  validateCalorieCheck,
+  validateImportMappings,
+  validateRollover,
+  validateSync,
+} from "./validation";
+
+// The translation key of the error a validator throws
+const errorKey = (validate, value) => {
+  try {
+    validate(value);
+  } catch (e) {
+    return e.key;
+  }
+  return null;
+};
+
+describe("validateCalorieCheck", () => {
+  it("fills in options that older settings lack", () => {
+    expect(validateCalorieCheck({ tolerance: "5", autoFill: true })).toEqual({
+      tolerance: "5",
+      autoFill: true,
+      trackAlcohol: false,
+      trackFiber: false,
+      fiberCalories: "included",
+    });
+  });
+
+  it("rejects unknown options", () => {
+    expect(errorKey(validateCalorieCheck, { fiberCalories: "x" })).toBe(
+      "data.error.fiberCalories"
+    );
+    expect(errorKey(validateCalorieCheck, { tolerance: "-1" })).toBe(
+      "data.error.amount"
+    );
+  });
+});
+
+describe("validateRollover", () => {
+  it("takes the known rules", () => {
+    expect(validateRollover({ mode: "capped", cap: 300 })).toEqual({
+      mode: "capped",
+      cap: "300",
+    });
+    expect(errorKey(validateRollover, { mode: "some" })).toBe(
+      "data.error.rolloverMode"
+    );
+  });
+});
+
+describe("validateBudgetReview", () => {
+  it("needs a date and what was done", () => {
+    const review = { date: "2026-10-19", action: "ignored" };
+    expect(validateBudgetReview(review)).toEqual(review);
+    expect(errorKey(validateBudgetReview, {})).toBe("data.error.budgetReview");
+    expect(
+      errorKey(validateBudgetReview, { date: "2026-13-01", action: "ignored" })
+    ).toBe("data.error.budgetReview");
+  });
+});
+
+describe("validateSync", () => {
+  it("rejects stamps that aren't times", () => {
+    expect(
+      errorKey(validateSync, { base: { days: { x: "1" }, settings: 0 } })
+    ).toBe("data.error.sync");
+    expect(errorKey(validateSync, { endpoint: 5 })).toBe("data.error.sync");
+    expect(errorKey(validateSync, { endpoint: "http://localhost" })).toBe(null);
+  });
+});
+
+describe("validateImportMappings", () => {
+  it("fills in columns a mapping doesn't use", () => {
+    const [mapping] = validateImportMappings([
+      {
+        name: "Tracker",
+        date: { column: "Date", format: "dmy" },
+        fields: { calories: { column: "Energy", unit: "kj" } },
+      },
+    ]);
+    expect(mapping.date).toEqual({ column: "Date", format: "dmy" });
+    expect(mapping.fields.calories).toEqual({ column: "Energy", unit: "kj" });
+    expect(mapping.fields.fat).toEqual({ column: "", unit: "" });
+  });
+
+  it("rejects mappings without a date or fields", () => {
+    expect(errorKey(validateImportMappings, [{ name: "x" }])).toBe(
+      "data.error.malformed"
+    );
+    expect(errorKey(validateImportMappings, {})).toBe(
+      "data.error.importMappings"
+    );
+  });
+});
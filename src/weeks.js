@@ -0,0 +1,172 @@
+// Week helpers. Weekly entries are stored per ISO week ("2026-W07"), so
+// previous weeks stay around as history instead of being typed over.
+
+export const DAYS = [
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+  "Sunday",
+];
+
+export const createEmptyWeek = () =>
+  DAYS.reduce((acc, day) => {
+    acc[day] = { calories: "", carbs: "", protein: "", fat: "" };
+    return acc;
+  }, {});
+
+// Monday of the week containing the given date, at local midnight
+export const getWeekStart = (date) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const offset = (start.getDay() + 6) % 7; // Monday = 0
+  start.setDate(start.getDate() - offset);
+  return start;
+};
+
+// ISO 8601 week key, e.g. "2026-W07". The week belongs to the year of its
+// Thursday.
+export const getWeekKey = (date = new Date()) => {
+  const thursday = getWeekStart(date);
+  thursday.setDate(thursday.getDate() + 3);
+  const year = thursday.getFullYear();
+  const firstThursday = getWeekStart(new Date(year, 0, 4));
+  firstThursday.setDate(firstThursday.getDate() + 3);
+  const week =
+    Math.round((thursday - firstThursday) / (7 * 24 * 60 * 60 * 1000)) + 1;
+  return `${year}-W${String(week).padStart(2, "0")}`;
+};
+
+// Monday of the week identified by a week key
+export const getWeekStartFromKey = (weekKey) => {
+  const [year, week] = weekKey.split("-W").map(Number);
+  // January 4th is always in week 1
+  const start = getWeekStart(new Date(year, 0, 4));
+  start.setDate(start.getDate() + (week - 1) * 7);
+  return start;
+};
+
+// Date of a given day name within the week identified by a week key
+export const getDateForDay = (weekKey, day) => {
+  const date = getWeekStartFromKey(weekKey);
+  date.setDate(date.getDate() + DAYS.indexOf(day));
+  return date;
+};
+
+// Day name of a date, e.g. "Monday"
+export const getDayName = (date) => DAYS[(date.getDay() + 6) % 7];
+
+// Local calendar date as "YYYY-MM-DD"
+export const toDateString = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+// Parse "YYYY-MM-DD" as a local date; null when it isn't a valid date
+export const parseDateString = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+};
+
+export const isWeekKey = (value) => /^\d{4}-W\d{2}$/.test(value);
+
+export const shiftWeek = (weekKey, delta) => {
+  const start = getWeekStartFromKey(weekKey);
+  start.setDate(start.getDate() + delta * 7);
+  return getWeekKey(start);
+};
+
+// Plan weeks. The Weekly Plan can start on any day, while entries stay
+// stored per ISO week. A plan week is the seven days from its first day and
+// goes by the key of the ISO week it shares its Thursday with, so with the
+// default Monday start the two are the same; a week starting on Sunday takes
+// the Sunday before the ISO week and leaves out its last one.
+
+// The days of a plan week in order
+export const getPlanDays = (firstDay = "Monday") => {
+  const start = DAYS.indexOf(firstDay);
+  return [...DAYS.slice(start), ...DAYS.slice(0, start)];
+};
+
+// Days from the ISO week's Monday to the plan week's first day
+const getPlanOffset = (firstDay) => {
+  const start = DAYS.indexOf(firstDay);
+  return start <= 3 ? start : start - 7;
+};
+
+// First day of the plan week identified by a week key
+export const getPlanStart = (weekKey, firstDay = "Monday") => {
+  const start = getWeekStartFromKey(weekKey);
+  start.setDate(start.getDate() + getPlanOffset(firstDay));
+  return start;
+};
+
+// Key of the plan week containing the given date
+export const getPlanWeekKey = (date = new Date(), firstDay = "Monday") => {
+  const shifted = new Date(date);
+  shifted.setDate(shifted.getDate() - getPlanOffset(firstDay));
+  return getWeekKey(shifted);
+};
+
+// The ISO week a day of a plan week is stored in
+export const getEntryWeekKey = (weekKey, day, firstDay = "Monday") => {
+  const date = getPlanStart(weekKey, firstDay);
+  date.setDate(date.getDate() + getPlanDays(firstDay).indexOf(day));
+  return getWeekKey(date);
+};
+
+// The entries of a plan week by day, gathered from the ISO weeks they are
+// stored in
+export const getPlanEntries = (weeks, weekKey, firstDay = "Monday") =>
+  DAYS.reduce((acc, day) => {
+    const week = weeks[getEntryWeekKey(weekKey, day, firstDay)];
+    if (week && week[day]) acc[day] = week[day];
+    return acc;
+  }, createEmptyWeek());
+
+// The weeks with the days of a plan week set to `entries`, each in the ISO
+// week it is stored in
+export const setPlanEntries = (weeks, weekKey, firstDay, entries) =>
+  DAYS.reduce((acc, day) => {
+    const key = getEntryWeekKey(weekKey, day, firstDay);
+    return {
+      ...acc,
+      [key]: {
+        ...createEmptyWeek(),
+        ...acc[key],
+        [day]: entries[day] || createEmptyWeek()[day],
+      },
+    };
+  }, weeks);
+
+// The weeks without the entries of a plan week. A plan week that is an ISO
+// week is removed as a whole; otherwise its days are emptied, as the ISO
+// weeks they are in hold days of other plan weeks too.
+export const clearPlanWeek = (weeks, weekKey, firstDay = "Monday") => {
+  if (getPlanOffset(firstDay) === 0) {
+    const { [weekKey]: cleared, ...rest } = weeks;
+    return rest;
+  }
+  return setPlanEntries(weeks, weekKey, firstDay, createEmptyWeek());
+};
+
+// Human-readable range of a plan week in the given locale (the browser's by
+// default), e.g. "Oct 19 – Oct 25, 2026"
+export const formatWeekRange = (weekKey, firstDay = "Monday", locale) => {
+  const start = getPlanStart(weekKey, firstDay);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 6);
+  const dayMonth = { day: "numeric", month: "short" };
+  const from = start.toLocaleDateString(locale, dayMonth);
+  const to = end.toLocaleDateString(locale, {
+    ...dayMonth,
+    year: "numeric",
+  });
+  return `${from} – ${to}`;
+};
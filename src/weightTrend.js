@@ -0,0 +1,167 @@
+import { KCAL_PER_KG } from "./budgetWizard";
+import { KCAL_PER_GRAM } from "./macroSplit";
+import { getDayCalories } from "./stats";
+import {
+  DAYS,
+  getDateForDay,
+  getDayName,
+  getWeekKey,
+  parseDateString,
+  toDateString,
+} from "./weeks";
+
+// Body weight trend and budget suggestions. Daily weigh-ins are smoothed with
+// an exponential moving average, which evens out water and food weight. Once
+// there are a few weeks of data, the trend's rate of change is compared with
+// the goal rate and a budget that closes the gap is suggested.
+
+// Weight of each new weigh-in in the moving average
+export const TREND_SMOOTHING = 0.1;
+
+// Rate and suggestions are based on this many days of trend
+export const RATE_WINDOW_DAYS = 21;
+const MIN_WEIGH_INS = 8;
+// Intake only replaces the budget as the baseline with enough logged days
+const MIN_LOGGED_DAYS = 10;
+
+// Differences smaller than this aren't worth a suggestion
+export const MIN_ADJUSTMENT = 50; // kcal per day
+const MAX_ADJUSTMENT = 500; // kcal per day
+
+// After accepting or ignoring a suggestion, wait this long for the next one
+export const REVIEW_INTERVAL_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (from, to) => Math.round((to - from) / DAY_MS);
+
+// Weigh-ins from all weeks, oldest first
+export const getWeightLog = (weeks) =>
+  Object.keys(weeks)
+    .sort()
+    .flatMap((weekKey) =>
+      DAYS.filter(
+        (day) =>
+          weeks[weekKey][day] && parseFloat(weeks[weekKey][day].weight) > 0
+      ).map((day) => ({
+        date: toDateString(getDateForDay(weekKey, day)),
+        weight: parseFloat(weeks[weekKey][day].weight),
+      }))
+    );
+
+// Weigh-ins with the moving average up to each of them. Days without a
+// weigh-in still count, so a gap weighs like the days it spans.
+export const getWeightTrend = (log) => {
+  let trend = null;
+  let previous = null;
+  return log.map(({ date, weight }) => {
+    const current = parseDateString(date);
+    if (trend === null) {
+      trend = weight;
+    } else {
+      const days = Math.max(1, daysBetween(previous, current));
+      const keep = Math.pow(1 - TREND_SMOOTHING, days);
+      trend = trend * keep + weight * (1 - keep);
+    }
+    previous = current;
+    return { date, weight, trend };
+  });
+};
+
+// Trend change in kg per week over the last RATE_WINDOW_DAYS, from a
+// least-squares line through the trend values; null without enough data
+export const getTrendRate = (trend, today = new Date()) => {
+  const end = parseDateString(toDateString(today));
+  const points = trend
+    .map((point) => ({
+      x: daysBetween(end, parseDateString(point.date)),
+      y: point.trend,
+    }))
+    .filter(({ x }) => x > -RATE_WINDOW_DAYS && x <= 0);
+  if (points.length < MIN_WEIGH_INS) return null;
+  if (points[points.length - 1].x - points[0].x < RATE_WINDOW_DAYS / 2) {
+    return null;
+  }
+
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  const slope =
+    points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0) /
+    points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  return slope * 7;
+};
+
+// Average calories over the logged days of the rate window
+const getAverageIntake = (weeks, isDayFilled, today) => {
+  const values = [];
+  for (let offset = 0; offset < RATE_WINDOW_DAYS; offset++) {
+    const date = new Date(today);
+    date.setDate(date.getDate() - offset);
+    const week = weeks[getWeekKey(date)];
+    const entry = week && week[getDayName(date)];
+    if (entry && isDayFilled(entry)) values.push(getDayCalories(entry));
+  }
+  if (values.length < MIN_LOGGED_DAYS) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+};
+
+// The budget with its calories changed by `change`, keeping protein as it is
+// and changing carbs and fat in proportion to the calories they provide
+export const adjustBudget = (budget, change) => {
+  const carbs = (parseFloat(budget.carbs) || 0) * KCAL_PER_GRAM.carbs;
+  const fat = (parseFloat(budget.fat) || 0) * KCAL_PER_GRAM.fat;
+  const carbsShare = carbs + fat > 0 ? carbs / (carbs + fat) : 0.5;
+  const round = (value) => String(Math.max(0, Math.round(value)));
+  return {
+    ...budget,
+    carbs: round((carbs + change * carbsShare) / KCAL_PER_GRAM.carbs),
+    fat: round((fat + change * (1 - carbsShare)) / KCAL_PER_GRAM.fat),
+  };
+};
+
+export const formatRate = (rate, locale, t) =>
+  t("units.kgPerWeek", {
+    rate: `${rate > 0 ? "+" : rate < 0 ? "−" : ""}${new Intl.NumberFormat(
+      locale,
+      { minimumFractionDigits: 2, maximumFractionDigits: 2 }
+    ).format(Math.abs(rate))}`,
+  });
+
+// A suggested daily budget, or null when there's too little data or the
+// current budget is close enough. The calories needed for the goal rate are
+// estimated from the average intake and the actual rate where the intake has
+// been logged; otherwise from the current budget and the actual rate.
+// `averageTarget` is the average daily calorie target over the week and
+// `restDays` the number of days the daily budget applies to; the change is
+// put on those days so the weekly total moves by the intended amount.
+export const getBudgetSuggestion = ({
+  weeks,
+  isDayFilled,
+  dailyBudget,
+  averageTarget,
+  restDays,
+  goalRate,
+  today = new Date(),
+}) => {
+  const actualRate = getTrendRate(getWeightTrend(getWeightLog(weeks)), today);
+  if (actualRate === null || restDays === 0) return null;
+
+  const intake = getAverageIntake(weeks, isDayFilled, today);
+  const baseline = intake === null ? averageTarget : intake;
+  const needed = baseline + ((goalRate - actualRate) * KCAL_PER_KG) / 7;
+  const change = Math.max(
+    -MAX_ADJUSTMENT,
+    Math.min(MAX_ADJUSTMENT, needed - averageTarget)
+  );
+  if (Math.abs(change) < MIN_ADJUSTMENT) {
+    return { actualRate, goalRate, intake, change: 0, budget: null };
+  }
+
+  return {
+    actualRate,
+    goalRate,
+    intake,
+    change: Math.round(change),
+    budget: adjustBudget(dailyBudget, (change * 7) / restDays),
+  };
+};